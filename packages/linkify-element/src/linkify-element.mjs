@@ -69,7 +69,7 @@ function linkifyElementHelper(element, options, doc) {
 			break;
 		case TXT_NODE: {
 			str = childElement.nodeValue;
-			tokens = tokenize(str);
+			tokens = options.engine ? options.engine.tokenize(str, options) : tokenize(str, options);
 
 			if (tokens.length === 0 || tokens.length === 1 && tokens[0].t === 'text') {
 				// No node replacement required
@@ -102,7 +102,7 @@ export default function linkifyHtml(str, opts = {}) {
 	@param {import('linkifyjs').Options}
 */
 function linkifyChars(str, options) {
-	const tokens = tokenize(str);
+	const tokens = options.engine ? options.engine.tokenize(str, options) : tokenize(str, options);
 	const result = [];
 
 	for (let i = 0; i < tokens.length; i++) {
@@ -165,7 +165,7 @@ function skipTagTokens(tagName, tokens, i, skippedTokens) {
 }
 
 function defaultRender({ tagName, attributes, content }) {
-	return `<${tagName} ${attributesToString(attributes)}>${escapeText(content)}</${tagName}>`;
+	return `<${tagName}${attributesToString(attributes)}>${escapeText(content)}</${tagName}>`;
 }
 
 function escapeText(text) {
@@ -180,9 +180,9 @@ function attributesToString(attributes) {
 	const result = [];
 	for (const attr in attributes) {
 		const val = attributes[attr] + '';
-		result.push(`${attr}="${escapeAttr(val)}"`);
+		result.push(` ${attr}="${escapeAttr(val)}"`);
 	}
-	return result.join(' ');
+	return result.join('');
 }
 
 function attributeArrayToStrings(attrs) {
@@ -0,0 +1,2 @@
+import { linkifyPlugin } from '../../rollup.config.js';
+export default linkifyPlugin('confusables');
@@ -0,0 +1,143 @@
+/******************************************************************************
+	Confusables
+	Detects host names that may be spoofing another domain, e.g., `аpple.com`
+	with a Cyrillic `а`, following the mixed-script and confusable detection
+	of Unicode Technical Standard #39 (https://unicode.org/reports/tr39/)
+******************************************************************************/
+
+import { encodedLookalikes } from './lookalikes.mjs';
+
+/**
+ * ASCII prototype of each character from confusables.txt of UTS #39 that
+ * looks like a single ASCII letter or digit. Prototypes are lowercase since
+ * host names are lowercased before lookups.
+ * @type {{[char: string]: string}}
+ */
+const PROTOTYPES = {};
+let prototype = null;
+for (const char of encodedLookalikes) {
+	if (char < '\x80') {
+		prototype = char;
+	} else {
+		PROTOTYPES[char] = prototype;
+	}
+}
+
+// Scripts as bit flags. Han characters are part of the Japanese, Korean and
+// Chinese writing systems, which UTS #39 treats as scripts of their own.
+const LATIN = 1;
+const GREEK = 2;
+const CYRILLIC = 4;
+const ARMENIAN = 8;
+const JAPANESE = 16;
+const KOREAN = 32;
+const CHINESE = 64;
+const OTHER = 128; // letters of any other script
+const CJK = JAPANESE | KOREAN | CHINESE;
+
+/**
+ * @type {[RegExp, number][]}
+ */
+const SCRIPTS = [
+	[/\p{scx=Latin}/u, LATIN],
+	[/\p{scx=Greek}/u, GREEK],
+	[/\p{scx=Cyrillic}/u, CYRILLIC],
+	[/\p{scx=Armenian}/u, ARMENIAN],
+	[/\p{scx=Han}/u, CJK],
+	[/[\p{scx=Hiragana}\p{scx=Katakana}]/u, JAPANESE],
+	[/\p{scx=Hangul}/u, KOREAN],
+	[/\p{scx=Bopomofo}/u, CHINESE],
+];
+
+const LETTER = /\p{L}/u;
+
+/**
+ * Scripts the given character may be written in, as bit flags. Zero for
+ * characters used with any script, such as digits, hyphens and marks.
+ * @param {string} char
+ * @returns {number}
+ */
+function scriptsOf(char) {
+	let scripts = 0;
+	for (let i = 0; i < SCRIPTS.length; i++) {
+		if (SCRIPTS[i][0].test(char)) {
+			scripts |= SCRIPTS[i][1];
+		}
+	}
+	return scripts || (LETTER.test(char) ? OTHER : 0);
+}
+
+/**
+ * Whether the given domain name label mixes scripts. Like the "Highly
+ * Restrictive" level of UTS #39, Latin may be combined with Han and either
+ * Hiragana and Katakana or Hangul. Letters of scripts other than Latin,
+ * Greek, Cyrillic, Armenian and the CJK ones all count as the same script.
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isMixedScriptLabel(label) {
+	let resolved = ~0; // scripts that all characters so far may be written in
+	let nonLatin = ~0; // same, ignoring Latin characters
+	for (const char of label) {
+		const scripts = scriptsOf(char);
+		if (scripts) {
+			resolved &= scripts;
+			if (scripts !== LATIN) {
+				nonLatin &= scripts;
+			}
+		}
+	}
+	return resolved === 0 && (nonLatin & CJK) === 0;
+}
+
+/**
+ * Whether any label of the given host name mixes scripts, e.g., `аpple.com`
+ * with a Cyrillic `а` in an otherwise Latin label
+ * @param {?string} host
+ * @returns {boolean}
+ */
+export function isMixedScript(host) {
+	if (!host) {
+		return false;
+	}
+	const labels = host.split('.');
+	for (let i = 0; i < labels.length; i++) {
+		if (isMixedScriptLabel(labels[i])) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * The skeleton of the given string as defined by UTS #39, limited to the
+ * confusables that look like ASCII letters and digits: two strings with the
+ * same skeleton are visually confusable.
+ * @param {string} str
+ * @returns {string}
+ */
+export function skeleton(str) {
+	let result = '';
+	for (const char of str.normalize('NFD')) {
+		result += char in PROTOTYPES ? PROTOTYPES[char] : char;
+	}
+	return result.normalize('NFD');
+}
+
+/**
+ * The ASCII host name that the given non-ASCII host name may be confused
+ * with, e.g., `apple.com` for `аpple.com` (with a Cyrillic `а`) or
+ * `paypal.com` for `раураl.com` (all Cyrillic). `null` for ASCII host names
+ * and host names that don't look like an ASCII one.
+ * @param {?string} host lowercase host name
+ * @returns {?string}
+ */
+export function confusableWith(host) {
+	if (!host || !/[^\0-\x7F]/.test(host)) {
+		return null;
+	}
+	const ascii = skeleton(host);
+	return /[^\0-\x7F]/.test(ascii) ? null : ascii;
+}
+
+export default { isMixedScript, confusableWith };
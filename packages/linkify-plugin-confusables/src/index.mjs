@@ -0,0 +1,4 @@
+import { registerConfusables } from 'linkifyjs';
+import confusables from './confusables';
+
+registerConfusables(confusables);
@@ -0,0 +1,5 @@
+// THIS FILE IS AUTOMATICALLY GENERATED DO NOT EDIT DIRECTLY
+// See update-confusables.cjs for encoding/decoding format
+// https://www.unicode.org/Public/security/latest/confusables.txt
+// Unicode data is subject to the Unicode License, https://www.unicode.org/license.txt
+export const encodedLookalikes = '2ƧƨϨϩᒿꙄꙅꛯꝚꝛ𝟐𝟚𝟤𝟮𝟸3ƷȜȝɜʒЗзӠӡⳌⳍꝪꝫꞫ𑣊𖼻𝈆𝟑𝟛𝟥𝟯𝟹4Ꮞꮞ𑢯𑣏𝟒𝟜𝟦𝟰𝟺5Ƽ𑢻𑣛𝟓𝟝𝟧𝟱𝟻6бᏮⳒⳓꮾ𑣕𝟔𝟞𝟨𝟲𝟼7𐓒𐓺𑣆𝈒𝟕𝟟𝟩𝟳𝟽8Ȣȣ৪੪ଃ𐌚𝟖𝟠𝟪𝟴𝟾𞣋9৭੧୨൭ⳊⳋꝮꝯ𑢬𑣌𑣖𝟗𝟡𝟫𝟵𝟿aɑΑαАаᎪᗅ⍺ꓮꭺＡａ𐊠𖽀𝐀𝐚𝐴𝑎𝑨𝒂𝒜𝒶𝓐𝓪𝔄𝔞𝔸𝕒𝕬𝖆𝖠𝖺𝗔𝗮𝘈𝘢𝘼𝙖𝙰𝚊𝚨𝛂𝛢𝛼𝜜𝜶𝝖𝝰𝞐𝞪bƄƅΒβВЬвьᏏᏴᏼᖯᗷℬꓐꞴꞵꮟＢｂ𐊂𐊡𐌁𝐁𝐛𝐵𝑏𝑩𝒃𝒷𝓑𝓫𝔅𝔟𝔹𝕓𝕭𝖇𝖡𝖻𝗕𝗯𝘉𝘣𝘽𝙗𝙱𝚋𝚩𝛣𝜝𝝗𝞑cϲϹСсᏟᴄℂℭⅭⅽⲤⲥꓚꮯＣｃ𐊢𐌂𐐕𐐽𐔜𑣩𑣲𝐂𝐜𝐶𝑐𝑪𝒄𝒞𝒸𝓒𝓬𝔠𝕔𝕮𝖈𝖢𝖼𝗖𝗰𝘊𝘤𝘾𝙘𝙲𝚌🝌dԁᎠᏧᑯᗞᗪⅅⅆⅮⅾꓒꓓꭰꮷ𝐃𝐝𝐷𝑑𝑫𝒅𝒟𝒹𝓓𝓭𝔇𝔡𝔻𝕕𝕯𝖉𝖣𝖽𝗗𝗱𝘋𝘥𝘿𝙙𝙳𝚍eΕεЕеҽᎬ℮ℯℰⅇ⋿ⴹꓰꬲꭼＥｅ𐊆𑢦𑢮𑣎𝐄𝐞𝐸𝑒𝑬𝒆𝓔𝓮𝔈𝔢𝔼𝕖𝕰𝖊𝖤𝖾𝗘𝗲𝘌𝘦𝙀𝙚𝙴𝚎𝚬𝛦𝜠𝝚𝞔fſϜϝքᖴẝℱꓝꞘꞙꬵ𐊇𐊥𐔥𑢢𑣂𝈓𝐅𝐟𝐹𝑓𝑭𝒇𝒻𝓕𝓯𝔉𝔣𝔽𝕗𝕱𝖋𝖥𝖿𝗙𝗳𝘍𝘧𝙁𝙛𝙵𝚏𝟊gƍɡԌԍցᏀᏳᏻᶃℊꓖꮐｇ𝐆𝐠𝐺𝑔𝑮𝒈𝒢𝓖𝓰𝔊𝔤𝔾𝕘𝕲𝖌𝖦𝗀𝗚𝗴𝘎𝘨𝙂𝙜𝙶𝚐hΗηНнһհᎻᏂᕼℋℌℍℎⲎⲏꓧꮋꮒＨｈ𐋏𝐇𝐡𝐻𝑯𝒉𝒽𝓗𝓱𝔥𝕙𝕳𝖍𝖧𝗁𝗛𝗵𝘏𝘩𝙃𝙝𝙷𝚑𝚮𝛨𝜢𝝜𝞖iıɩɪ˛ͺιіᎥιℹⅈⅰ⍳ꙇꭵｉ𑣃𝐢𝑖𝒊𝒾𝓲𝔦𝕚𝖎𝗂𝗶𝘪𝙞𝚒𝚤𝛊𝜄𝜾𝝸𝞲jʝͿϳЈјᎫᒍⅉꓙꞲꭻＪｊ𝐉𝐣𝐽𝑗𝑱𝒋𝒥𝒿𝓙𝓳𝔍𝔧𝕁𝕛𝕵𝖏𝖩𝗃𝗝𝗷𝘑𝘫𝙅𝙟𝙹𝚓kΚκКкᏦᛕKⲔⲕꓗꮶＫｋ𐔘𝐊𝐤𝐾𝑘𝑲𝒌𝒦𝓀𝓚𝓴𝔎𝔨𝕂𝕜𝕶𝖐𝖪𝗄𝗞𝗸𝘒𝘬𝙆𝙠𝙺𝚔𝚱𝛫𝜥𝝟𝞙lƖǀΙІӀӏ׀וןا١۱ߊᏞᒪᛁℐℑℒℓⅠⅬⅼ∣⏽ⲒⲓⳐⳑⵏꓡꓲꮮﺍﺎＩｌ￨𐊊𐌉𐌠𐐛𐑃𐔦𑢣𑢲𑣒𖼖𖼨𝈪𝐈𝐋𝐥𝐼𝐿𝑙𝑰𝑳𝒍𝓁𝓘𝓛𝓵𝔏𝔩𝕀𝕃𝕝𝕴𝕷𝖑𝖨𝖫𝗅𝗜𝗟𝗹𝘐𝘓𝘭𝙄𝙇𝙡𝙸𝙻𝚕𝚰𝛪𝜤𝝞𝞘𝟏𝟙𝟣𝟭𝟷𞣇𞸀𞺀mΜμϺϻМмᎷᗰᛖℳⅯⅿⲘⲙꓟꮇＭｍ𐊰𐌑𝐌𝑀𝑴𝓜𝔐𝕄𝕸𝖬𝗠𝘔𝙈𝙼𝚳𝛭𝜧𝝡𝞛nΝոռℕⲚⲛꓠＮｎ𐔓𝐍𝐧𝑁𝑛𝑵𝒏𝒩𝓃𝓝𝓷𝔑𝔫𝕟𝕹𝖓𝖭𝗇𝗡𝗻𝘕𝘯𝙉𝙣𝙽𝚗𝚴𝛮𝜨𝝢𝞜oΟοσОоՕօסه٥ھہە۵߀०০੦૦ଠ୦௦ం౦ಂ೦ംഠ൦ං๐໐ဝ၀ჿዐᴏᴑℴⲞⲟⵔ〇ꓳꬽﮦﮧﮨﮩﮪﮫﮬﮭﻩﻪﻫﻬＯｏ𐊒𐊫𐐄𐐬𐓂𐓪𐔖𑓐𑢵𑣈𑣗𑣠𝐎𝐨𝑂𝑜𝑶𝒐𝒪𝓞𝓸𝔒𝔬𝕆𝕠𝕺𝖔𝖮𝗈𝗢𝗼𝘖𝘰𝙊𝙤𝙾𝚘𝚶𝛐𝛔𝛰𝜊𝜎𝜪𝝄𝝈𝝤𝝾𝞂𝞞𝞸𝞼𝟎𝟘𝟢𝟬𝟶𞸤𞹤𞺄pΡρϱРрᏢᑭℙ⍴ⲢⲣꓑꮲＰｐ𐊕𝐏𝐩𝑃𝑝𝑷𝒑𝒫𝓅𝓟𝓹𝔓𝔭𝕡𝕻𝖕𝖯𝗉𝗣𝗽𝘗𝘱𝙋𝙥𝙿𝚙𝚸𝛒𝛠𝛲𝜌𝜚𝜬𝝆𝝔𝝦𝞀𝞎𝞠𝞺𝟈qԛգզℚⵕ𝐐𝐪𝑄𝑞𝑸𝒒𝒬𝓆𝓠𝓺𝔔𝔮𝕢𝕼𝖖𝖰𝗊𝗤𝗾𝘘𝘲𝙌𝙦𝚀𝚚rƦʀгᎡᏒᖇᴦℛℜℝⲅꓣꭇꭈꭱꮁꮢ𐒴𐓜𖼵𝈖𝐑𝐫𝑅𝑟𝑹𝒓𝓇𝓡𝓻𝔯𝕣𝕽𝖗𝖱𝗋𝗥𝗿𝘙𝘳𝙍𝙧𝚁𝚛sƽЅѕՏտᏕᏚꓢꜱꮥꮪＳｓ𐊖𐐠𐑈𑣁𖼺𝐒𝐬𝑆𝑠𝑺𝒔𝒮𝓈𝓢𝓼𝔖𝔰𝕊𝕤𝕾𝖘𝖲𝗌𝗦𝘀𝘚𝘴𝙎𝙨𝚂𝚜tΤτТтᎢ⊤⟙ⲦⲧꓔꭲＴｔ𐊗𐊱𐌕𑢼𖼊𝐓𝐭𝑇𝑡𝑻𝒕𝒯𝓉𝓣𝓽𝔗𝔱𝕋𝕥𝕿𝖙𝖳𝗍𝗧𝘁𝘛𝘵𝙏𝙩𝚃𝚝𝚻𝛵𝜯𝝩𝞣🝨uʋυՍսሀᑌᴜ∪⋃ꓴꞟꭎꭒ𐓎𐓶𑢸𑣘𖽂𝐔𝐮𝑈𝑢𝑼𝒖𝒰𝓊𝓤𝓾𝔘𝔲𝕌𝕦𝖀𝖚𝖴𝗎𝗨𝘂𝘜𝘶𝙐𝙪𝚄𝚞𝛖𝜐𝝊𝞄𝞾vνѴѵט٧۷ᏙᐯᴠⅤⅴ∨⋁ⴸꓦꛟꮩｖ𐔝𑜆𑢠𑣀𖼈𝈍𝐕𝐯𝑉𝑣𝑽𝒗𝒱𝓋𝓥𝓿𝔙𝔳𝕍𝕧𝖁𝖛𝖵𝗏𝗩𝘃𝘝𝘷𝙑𝙫𝚅𝚟𝛎𝜈𝝂𝝼𝞶wɯѡԜԝաᎳᏔᴡꓪꮃꮤ𑜊𑜎𑜏𑣦𑣯𝐖𝐰𝑊𝑤𝑾𝒘𝒲𝓌𝓦𝔀𝔚𝔴𝕎𝕨𝖂𝖜𝖶𝗐𝗪𝘄𝘞𝘸𝙒𝙬𝚆𝚠x×ΧχХхᕁᕽ᙭᙮ᚷⅩⅹ╳⤫⤬⨯ⲬⲭⵝꓫꞳꭓＸｘ𐊐𐊴𐌗𐌢𐔧𑣬𝐗𝐱𝑋𝑥𝑿𝒙𝒳𝓍𝓧𝔁𝔛𝔵𝕏𝕩𝖃𝖝𝖷𝗑𝗫𝘅𝘟𝘹𝙓𝙭𝚇𝚡𝚾𝛸𝜲𝝬𝞦yɣʏΥγϒУуҮүყᎩᎽᶌỿℽⲨⲩꓬꭚꭹꮍＹｙ𐊲𑢤𑣜𖽃𝐘𝐲𝑌𝑦𝒀𝒚𝒴𝓎𝓨𝔂𝔜𝔶𝕐𝕪𝖄𝖞𝖸𝗒𝗬𝘆𝘠𝘺𝙔𝙮𝚈𝚢𝚼𝛄𝛶𝛾𝜰𝜸𝝪𝝲𝞤𝞬zΖζᏃᴢℤℨꓜꮓＺｚ𐋵𑢩𑣄𑣉𑣥𝐙𝐳𝑍𝑧𝒁𝒛𝒵𝓏𝓩𝔃𝔷𝕫𝖅𝖟𝖹𝗓𝗭𝘇𝘡𝘻𝙕𝙯𝚉𝚣𝚭𝛧𝜡𝝛𝞕';
@@ -0,0 +1,4 @@
+import { registerPublicSuffixes } from 'linkifyjs';
+import publicSuffixes from './public-suffix';
+
+registerPublicSuffixes(publicSuffixes);
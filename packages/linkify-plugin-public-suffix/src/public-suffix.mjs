@@ -0,0 +1,33 @@
+import { encodedSuffixes } from './suffixes.mjs';
+
+/**
+ * Converts a string of encoded Public Suffix List rules back into a list of
+ * rules. See tasks/update-public-suffixes.cjs for the encoding.
+ *
+ * Example input: 'uk:,co,ac;ck:*,!www'
+ * Example output: ['uk', 'co.uk', 'ac.uk', '*.ck', '!www.ck']
+ *
+ * @param {string} encoded
+ * @returns {string[]}
+ */
+export function decodeSuffixes(encoded) {
+	const rules = [];
+	const groups = encoded.split(';');
+	for (let i = 0; i < groups.length; i++) {
+		const index = groups[i].indexOf(':');
+		const tld = groups[i].slice(0, index);
+		const entries = groups[i].slice(index + 1).split(',');
+		for (let j = 0; j < entries.length; j++) {
+			rules.push(entries[j] ? `${entries[j]}.${tld}` : tld);
+		}
+	}
+	return rules;
+}
+
+/**
+ * Rules from the Public Suffix List, to register with
+ * `linkify.registerPublicSuffixes`
+ */
+const publicSuffixes = decodeSuffixes(encodedSuffixes);
+
+export default publicSuffixes;
@@ -0,0 +1,5 @@
+// THIS FILE IS AUTOMATICALLY GENERATED DO NOT EDIT DIRECTLY
+// See update-public-suffixes.cjs for encoding/decoding format
+// https://publicsuffix.org/list/public_suffix_list.dat
+// Public Suffix List data is subject to the Mozilla Public License, v. 2.0
+export const encodedSuffixes = 'ac:,com,edu,gov,mil,net,org,drr,feedback,forms;ad:;ae:,ac,co,gov,mil,net,org,sch,blogspot;aero:,airline,airport,accident-investigation,accident-prevention,aerobatic,aeroclub,aerodrome,agents,air-surveillance,air-traffic-control,aircraft,airtraffic,ambulance,association,author,ballooning,broker,caa,cargo,catering,certification,championship,charter,civilaviation,club,conference,consultant,consulting,control,council,crew,design,dgca,educator,emergency,engine,engineer,entertainment,equipment,exchange,express,federation,flight,freight,fuel,gliding,government,groundhandling,group,hanggliding,homebuilt,insurance,journal,journalist,leasing,logistics,magazine,maintenance,marketplace,media,microlight,modelling,navigation,parachuting,paragliding,passenger-association,pilot,press,production,recreation,repbody,res,research,rotorcraft,safety,scientist,services,show,skydiving,software,student,taxi,trader,trading,trainer,union,workinggroup,works;af:,com,edu,gov,net,org;ag:,co,com,net,nom,org;ai:,com,net,off,org,uwu,framer;al:,com,edu,gov,mil,net,org,blogspot;am:,co,com,commune,net,org,radio,blogspot;ao:,co,ed,edu,gov,gv,it,og,org,pb;aq:;ar:,bet,com,coop,edu,gob,gov,int,mil,musica,mutual,net,org,senasa,tur,blogspot.com;arpa:,e164,home,in-addr,ip6,iris,uri,urn;as:,gov;asia:,cloudns,daemon,dix;at:,ac,sth.ac,co,gv,or,wien.funkfeuer,*.futurecms,*.ex.futurecms,*.in.futurecms,futurehosting,futuremailing,*.ex.ortsinfo,*.kunden.ortsinfo,blogspot.co,biz,info,123webseite,priv,myspreadshop,12hp,2ix,4lima,lima-city;au:,asn,com,edu,gov,id,net,org,conf,oz,act,nsw,nt,qld,sa,tas,vic,wa,act.edu,catholic.edu,nsw.edu,nt.edu,qld.edu,sa.edu,tas.edu,vic.edu,wa.edu,qld.gov,sa.gov,tas.gov,vic.gov,wa.gov,schools.nsw.edu,blogspot.com,mel.cloudlets.com,myspreadshop.com;aw:,com;ax:;az:,biz,com,edu,gov,info,int,mil,name,net,org,pp,pro;ba:,com,edu,gov,mil,net,org,blogspot,rs;bb:,biz,co,com,edu,gov,info,net,org,store,tv;bd:*;be:,ac,cloudns,webhosting,blogspot,cloud.interhostsolutions,ezproxy.kuleuven,123website,myspreadshop,*.transurl;bf:,gov;bg:,0,1,2,3,4,5,6,7,8,9,a,b,c,d,e,f,g,h,i,j,k,l,m,n,o,p,q,r,s,t,u,v,w,x,y,z,blogspot,barsy;bh:,com,edu,gov,net,org;bi:,co,com,edu,or,org;biz:,activetrail,cloud-ip,cloudns,jozi,dyndns,for-better,for-more,for-some,for-the,selfip,webhop,orx,mmafan,myftp,no-ip,dscloud;bj:,africa,agro,architectes,assur,avocats,co,com,eco,econo,edu,info,loisirs,money,net,org,ote,restaurant,resto,tourism,univ,blogspot;bm:,com,edu,gov,net,org;bn:,com,edu,gov,net,org,co;bo:,com,edu,gob,int,mil,net,org,tv,web,academia,agro,arte,blog,bolivia,ciencia,cooperativa,democracia,deporte,ecologia,economia,empresa,indigena,industria,info,medicina,movimiento,musica,natural,nombre,noticias,patria,plurinacional,politica,profesional,pueblo,revista,salud,tecnologia,tksat,transporte,wiki;br:,9guacu,abc,adm,adv,agr,aju,am,anani,aparecida,app,arq,art,ato,b,barueri,belem,bet,bhz,bib,bio,blog,bmd,boavista,bsb,campinagrande,campinas,caxias,cim,cng,cnt,com,contagem,coop,coz,cri,cuiaba,curitiba,def,des,det,dev,ecn,eco,edu,emp,enf,eng,esp,etc,eti,far,feira,flog,floripa,fm,fnd,fortal,fot,foz,fst,g12,geo,ggf,goiania,gov,ac.gov,al.gov,am.gov,ap.gov,ba.gov,ce.gov,df.gov,es.gov,go.gov,ma.gov,mg.gov,ms.gov,mt.gov,pa.gov,pb.gov,pe.gov,pi.gov,pr.gov,rj.gov,rn.gov,ro.gov,rr.gov,rs.gov,sc.gov,se.gov,sp.gov,to.gov,gru,imb,ind,inf,jab,jampa,jdf,joinville,jor,jus,leg,leilao,lel,log,londrina,macapa,maceio,manaus,maringa,mat,med,mil,morena,mp,mus,natal,net,niteroi,*.nom,not,ntr,odo,ong,org,osasco,palmas,poa,ppg,pro,psc,psi,pvh,qsl,radio,rec,recife,rep,ribeirao,rio,riobranco,riopreto,salvador,sampa,santamaria,santoandre,saobernardo,saogonca,seg,sjc,slg,slz,sorocaba,srv,taxi,tc,tec,teo,the,tmp,trd,tur,tv,udi,vet,vix,vlog,wiki,zlg,blogspot.com,ac.leg,al.leg,am.leg,ap.leg,ba.leg,ce.leg,df.leg,es.leg,go.leg,ma.leg,mg.leg,ms.leg,mt.leg,pa.leg,pb.leg,pe.leg,pi.leg,pr.leg,rj.leg,rn.leg,ro.leg,rr.leg,rs.leg,sc.leg,se.leg,sp.leg,to.leg,simplesite.com;bs:,com,edu,gov,net,org,we;bt:,com,edu,gov,net,org;bv:;bw:,co,org;by:,gov,mil,com,of,blogspot.com,mediatech;bz:,co,com,edu,gov,net,org,za,mydns,gsj;ca:,ab,bc,mb,nb,nf,nl,ns,nt,nu,on,pe,qc,sk,yk,gc,barsy,*.awdev,co,blogspot,no-ip,myspreadshop,box;cat:;cc:,cleverapps,cloudns,ftpaccess,game-server,myphotos,scrapping,twmail,csx,fantasyleague,instances.spawn;cd:,gov;cf:,blogspot;cg:;ch:,square7,cloudns,cust.cloudscale,objects.lpg.cloudscale,objects.rma.cloudscale,blogspot,alp1.ae.flow,appengine.flow,linkyard-cloud,gotdns,dnsking,123website,myspreadshop,*.firenet,*.svc.firenet,12hp,2ix,4lima,lima-city;ci:,ac,aéroport,asso,co,com,ed,edu,go,gouv,int,net,or,org,fin;ck:*,!www;cl:,co,gob,gov,mil,cloudns,blogspot;cm:,co,com,gov,net;cn:,ac,com,edu,gov,mil,net,org,公司,網絡,网络,ah,bj,cq,fj,gd,gs,gx,gz,ha,hb,he,hi,hk,hl,hn,jl,js,jx,ln,mo,nm,nx,qh,sc,sd,sh,sn,sx,tj,tw,xj,xz,yn,zj,execute-api.cn-north-1.amazonaws.com,execute-api.cn-northwest-1.amazonaws.com,*.compute.amazonaws.com,emrappui-prod.cn-north-1.amazonaws.com,emrnotebooks-prod.cn-north-1.amazonaws.com,emrstudio-prod.cn-north-1.amazonaws.com,emrappui-prod.cn-northwest-1.amazonaws.com,emrnotebooks-prod.cn-northwest-1.amazonaws.com,emrstudio-prod.cn-northwest-1.amazonaws.com,*.cn-north-1.airflow.amazonaws.com,*.cn-northwest-1.airflow.amazonaws.com,s3.dualstack.cn-north-1.amazonaws.com,s3-accesspoint.dualstack.cn-north-1.amazonaws.com,s3-website.dualstack.cn-north-1.amazonaws.com,s3.cn-north-1.amazonaws.com,s3-accesspoint.cn-north-1.amazonaws.com,s3-deprecated.cn-north-1.amazonaws.com,s3-object-lambda.cn-north-1.amazonaws.com,s3-website.cn-north-1.amazonaws.com,s3.dualstack.cn-northwest-1.amazonaws.com,s3-accesspoint.dualstack.cn-northwest-1.amazonaws.com,s3.cn-northwest-1.amazonaws.com,s3-accesspoint.cn-northwest-1.amazonaws.com,s3-object-lambda.cn-northwest-1.amazonaws.com,s3-website.cn-northwest-1.amazonaws.com,notebook.cn-north-1.sagemaker.com,notebook.cn-northwest-1.sagemaker.com,studio.cn-north-1.sagemaker.com,studio.cn-northwest-1.sagemaker.com,cn-north-1.eb.amazonaws.com,cn-northwest-1.eb.amazonaws.com,*.elb.amazonaws.com,canva-apps,*.my.canvasite,myqnapcloud,as.sh,direct.quickconnect;co:,com,edu,gov,mil,net,nom,org,carrd,crd,*.otap,blogspot.com,leadpages,lpages,mypi,n4t,*.xmit,firewalledreplit,id.firewalledreplit,repl,id.repl,supabase;com:,a2hosted,cpserver,adobeaemcloud,*.dev.adobeaemcloud,africa,airkitapps,airkitapps-au,aivencloud,kasserver,execute-api.af-south-1.amazonaws,execute-api.ap-east-1.amazonaws,execute-api.ap-northeast-1.amazonaws,execute-api.ap-northeast-2.amazonaws,execute-api.ap-northeast-3.amazonaws,execute-api.ap-south-1.amazonaws,execute-api.ap-south-2.amazonaws,execute-api.ap-southeast-1.amazonaws,execute-api.ap-southeast-2.amazonaws,execute-api.ap-southeast-3.amazonaws,execute-api.ap-southeast-4.amazonaws,execute-api.ap-southeast-5.amazonaws,execute-api.ca-central-1.amazonaws,execute-api.ca-west-1.amazonaws,execute-api.eu-central-1.amazonaws,execute-api.eu-central-2.amazonaws,execute-api.eu-north-1.amazonaws,execute-api.eu-south-1.amazonaws,execute-api.eu-south-2.amazonaws,execute-api.eu-west-1.amazonaws,execute-api.eu-west-2.amazonaws,execute-api.eu-west-3.amazonaws,execute-api.il-central-1.amazonaws,execute-api.me-central-1.amazonaws,execute-api.me-south-1.amazonaws,execute-api.sa-east-1.amazonaws,execute-api.us-east-1.amazonaws,execute-api.us-east-2.amazonaws,execute-api.us-gov-east-1.amazonaws,execute-api.us-gov-west-1.amazonaws,execute-api.us-west-1.amazonaws,execute-api.us-west-2.amazonaws,auth.af-south-1.amazoncognito,auth.ap-east-1.amazoncognito,auth.ap-northeast-1.amazoncognito,auth.ap-northeast-2.amazoncognito,auth.ap-northeast-3.amazoncognito,auth.ap-south-1.amazoncognito,auth.ap-south-2.amazoncognito,auth.ap-southeast-1.amazoncognito,auth.ap-southeast-2.amazoncognito,auth.ap-southeast-3.amazoncognito,auth.ap-southeast-4.amazoncognito,auth.ca-central-1.amazoncognito,auth.ca-west-1.amazoncognito,auth.eu-central-1.amazoncognito,auth.eu-central-2.amazoncognito,auth.eu-north-1.amazoncognito,auth.eu-south-1.amazoncognito,auth.eu-south-2.amazoncognito,auth.eu-west-1.amazoncognito,auth.eu-west-2.amazoncognito,auth.eu-west-3.amazoncognito,auth.il-central-1.amazoncognito,auth.me-central-1.amazoncognito,auth.me-south-1.amazoncognito,auth.sa-east-1.amazoncognito,auth.us-east-1.amazoncognito,auth-fips.us-east-1.amazoncognito,auth.us-east-2.amazoncognito,auth-fips.us-east-2.amazoncognito,auth-fips.us-gov-west-1.amazoncognito,auth.us-west-1.amazoncognito,auth-fips.us-west-1.amazoncognito,auth.us-west-2.amazoncognito,auth-fips.us-west-2.amazoncognito,*.compute.amazonaws,*.compute-1.amazonaws,us-east-1.amazonaws,emrappui-prod.af-south-1.amazonaws,emrnotebooks-prod.af-south-1.amazonaws,emrstudio-prod.af-south-1.amazonaws,emrappui-prod.ap-east-1.amazonaws,emrnotebooks-prod.ap-east-1.amazonaws,emrstudio-prod.ap-east-1.amazonaws,emrappui-prod.ap-northeast-1.amazonaws,emrnotebooks-prod.ap-northeast-1.amazonaws,emrstudio-prod.ap-northeast-1.amazonaws,emrappui-prod.ap-northeast-2.amazonaws,emrnotebooks-prod.ap-northeast-2.amazonaws,emrstudio-prod.ap-northeast-2.amazonaws,emrappui-prod.ap-northeast-3.amazonaws,emrnotebooks-prod.ap-northeast-3.amazonaws,emrstudio-prod.ap-northeast-3.amazonaws,emrappui-prod.ap-south-1.amazonaws,emrnotebooks-prod.ap-south-1.amazonaws,emrstudio-prod.ap-south-1.amazonaws,emrappui-prod.ap-south-2.amazonaws,emrnotebooks-prod.ap-south-2.amazonaws,emrstudio-prod.ap-south-2.amazonaws,emrappui-prod.ap-southeast-1.amazonaws,emrnotebooks-prod.ap-southeast-1.amazonaws,emrstudio-prod.ap-southeast-1.amazonaws,emrappui-prod.ap-southeast-2.amazonaws,emrnotebooks-prod.ap-southeast-2.amazonaws,emrstudio-prod.ap-southeast-2.amazonaws,emrappui-prod.ap-southeast-3.amazonaws,emrnotebooks-prod.ap-southeast-3.amazonaws,emrstudio-prod.ap-southeast-3.amazonaws,emrappui-prod.ap-southeast-4.amazonaws,emrnotebooks-prod.ap-southeast-4.amazonaws,emrstudio-prod.ap-southeast-4.amazonaws,emrappui-prod.ca-central-1.amazonaws,emrnotebooks-prod.ca-central-1.amazonaws,emrstudio-prod.ca-central-1.amazonaws,emrappui-prod.ca-west-1.amazonaws,emrnotebooks-prod.ca-west-1.amazonaws,emrstudio-prod.ca-west-1.amazonaws,emrappui-prod.eu-central-1.amazonaws,emrnotebooks-prod.eu-central-1.amazonaws,emrstudio-prod.eu-central-1.amazonaws,emrappui-prod.eu-central-2.amazonaws,emrnotebooks-prod.eu-central-2.amazonaws,emrstudio-prod.eu-central-2.amazonaws,emrappui-prod.eu-north-1.amazonaws,emrnotebooks-prod.eu-north-1.amazonaws,emrstudio-prod.eu-north-1.amazonaws,emrappui-prod.eu-south-1.amazonaws,emrnotebooks-prod.eu-south-1.amazonaws,emrstudio-prod.eu-south-1.amazonaws,emrappui-prod.eu-south-2.amazonaws,emrnotebooks-prod.eu-south-2.amazonaws,emrstudio-prod.eu-south-2.amazonaws,emrappui-prod.eu-west-1.amazonaws,emrnotebooks-prod.eu-west-1.amazonaws,emrstudio-prod.eu-west-1.amazonaws,emrappui-prod.eu-west-2.amazonaws,emrnotebooks-prod.eu-west-2.amazonaws,emrstudio-prod.eu-west-2.amazonaws,emrappui-prod.eu-west-3.amazonaws,emrnotebooks-prod.eu-west-3.amazonaws,emrstudio-prod.eu-west-3.amazonaws,emrappui-prod.il-central-1.amazonaws,emrnotebooks-prod.il-central-1.amazonaws,emrstudio-prod.il-central-1.amazonaws,emrappui-prod.me-central-1.amazonaws,emrnotebooks-prod.me-central-1.amazonaws,emrstudio-prod.me-central-1.amazonaws,emrappui-prod.me-south-1.amazonaws,emrnotebooks-prod.me-south-1.amazonaws,emrstudio-prod.me-south-1.amazonaws,emrappui-prod.sa-east-1.amazonaws,emrnotebooks-prod.sa-east-1.amazonaws,emrstudio-prod.sa-east-1.amazonaws,emrappui-prod.us-east-1.amazonaws,emrnotebooks-prod.us-east-1.amazonaws,emrstudio-prod.us-east-1.amazonaws,emrappui-prod.us-east-2.amazonaws,emrnotebooks-prod.us-east-2.amazonaws,emrstudio-prod.us-east-2.amazonaws,emrappui-prod.us-gov-east-1.amazonaws,emrnotebooks-prod.us-gov-east-1.amazonaws,emrstudio-prod.us-gov-east-1.amazonaws,emrappui-prod.us-gov-west-1.amazonaws,emrnotebooks-prod.us-gov-west-1.amazonaws,emrstudio-prod.us-gov-west-1.amazonaws,emrappui-prod.us-west-1.amazonaws,emrnotebooks-prod.us-west-1.amazonaws,emrstudio-prod.us-west-1.amazonaws,emrappui-prod.us-west-2.amazonaws,emrnotebooks-prod.us-west-2.amazonaws,emrstudio-prod.us-west-2.amazonaws,*.af-south-1.airflow.amazonaws,*.ap-east-1.airflow.amazonaws,*.ap-northeast-1.airflow.amazonaws,*.ap-northeast-2.airflow.amazonaws,*.ap-northeast-3.airflow.amazonaws,*.ap-south-1.airflow.amazonaws,*.ap-south-2.airflow.amazonaws,*.ap-southeast-1.airflow.amazonaws,*.ap-southeast-2.airflow.amazonaws,*.ap-southeast-3.airflow.amazonaws,*.ap-southeast-4.airflow.amazonaws,*.ca-central-1.airflow.amazonaws,*.ca-west-1.airflow.amazonaws,*.eu-central-1.airflow.amazonaws,*.eu-central-2.airflow.amazonaws,*.eu-north-1.airflow.amazonaws,*.eu-south-1.airflow.amazonaws,*.eu-south-2.airflow.amazonaws,*.eu-west-1.airflow.amazonaws,*.eu-west-2.airflow.amazonaws,*.eu-west-3.airflow.amazonaws,*.il-central-1.airflow.amazonaws,*.me-central-1.airflow.amazonaws,*.me-south-1.airflow.amazonaws,*.sa-east-1.airflow.amazonaws,*.us-east-1.airflow.amazonaws,*.us-east-2.airflow.amazonaws,*.us-west-1.airflow.amazonaws,*.us-west-2.airflow.amazonaws,s3.dualstack.af-south-1.amazonaws,s3-accesspoint.dualstack.af-south-1.amazonaws,s3-website.dualstack.af-south-1.amazonaws,s3.af-south-1.amazonaws,s3-accesspoint.af-south-1.amazonaws,s3-object-lambda.af-south-1.amazonaws,s3-website.af-south-1.amazonaws,s3.dualstack.ap-east-1.amazonaws,s3-accesspoint.dualstack.ap-east-1.amazonaws,s3.ap-east-1.amazonaws,s3-accesspoint.ap-east-1.amazonaws,s3-object-lambda.ap-east-1.amazonaws,s3-website.ap-east-1.amazonaws,s3.dualstack.ap-northeast-1.amazonaws,s3-accesspoint.dualstack.ap-northeast-1.amazonaws,s3-website.dualstack.ap-northeast-1.amazonaws,s3.ap-northeast-1.amazonaws,s3-accesspoint.ap-northeast-1.amazonaws,s3-object-lambda.ap-northeast-1.amazonaws,s3-website.ap-northeast-1.amazonaws,s3.dualstack.ap-northeast-2.amazonaws,s3-accesspoint.dualstack.ap-northeast-2.amazonaws,s3-website.dualstack.ap-northeast-2.amazonaws,s3.ap-northeast-2.amazonaws,s3-accesspoint.ap-northeast-2.amazonaws,s3-object-lambda.ap-northeast-2.amazonaws,s3-website.ap-northeast-2.amazonaws,s3.dualstack.ap-northeast-3.amazonaws,s3-accesspoint.dualstack.ap-northeast-3.amazonaws,s3-website.dualstack.ap-northeast-3.amazonaws,s3.ap-northeast-3.amazonaws,s3-accesspoint.ap-northeast-3.amazonaws,s3-object-lambda.ap-northeast-3.amazonaws,s3-website.ap-northeast-3.amazonaws,s3.dualstack.ap-south-1.amazonaws,s3-accesspoint.dualstack.ap-south-1.amazonaws,s3-website.dualstack.ap-south-1.amazonaws,s3.ap-south-1.amazonaws,s3-accesspoint.ap-south-1.amazonaws,s3-object-lambda.ap-south-1.amazonaws,s3-website.ap-south-1.amazonaws,s3.dualstack.ap-south-2.amazonaws,s3-accesspoint.dualstack.ap-south-2.amazonaws,s3-website.dualstack.ap-south-2.amazonaws,s3.ap-south-2.amazonaws,s3-accesspoint.ap-south-2.amazonaws,s3-object-lambda.ap-south-2.amazonaws,s3-website.ap-south-2.amazonaws,s3.dualstack.ap-southeast-1.amazonaws,s3-accesspoint.dualstack.ap-southeast-1.amazonaws,s3-website.dualstack.ap-southeast-1.amazonaws,s3.ap-southeast-1.amazonaws,s3-accesspoint.ap-southeast-1.amazonaws,s3-object-lambda.ap-southeast-1.amazonaws,s3-website.ap-southeast-1.amazonaws,s3.dualstack.ap-southeast-2.amazonaws,s3-accesspoint.dualstack.ap-southeast-2.amazonaws,s3-website.dualstack.ap-southeast-2.amazonaws,s3.ap-southeast-2.amazonaws,s3-accesspoint.ap-southeast-2.amazonaws,s3-object-lambda.ap-southeast-2.amazonaws,s3-website.ap-southeast-2.amazonaws,s3.dualstack.ap-southeast-3.amazonaws,s3-accesspoint.dualstack.ap-southeast-3.amazonaws,s3-website.dualstack.ap-southeast-3.amazonaws,s3.ap-southeast-3.amazonaws,s3-accesspoint.ap-southeast-3.amazonaws,s3-object-lambda.ap-southeast-3.amazonaws,s3-website.ap-southeast-3.amazonaws,s3.dualstack.ap-southeast-4.amazonaws,s3-accesspoint.dualstack.ap-southeast-4.amazonaws,s3-website.dualstack.ap-southeast-4.amazonaws,s3.ap-southeast-4.amazonaws,s3-accesspoint.ap-southeast-4.amazonaws,s3-object-lambda.ap-southeast-4.amazonaws,s3-website.ap-southeast-4.amazonaws,s3.dualstack.ap-southeast-5.amazonaws,s3-accesspoint.dualstack.ap-southeast-5.amazonaws,s3-website.dualstack.ap-southeast-5.amazonaws,s3.ap-southeast-5.amazonaws,s3-accesspoint.ap-southeast-5.amazonaws,s3-deprecated.ap-southeast-5.amazonaws,s3-object-lambda.ap-southeast-5.amazonaws,s3-website.ap-southeast-5.amazonaws,s3.dualstack.ca-central-1.amazonaws,s3-accesspoint.dualstack.ca-central-1.amazonaws,s3-accesspoint-fips.dualstack.ca-central-1.amazonaws,s3-fips.dualstack.ca-central-1.amazonaws,s3-website.dualstack.ca-central-1.amazonaws,s3.ca-central-1.amazonaws,s3-accesspoint.ca-central-1.amazonaws,s3-accesspoint-fips.ca-central-1.amazonaws,s3-fips.ca-central-1.amazonaws,s3-object-lambda.ca-central-1.amazonaws,s3-website.ca-central-1.amazonaws,s3.dualstack.ca-west-1.amazonaws,s3-accesspoint.dualstack.ca-west-1.amazonaws,s3-accesspoint-fips.dualstack.ca-west-1.amazonaws,s3-fips.dualstack.ca-west-1.amazonaws,s3-website.dualstack.ca-west-1.amazonaws,s3.ca-west-1.amazonaws,s3-accesspoint.ca-west-1.amazonaws,s3-accesspoint-fips.ca-west-1.amazonaws,s3-fips.ca-west-1.amazonaws,s3-object-lambda.ca-west-1.amazonaws,s3-website.ca-west-1.amazonaws,s3.dualstack.eu-central-1.amazonaws,s3-accesspoint.dualstack.eu-central-1.amazonaws,s3-website.dualstack.eu-central-1.amazonaws,s3.eu-central-1.amazonaws,s3-accesspoint.eu-central-1.amazonaws,s3-object-lambda.eu-central-1.amazonaws,s3-website.eu-central-1.amazonaws,s3.dualstack.eu-central-2.amazonaws,s3-accesspoint.dualstack.eu-central-2.amazonaws,s3-website.dualstack.eu-central-2.amazonaws,s3.eu-central-2.amazonaws,s3-accesspoint.eu-central-2.amazonaws,s3-object-lambda.eu-central-2.amazonaws,s3-website.eu-central-2.amazonaws,s3.dualstack.eu-north-1.amazonaws,s3-accesspoint.dualstack.eu-north-1.amazonaws,s3.eu-north-1.amazonaws,s3-accesspoint.eu-north-1.amazonaws,s3-object-lambda.eu-north-1.amazonaws,s3-website.eu-north-1.amazonaws,s3.dualstack.eu-south-1.amazonaws,s3-accesspoint.dualstack.eu-south-1.amazonaws,s3-website.dualstack.eu-south-1.amazonaws,s3.eu-south-1.amazonaws,s3-accesspoint.eu-south-1.amazonaws,s3-object-lambda.eu-south-1.amazonaws,s3-website.eu-south-1.amazonaws,s3.dualstack.eu-south-2.amazonaws,s3-accesspoint.dualstack.eu-south-2.amazonaws,s3-website.dualstack.eu-south-2.amazonaws,s3.eu-south-2.amazonaws,s3-accesspoint.eu-south-2.amazonaws,s3-object-lambda.eu-south-2.amazonaws,s3-website.eu-south-2.amazonaws,s3.dualstack.eu-west-1.amazonaws,s3-accesspoint.dualstack.eu-west-1.amazonaws,s3-website.dualstack.eu-west-1.amazonaws,s3.eu-west-1.amazonaws,s3-accesspoint.eu-west-1.amazonaws,s3-deprecated.eu-west-1.amazonaws,s3-object-lambda.eu-west-1.amazonaws,s3-website.eu-west-1.amazonaws,s3.dualstack.eu-west-2.amazonaws,s3-accesspoint.dualstack.eu-west-2.amazonaws,s3.eu-west-2.amazonaws,s3-accesspoint.eu-west-2.amazonaws,s3-object-lambda.eu-west-2.amazonaws,s3-website.eu-west-2.amazonaws,s3.dualstack.eu-west-3.amazonaws,s3-accesspoint.dualstack.eu-west-3.amazonaws,s3-website.dualstack.eu-west-3.amazonaws,s3.eu-west-3.amazonaws,s3-accesspoint.eu-west-3.amazonaws,s3-object-lambda.eu-west-3.amazonaws,s3-website.eu-west-3.amazonaws,s3.dualstack.il-central-1.amazonaws,s3-accesspoint.dualstack.il-central-1.amazonaws,s3-website.dualstack.il-central-1.amazonaws,s3.il-central-1.amazonaws,s3-accesspoint.il-central-1.amazonaws,s3-object-lambda.il-central-1.amazonaws,s3-website.il-central-1.amazonaws,s3.dualstack.me-central-1.amazonaws,s3-accesspoint.dualstack.me-central-1.amazonaws,s3-website.dualstack.me-central-1.amazonaws,s3.me-central-1.amazonaws,s3-accesspoint.me-central-1.amazonaws,s3-object-lambda.me-central-1.amazonaws,s3-website.me-central-1.amazonaws,s3.dualstack.me-south-1.amazonaws,s3-accesspoint.dualstack.me-south-1.amazonaws,s3.me-south-1.amazonaws,s3-accesspoint.me-south-1.amazonaws,s3-object-lambda.me-south-1.amazonaws,s3-website.me-south-1.amazonaws,s3.amazonaws,s3-1.amazonaws,s3-ap-east-1.amazonaws,s3-ap-northeast-1.amazonaws,s3-ap-northeast-2.amazonaws,s3-ap-northeast-3.amazonaws,s3-ap-south-1.amazonaws,s3-ap-southeast-1.amazonaws,s3-ap-southeast-2.amazonaws,s3-ca-central-1.amazonaws,s3-eu-central-1.amazonaws,s3-eu-north-1.amazonaws,s3-eu-west-1.amazonaws,s3-eu-west-2.amazonaws,s3-eu-west-3.amazonaws,s3-external-1.amazonaws,s3-fips-us-gov-east-1.amazonaws,s3-fips-us-gov-west-1.amazonaws,mrap.accesspoint.s3-global.amazonaws,s3-me-south-1.amazonaws,s3-sa-east-1.amazonaws,s3-us-east-2.amazonaws,s3-us-gov-east-1.amazonaws,s3-us-gov-west-1.amazonaws,s3-us-west-1.amazonaws,s3-us-west-2.amazonaws,s3-website-ap-northeast-1.amazonaws,s3-website-ap-southeast-1.amazonaws,s3-website-ap-southeast-2.amazonaws,s3-website-eu-west-1.amazonaws,s3-website-sa-east-1.amazonaws,s3-website-us-east-1.amazonaws,s3-website-us-gov-west-1.amazonaws,s3-website-us-west-1.amazonaws,s3-website-us-west-2.amazonaws,s3.dualstack.sa-east-1.amazonaws,s3-accesspoint.dualstack.sa-east-1.amazonaws,s3-website.dualstack.sa-east-1.amazonaws,s3.sa-east-1.amazonaws,s3-accesspoint.sa-east-1.amazonaws,s3-object-lambda.sa-east-1.amazonaws,s3-website.sa-east-1.amazonaws,s3.dualstack.us-east-1.amazonaws,s3-accesspoint.dualstack.us-east-1.amazonaws,s3-accesspoint-fips.dualstack.us-east-1.amazonaws,s3-fips.dualstack.us-east-1.amazonaws,s3-website.dualstack.us-east-1.amazonaws,s3.us-east-1.amazonaws,s3-accesspoint.us-east-1.amazonaws,s3-accesspoint-fips.us-east-1.amazonaws,s3-deprecated.us-east-1.amazonaws,s3-fips.us-east-1.amazonaws,s3-object-lambda.us-east-1.amazonaws,s3-website.us-east-1.amazonaws,s3.dualstack.us-east-2.amazonaws,s3-accesspoint.dualstack.us-east-2.amazonaws,s3-accesspoint-fips.dualstack.us-east-2.amazonaws,s3-fips.dualstack.us-east-2.amazonaws,s3-website.dualstack.us-east-2.amazonaws,s3.us-east-2.amazonaws,s3-accesspoint.us-east-2.amazonaws,s3-accesspoint-fips.us-east-2.amazonaws,s3-deprecated.us-east-2.amazonaws,s3-fips.us-east-2.amazonaws,s3-object-lambda.us-east-2.amazonaws,s3-website.us-east-2.amazonaws,s3.dualstack.us-gov-east-1.amazonaws,s3-accesspoint.dualstack.us-gov-east-1.amazonaws,s3-accesspoint-fips.dualstack.us-gov-east-1.amazonaws,s3-fips.dualstack.us-gov-east-1.amazonaws,s3.us-gov-east-1.amazonaws,s3-accesspoint.us-gov-east-1.amazonaws,s3-accesspoint-fips.us-gov-east-1.amazonaws,s3-fips.us-gov-east-1.amazonaws,s3-object-lambda.us-gov-east-1.amazonaws,s3-website.us-gov-east-1.amazonaws,s3.dualstack.us-gov-west-1.amazonaws,s3-accesspoint.dualstack.us-gov-west-1.amazonaws,s3-accesspoint-fips.dualstack.us-gov-west-1.amazonaws,s3-fips.dualstack.us-gov-west-1.amazonaws,s3.us-gov-west-1.amazonaws,s3-accesspoint.us-gov-west-1.amazonaws,s3-accesspoint-fips.us-gov-west-1.amazonaws,s3-fips.us-gov-west-1.amazonaws,s3-object-lambda.us-gov-west-1.amazonaws,s3-website.us-gov-west-1.amazonaws,s3.dualstack.us-west-1.amazonaws,s3-accesspoint.dualstack.us-west-1.amazonaws,s3-accesspoint-fips.dualstack.us-west-1.amazonaws,s3-fips.dualstack.us-west-1.amazonaws,s3-website.dualstack.us-west-1.amazonaws,s3.us-west-1.amazonaws,s3-accesspoint.us-west-1.amazonaws,s3-accesspoint-fips.us-west-1.amazonaws,s3-fips.us-west-1.amazonaws,s3-object-lambda.us-west-1.amazonaws,s3-website.us-west-1.amazonaws,s3.dualstack.us-west-2.amazonaws,s3-accesspoint.dualstack.us-west-2.amazonaws,s3-accesspoint-fips.dualstack.us-west-2.amazonaws,s3-fips.dualstack.us-west-2.amazonaws,s3-website.dualstack.us-west-2.amazonaws,s3.us-west-2.amazonaws,s3-accesspoint.us-west-2.amazonaws,s3-accesspoint-fips.us-west-2.amazonaws,s3-deprecated.us-west-2.amazonaws,s3-fips.us-west-2.amazonaws,s3-object-lambda.us-west-2.amazonaws,s3-website.us-west-2.amazonaws,analytics-gateway.ap-northeast-1.amazonaws,analytics-gateway.ap-northeast-2.amazonaws,analytics-gateway.ap-south-1.amazonaws,analytics-gateway.ap-southeast-1.amazonaws,analytics-gateway.ap-southeast-2.amazonaws,analytics-gateway.eu-central-1.amazonaws,analytics-gateway.eu-west-1.amazonaws,analytics-gateway.us-east-1.amazonaws,analytics-gateway.us-east-2.amazonaws,analytics-gateway.us-west-2.amazonaws,amplifyapp,*.awsapprunner,webview-assets.aws-cloud9.af-south-1.amazonaws,vfs.cloud9.af-south-1.amazonaws,webview-assets.cloud9.af-south-1.amazonaws,webview-assets.aws-cloud9.ap-east-1.amazonaws,vfs.cloud9.ap-east-1.amazonaws,webview-assets.cloud9.ap-east-1.amazonaws,webview-assets.aws-cloud9.ap-northeast-1.amazonaws,vfs.cloud9.ap-northeast-1.amazonaws,webview-assets.cloud9.ap-northeast-1.amazonaws,webview-assets.aws-cloud9.ap-northeast-2.amazonaws,vfs.cloud9.ap-northeast-2.amazonaws,webview-assets.cloud9.ap-northeast-2.amazonaws,webview-assets.aws-cloud9.ap-northeast-3.amazonaws,vfs.cloud9.ap-northeast-3.amazonaws,webview-assets.cloud9.ap-northeast-3.amazonaws,webview-assets.aws-cloud9.ap-south-1.amazonaws,vfs.cloud9.ap-south-1.amazonaws,webview-assets.cloud9.ap-south-1.amazonaws,webview-assets.aws-cloud9.ap-southeast-1.amazonaws,vfs.cloud9.ap-southeast-1.amazonaws,webview-assets.cloud9.ap-southeast-1.amazonaws,webview-assets.aws-cloud9.ap-southeast-2.amazonaws,vfs.cloud9.ap-southeast-2.amazonaws,webview-assets.cloud9.ap-southeast-2.amazonaws,webview-assets.aws-cloud9.ca-central-1.amazonaws,vfs.cloud9.ca-central-1.amazonaws,webview-assets.cloud9.ca-central-1.amazonaws,webview-assets.aws-cloud9.eu-central-1.amazonaws,vfs.cloud9.eu-central-1.amazonaws,webview-assets.cloud9.eu-central-1.amazonaws,webview-assets.aws-cloud9.eu-north-1.amazonaws,vfs.cloud9.eu-north-1.amazonaws,webview-assets.cloud9.eu-north-1.amazonaws,webview-assets.aws-cloud9.eu-south-1.amazonaws,vfs.cloud9.eu-south-1.amazonaws,webview-assets.cloud9.eu-south-1.amazonaws,webview-assets.aws-cloud9.eu-west-1.amazonaws,vfs.cloud9.eu-west-1.amazonaws,webview-assets.cloud9.eu-west-1.amazonaws,webview-assets.aws-cloud9.eu-west-2.amazonaws,vfs.cloud9.eu-west-2.amazonaws,webview-assets.cloud9.eu-west-2.amazonaws,webview-assets.aws-cloud9.eu-west-3.amazonaws,vfs.cloud9.eu-west-3.amazonaws,webview-assets.cloud9.eu-west-3.amazonaws,webview-assets.aws-cloud9.il-central-1.amazonaws,vfs.cloud9.il-central-1.amazonaws,webview-assets.aws-cloud9.me-south-1.amazonaws,vfs.cloud9.me-south-1.amazonaws,webview-assets.cloud9.me-south-1.amazonaws,webview-assets.aws-cloud9.sa-east-1.amazonaws,vfs.cloud9.sa-east-1.amazonaws,webview-assets.cloud9.sa-east-1.amazonaws,webview-assets.aws-cloud9.us-east-1.amazonaws,vfs.cloud9.us-east-1.amazonaws,webview-assets.cloud9.us-east-1.amazonaws,webview-assets.aws-cloud9.us-east-2.amazonaws,vfs.cloud9.us-east-2.amazonaws,webview-assets.cloud9.us-east-2.amazonaws,webview-assets.aws-cloud9.us-west-1.amazonaws,vfs.cloud9.us-west-1.amazonaws,webview-assets.cloud9.us-west-1.amazonaws,webview-assets.aws-cloud9.us-west-2.amazonaws,vfs.cloud9.us-west-2.amazonaws,webview-assets.cloud9.us-west-2.amazonaws,awsapps,elasticbeanstalk,af-south-1.elasticbeanstalk,ap-east-1.elasticbeanstalk,ap-northeast-1.elasticbeanstalk,ap-northeast-2.elasticbeanstalk,ap-northeast-3.elasticbeanstalk,ap-south-1.elasticbeanstalk,ap-southeast-1.elasticbeanstalk,ap-southeast-2.elasticbeanstalk,ap-southeast-3.elasticbeanstalk,ca-central-1.elasticbeanstalk,eu-central-1.elasticbeanstalk,eu-north-1.elasticbeanstalk,eu-south-1.elasticbeanstalk,eu-west-1.elasticbeanstalk,eu-west-2.elasticbeanstalk,eu-west-3.elasticbeanstalk,il-central-1.elasticbeanstalk,me-south-1.elasticbeanstalk,sa-east-1.elasticbeanstalk,us-east-1.elasticbeanstalk,us-east-2.elasticbeanstalk,us-gov-east-1.elasticbeanstalk,us-gov-west-1.elasticbeanstalk,us-west-1.elasticbeanstalk,us-west-2.elasticbeanstalk,*.elb.amazonaws,awsglobalaccelerator,siiites,appspacehosted,appspaceusercontent,on-aptible,myasustor,balena-devices,boutir,bplaced,cafjs,canva-apps,cdn77-storage,br,cn,de,eu,jpn,mex,ru,sa,uk,us,za,*.services.clever-cloud,dnsabr,ip-ddns,jdevcloud,wpdevcloud,cf-ipfs,cloudflare-ipfs,trycloudflare,co,builtwithdark,demo.datadetect,instance.datadetect,dattolocal,dattorelay,dattoweb,mydatto,*.digitaloceanspaces,discordsays,discordsez,drayddns,dreamhosters,durumis,mydrobo,blogdns,cechire,dnsalias,dnsdojo,doesntexist,dontexist,doomdns,dyn-o-saur,dynalias,dyndns-at-home,dyndns-at-work,dyndns-blog,dyndns-free,dyndns-home,dyndns-ip,dyndns-mail,dyndns-office,dyndns-pics,dyndns-remote,dyndns-server,dyndns-web,dyndns-wiki,dyndns-work,est-a-la-maison,est-a-la-masion,est-le-patron,est-mon-blogueur,from-ak,from-al,from-ar,from-ca,from-ct,from-dc,from-de,from-fl,from-ga,from-hi,from-ia,from-id,from-il,from-in,from-ks,from-ky,from-ma,from-md,from-mi,from-mn,from-mo,from-ms,from-mt,from-nc,from-nd,from-ne,from-nh,from-nj,from-nm,from-nv,from-oh,from-ok,from-or,from-pa,from-pr,from-ri,from-sc,from-sd,from-tn,from-tx,from-ut,from-va,from-vt,from-wa,from-wi,from-wv,from-wy,getmyip,gotdns,hobby-site,homelinux,homeunix,iamallama,is-a-anarchist,is-a-blogger,is-a-bookkeeper,is-a-bulls-fan,is-a-caterer,is-a-chef,is-a-conservative,is-a-cpa,is-a-cubicle-slave,is-a-democrat,is-a-designer,is-a-doctor,is-a-financialadvisor,is-a-geek,is-a-green,is-a-guru,is-a-hard-worker,is-a-hunter,is-a-landscaper,is-a-lawyer,is-a-liberal,is-a-libertarian,is-a-llama,is-a-musician,is-a-nascarfan,is-a-nurse,is-a-painter,is-a-personaltrainer,is-a-photographer,is-a-player,is-a-republican,is-a-rockstar,is-a-socialist,is-a-student,is-a-teacher,is-a-techie,is-a-therapist,is-an-accountant,is-an-actor,is-an-actress,is-an-anarchist,is-an-artist,is-an-engineer,is-an-entertainer,is-certified,is-gone,is-into-anime,is-into-cars,is-into-cartoons,is-into-games,is-leet,is-not-certified,is-slick,is-uberleet,is-with-theband,isa-geek,isa-hockeynut,issmarterthanyou,likes-pie,likescandy,neat-url,saves-the-whales,selfip,sells-for-less,sells-for-u,servebbs,simple-url,space-to-rent,teaches-yoga,writesthisblog,ddnsfree,ddnsgeek,giize,gleeze,kozow,loseyourip,ooguy,theworkpc,mytuleap,tuleap-partners,encoreapi,eu-1.evennode,eu-2.evennode,eu-3.evennode,eu-4.evennode,us-1.evennode,us-2.evennode,us-3.evennode,us-4.evennode,onfabrica,fastly-edge,fastly-terrarium,fastvps-server,mydobiss,firebaseapp,fldrv,forgeblocks,framercanvas,freebox-os,freeboxos,freemyip,aliases121,gentapps,gentlentapis,githubusercontent,*.0emm,appspot,*.r.appspot,blogspot,codespot,googleapis,googlecode,pagespeedmobilizer,withgoogle,withyoutube,grayjayleagues,hatenablog,hatenadiary,herokuapp,herokussl,gr,smushcdn,wphostedmail,wpmucdn,pixolino,apps-1and1,live-website,dopaas,paas.hosted-by-previder,rag-cloud.hosteur,rag-cloud-ch.hosteur,jcloud.ik-server,jcloud-ver-jpc.ik-server,demo.jelastic,paas.massivegrid,jed.wafaicloud,ryd.wafaicloud,webadorsite,*.cns.joyent,lpusercontent,members.linode,*.nodebalancer.linode,*.linodeobjects,ip.linodeusercontent,barsycenter,barsyonline,modelscape,mwcloudnonprod,polyspace,mazeplay,miniserver,atmeta,apps.fbsbx,meteorapp,eu.meteorapp,routingthecloud,mydbserver,hostedpi,caracal.mythic-beasts,customer.mythic-beasts,fentiger.mythic-beasts,lynx.mythic-beasts,ocelot.mythic-beasts,oncilla.mythic-beasts,onza.mythic-beasts,sphinx.mythic-beasts,vs.mythic-beasts,x.mythic-beasts,yali.mythic-beasts,cloud.nospamproxy,4u,nfshost,3utilities,blogsyte,ciscofreak,damnserver,ddnsking,ditchyourip,dnsiskinky,dynns,geekgalaxy,health-carereform,homesecuritymac,homesecuritypc,myactivedirectory,mysecuritycamera,myvnc,net-freaks,onthewifi,point2this,quicksytes,securitytactics,servebeer,servecounterstrike,serveexchange,serveftp,servegame,servehalflife,servehttp,servehumour,serveirc,servemp3,servep2p,servepics,servequake,servesarcasm,stufftoread,unusualperson,workisboring,001www,myiphost,static.observableusercontent,simplesite,orsites,operaunite,*.customer-oci,*.oci.customer-oci,*.ocp.customer-oci,*.ocs.customer-oci,*.oraclecloudapps,*.oraclegovcloudapps,authgear-staging,authgearapps,skygearapp,outsystemscloud,ownprovider,pgfog,pagexl,gotpantheon,*.paywhirl,upsunapp,platter-app,postman-echo,xen.prgmr,pythonanywhere,eu.pythonanywhere,qa2,alpha-myqnapcloud,dev-myqnapcloud,mycloudnas,mynascloud,myqnapcloud,qualifioapp,ladesk,qbuser,*.quipelements,rackmaze,readthedocs-hosted,rhcloud,onrender,app.render,180r,dojin,sakuratan,sakuraweb,x0,*.builder.code,*.dev-builder.code,*.stg-builder.code,*.001.test.code-builder-stg.platform.salesforce,logoip,scrysec,firewall-gateway,myshopblocks,myshopify,shopitsite,1kapp,appchizi,applinzi,sinaapp,vipsinaapp,streamlitapp,try-snowplow,playstation-cloud,myspreadshop,w-corp-staticblitz,w-credentialless-staticblitz,w-staticblitz,stackhero-network,api.stdlib,strapiapp,media.strapiapp,streak-link,streaklinks,streakusercontent,temp-dns,dsmynas,familyds,mytabit,taveusercontent,site.tb-hosting,reservd,thingdustdata,townnews-staging,pro.typeform,hk,it,*.vultrobjects,wafflecell,hotelwithflight,reserve-online,cprapid,pleskns,remotewd,pages.wiardweb,wixsite,wixstudio,messwithdns,woltlab-demo,wpenginepowered,js.wpenginepowered,xnbay,u2.xnbay,u2-local.xnbay,yolasite;coop:;cr:,ac,co,ed,fi,go,or,sa;cu:,com,edu,gob,inf,nat,net,org;cv:,com,edu,id,int,net,nome,org,publ,blogspot;cw:,com,edu,net,org;cx:,gov,cloudns,ath,info,assessments,calculators,funnels,paynow,quizzes,researched,tests;cy:,ac,biz,com,ekloges,gov,ltd,mil,net,org,press,pro,tm,blogspot.com,j.scaleforce.com;cz:,rsc.contentproxy9,realm,e4,blogspot,co,*.cloud.metacentrum,custom.metacentrum,flt.cloud.muni,usr.cloud.muni;de:,bplaced,square7,com,dyn.cosidns,dnsupdater,dynamisches-dns,internet-dns,l-o-g-i-n,ddnss,dyn.ddnss,dyndns.ddnss,dyn-ip24,dyndns1,home-webserver,dyn.home-webserver,myhome-server,dnshome,fuettertdasnetz,isteingeek,istmein,lebtimnetz,leitungsen,traeumtgerade,*.frusky,goip,blogspot,günstigbestellen,günstigliefern,pages.it.hs-heilbronn,pages-research.it.hs-heilbronn,dyn-berlin,in-berlin,in-brb,in-butter,in-dsl,in-vpn,iservschule,mein-iserv,schulplattform,schulserver,test-iserv,keymachine,git-repos,lcube-server,svn-repos,barsy,webspaceconfig,123webseite,rub,ruhr-uni-bochum,io.noc.ruhr-uni-bochum,logoip,firewall-gateway,my-gateway,my-router,spdns,customer.speedpartner,myspreadshop,taifun-dns,12hp,2ix,4lima,lima-city,dd-dns,dray-dns,draydns,dyn-vpn,dynvpn,mein-vigor,my-vigor,my-wan,syno-ds,synology-diskstation,synology-ds,*.uberspace,virtual-user,virtualuser,community-pro,diskussionsbereich;dj:;dk:,biz,co,firm,reg,store,blogspot,123hjemmeside,myspreadshop;dm:,co,com,edu,gov,net,org;do:,art,com,edu,gob,gov,mil,net,org,sld,web;dz:,art,asso,com,edu,gov,net,org,pol,soc,tm;ec:,com,edu,fin,gob,gov,info,k12,med,mil,net,org,pro,base,official;edu:,git-pages.rit;ee:,aip,com,edu,fie,gov,lib,med,org,pri,riik,blogspot.com;eg:,ac,com,edu,eun,gov,info,me,mil,name,net,org,sci,sport,tv,blogspot.com;er:*;es:,com,edu,gob,nom,org,blogspot.com,123miweb,myspreadshop;et:,biz,com,edu,gov,info,name,net,org;eu:,airkitapps,cloudns,jelastic.dogado,barsy,spdns,*.transurl,diskstation;fi:,aland,dy,blogspot,häkkinen,iki,fi.cloudplatform,demo.datacenter,paas.datacenter,kapsi,123kotisivu,myspreadshop;fj:,ac,biz,com,gov,info,mil,name,net,org,pro;fk:*;fm:,com,edu,net,org,radio,*.user;fo:;fr:,asso,com,gouv,nom,prd,tm,avoues,cci,greta,huissier-justice,en-root,fbx-os,fbxos,freebox-os,freeboxos,blogspot,goupile,123siteweb,on-web,chirurgiens-dentistes-en-france,dedibox,aeroport,avocat,chambagri,chirurgiens-dentistes,experts-comptables,medecin,notaires,pharmacien,port,veterinaire,myspreadshop,ynh;ga:;gb:;gd:,edu,gov;ge:,com,edu,gov,net,org,pvt,school;gf:;gg:,co,net,org,kaas,stackit,panel,daemon.panel;gh:,com,edu,gov,mil,org;gi:,com,edu,gov,ltd,mod,org;gl:,co,com,edu,net,org,biz;gm:;gn:,ac,com,edu,gov,net,org;gov:;gp:,asso,com,edu,mobi,net,org;gq:;gr:,com,edu,gov,net,org,blogspot,barsy,simplesite;gs:;gt:,com,edu,gob,ind,mil,net,org;gu:,com,edu,gov,guam,info,net,org,web;gw:;gy:,co,com,edu,gov,net,org;hk:,com,edu,gov,idv,net,org,个人,個人,公司,政府,敎育,教育,箇人,組織,組织,網絡,網络,组織,组织,网絡,网络,blogspot,secaas,inc,ltd;hm:;hn:,com,edu,gob,mil,net,org;hr:,com,from,iz,name,shop.brendly,blogspot,free;ht:,adult,art,asso,com,coop,edu,firm,gouv,info,med,net,org,perso,pol,pro,rel,shop,rt;hu:,2000,agrar,bolt,casino,city,co,erotica,erotika,film,forum,games,hotel,info,ingatlan,jogasz,konyvelo,lakas,media,news,org,priv,reklam,sex,shop,sport,suli,szex,tm,tozsde,utazas,video,blogspot;id:,ac,biz,co,desa,go,mil,my,net,or,ponpes,sch,web,rss.my,blogspot.co;ie:,gov,blogspot,myspreadshop;il:,ac,co,gov,idf,k12,muni,net,org,blogspot.co,ravpage.co,mytabit.co,tabitorder.co;ישראל:,אקדמיה,ישוב,צהל,ממשל;im:,ac,co,ltd.co,plc.co,com,net,org,tt,tv;in:,5g,6g,ac,ai,am,bihar,biz,business,ca,cn,co,com,coop,cs,delhi,dr,edu,er,firm,gen,gov,gujarat,ind,info,int,internet,io,me,mil,net,nic,org,pg,post,pro,res,travel,tv,uk,up,us,cloudns,blogspot,barsy,web,supabase;info:,cloudns,dynamic-dns,barrel-of-knowledge,barrell-of-knowledge,dyndns,for-our,groks-the,groks-this,here-for-more,knowsitall,selfip,webhop,barsy,mayfirst,mittwald,mittwaldserver,typo3server,dvrcam,ilovecollege,no-ip,forumz,nsupdate,dnsupdate,v-info;int:,eu;io:,co,com,edu,gov,mil,net,nom,org,*.on-acorn,apigee,b-data,beagleboard,bitbucket,bluebite,boxfuse,*.s.brave,browsersafetymark,uk0.bigv,cleverapps,dyndns.dappnode,darklang,definima,dedyn,drud,fh-muenster,shw,id.forgerock,github,gitlab,lolipop,hasura-app,hostyhosting,hypernode,*.moonscale,paas.beebyte,sekd1.beebyteapp,jele,webthings,loginline,barsy,*.azurecontainer,ngrok,ap.ngrok,au.ngrok,eu.ngrok,in.ngrok,jp.ngrok,sa.ngrok,us.ngrok,stage.nodeart,pantheonsite,pstmn,mock.pstmn,protonet,qcx,*.sys.qcx,qoto,vaporcloud,myrdbx,site.rb-hosting,*.on-k3s,*.on-rio,readthedocs,resindevice,devices.resinstaging,hzc,sandcats,client.scrypted,shiftedit,mo-siemens,apps.lair,*.stolos,spacekit,musician,utwente,edugit,telebit,cust.dev.thingdust,reservd.dev.thingdust,cust.disrec.thingdust,reservd.disrec.thingdust,cust.prod.thingdust,cust.testing.thingdust,reservd.testing.thingdust,tickets,upli,2038,webflow,webflowtest,editorx,wixstudio,basicserver,virtualserver;iq:,com,edu,gov,mil,net,org;ir:,ac,co,gov,id,net,org,sch,ایران,ايران,arvanedge;is:,blogspot;it:,edu,gov,abr,abruzzo,aosta-valley,aostavalley,bas,basilicata,cal,calabria,cam,campania,emilia-romagna,emiliaromagna,emr,friuli-v-giulia,friuli-ve-giulia,friuli-vegiulia,friuli-venezia-giulia,friuli-veneziagiulia,friuli-vgiulia,friuliv-giulia,friulive-giulia,friulivegiulia,friulivenezia-giulia,friuliveneziagiulia,friulivgiulia,fvg,laz,lazio,lig,liguria,lom,lombardia,lombardy,lucania,mar,marche,mol,molise,piedmont,piemonte,pmn,pug,puglia,sar,sardegna,sardinia,sic,sicilia,sicily,taa,tos,toscana,trentin-sud-tirol,trentin-süd-tirol,trentin-sudtirol,trentin-südtirol,trentin-sued-tirol,trentin-suedtirol,trentino,trentino-a-adige,trentino-aadige,trentino-alto-adige,trentino-altoadige,trentino-s-tirol,trentino-stirol,trentino-sud-tirol,trentino-süd-tirol,trentino-sudtirol,trentino-südtirol,trentino-sued-tirol,trentino-suedtirol,trentinoa-adige,trentinoaadige,trentinoalto-adige,trentinoaltoadige,trentinos-tirol,trentinostirol,trentinosud-tirol,trentinosüd-tirol,trentinosudtirol,trentinosüdtirol,trentinosued-tirol,trentinosuedtirol,trentinsud-tirol,trentinsüd-tirol,trentinsudtirol,trentinsüdtirol,trentinsued-tirol,trentinsuedtirol,tuscany,umb,umbria,val-d-aosta,val-daosta,vald-aosta,valdaosta,valle-aosta,valle-d-aosta,valle-daosta,valleaosta,valled-aosta,valledaosta,vallee-aoste,vallée-aoste,vallee-d-aoste,vallée-d-aoste,valleeaoste,valléeaoste,valleedaoste,valléedaoste,vao,vda,ven,veneto,ag,agrigento,al,alessandria,alto-adige,altoadige,an,ancona,andria-barletta-trani,andria-trani-barletta,andriabarlettatrani,andriatranibarletta,ao,aosta,aoste,ap,aq,aquila,ar,arezzo,ascoli-piceno,ascolipiceno,asti,at,av,avellino,ba,balsan,balsan-sudtirol,balsan-südtirol,balsan-suedtirol,bari,barletta-trani-andria,barlettatraniandria,belluno,benevento,bergamo,bg,bi,biella,bl,bn,bo,bologna,bolzano,bolzano-altoadige,bozen,bozen-sudtirol,bozen-südtirol,bozen-suedtirol,br,brescia,brindisi,bs,bt,bulsan,bulsan-sudtirol,bulsan-südtirol,bulsan-suedtirol,bz,ca,cagliari,caltanissetta,campidano-medio,campidanomedio,campobasso,carbonia-iglesias,carboniaiglesias,carrara-massa,carraramassa,caserta,catania,catanzaro,cb,ce,cesena-forli,cesena-forlì,cesenaforli,cesenaforlì,ch,chieti,ci,cl,cn,co,como,cosenza,cr,cremona,crotone,cs,ct,cuneo,cz,dell-ogliastra,dellogliastra,en,enna,fc,fe,fermo,ferrara,fg,fi,firenze,florence,fm,foggia,forli-cesena,forlì-cesena,forlicesena,forlìcesena,fr,frosinone,ge,genoa,genova,go,gorizia,gr,grosseto,iglesias-carbonia,iglesiascarbonia,im,imperia,is,isernia,kr,la-spezia,laquila,laspezia,latina,lc,le,lecce,lecco,li,livorno,lo,lodi,lt,lu,lucca,macerata,mantova,massa-carrara,massacarrara,matera,mb,mc,me,medio-campidano,mediocampidano,messina,mi,milan,milano,mn,mo,modena,monza,monza-brianza,monza-e-della-brianza,monzabrianza,monzaebrianza,monzaedellabrianza,ms,mt,na,naples,napoli,no,novara,nu,nuoro,og,ogliastra,olbia-tempio,olbiatempio,or,oristano,ot,pa,padova,padua,palermo,parma,pavia,pc,pd,pe,perugia,pesaro-urbino,pesarourbino,pescara,pg,pi,piacenza,pisa,pistoia,pn,po,pordenone,potenza,pr,prato,pt,pu,pv,pz,ra,ragusa,ravenna,rc,re,reggio-calabria,reggio-emilia,reggiocalabria,reggioemilia,rg,ri,rieti,rimini,rm,rn,ro,roma,rome,rovigo,sa,salerno,sassari,savona,si,siena,siracusa,so,sondrio,sp,sr,ss,südtirol,suedtirol,sv,ta,taranto,te,tempio-olbia,tempioolbia,teramo,terni,tn,to,torino,tp,tr,trani-andria-barletta,trani-barletta-andria,traniandriabarletta,tranibarlettaandria,trapani,trento,treviso,trieste,ts,turin,tv,ud,udine,urbino-pesaro,urbinopesaro,va,varese,vb,vc,ve,venezia,venice,verbania,vercelli,verona,vi,vibo-valentia,vibovalentia,vicenza,viterbo,vr,vs,vt,vv,12chars,blogspot,ibxos,iliadboxos,jc.neen,123homepage,16-b,32-b,64-b,myspreadshop,syncloud;je:,co,net,org,of;jm:*;jo:,agri,ai,com,edu,eng,fm,gov,mil,net,org,per,phd,sch,tv;jobs:;jp:,ac,ad,co,ed,go,gr,lg,ne,or,aichi,akita,aomori,chiba,ehime,fukui,fukuoka,fukushima,gifu,gunma,hiroshima,hokkaido,hyogo,ibaraki,ishikawa,iwate,kagawa,kagoshima,kanagawa,kochi,kumamoto,kyoto,mie,miyagi,miyazaki,nagano,nagasaki,nara,niigata,oita,okayama,okinawa,osaka,saga,saitama,shiga,shimane,shizuoka,tochigi,tokushima,tokyo,tottori,toyama,wakayama,yamagata,yamaguchi,yamanashi,三重,京都,佐賀,兵庫,北海道,千葉,和歌山,埼玉,大分,大阪,奈良,宮城,宮崎,富山,山口,山形,山梨,岐阜,岡山,岩手,島根,広島,徳島,愛媛,愛知,新潟,東京,栃木,沖縄,滋賀,熊本,石川,神奈川,福井,福岡,福島,秋田,群馬,茨城,長崎,長野,青森,静岡,香川,高知,鳥取,鹿児島,*.kawasaki,!city.kawasaki,*.kitakyushu,!city.kitakyushu,*.kobe,!city.kobe,*.nagoya,!city.nagoya,*.sapporo,!city.sapporo,*.sendai,!city.sendai,*.yokohama,!city.yokohama,aisai.aichi,ama.aichi,anjo.aichi,asuke.aichi,chiryu.aichi,chita.aichi,fuso.aichi,gamagori.aichi,handa.aichi,hazu.aichi,hekinan.aichi,higashiura.aichi,ichinomiya.aichi,inazawa.aichi,inuyama.aichi,isshiki.aichi,iwakura.aichi,kanie.aichi,kariya.aichi,kasugai.aichi,kira.aichi,kiyosu.aichi,komaki.aichi,konan.aichi,kota.aichi,mihama.aichi,miyoshi.aichi,nishio.aichi,nisshin.aichi,obu.aichi,oguchi.aichi,oharu.aichi,okazaki.aichi,owariasahi.aichi,seto.aichi,shikatsu.aichi,shinshiro.aichi,shitara.aichi,tahara.aichi,takahama.aichi,tobishima.aichi,toei.aichi,togo.aichi,tokai.aichi,tokoname.aichi,toyoake.aichi,toyohashi.aichi,toyokawa.aichi,toyone.aichi,toyota.aichi,tsushima.aichi,yatomi.aichi,akita.akita,daisen.akita,fujisato.akita,gojome.akita,hachirogata.akita,happou.akita,higashinaruse.akita,honjo.akita,honjyo.akita,ikawa.akita,kamikoani.akita,kamioka.akita,katagami.akita,kazuno.akita,kitaakita.akita,kosaka.akita,kyowa.akita,misato.akita,mitane.akita,moriyoshi.akita,nikaho.akita,noshiro.akita,odate.akita,oga.akita,ogata.akita,semboku.akita,yokote.akita,yurihonjo.akita,aomori.aomori,gonohe.aomori,hachinohe.aomori,hashikami.aomori,hiranai.aomori,hirosaki.aomori,itayanagi.aomori,kuroishi.aomori,misawa.aomori,mutsu.aomori,nakadomari.aomori,noheji.aomori,oirase.aomori,owani.aomori,rokunohe.aomori,sannohe.aomori,shichinohe.aomori,shingo.aomori,takko.aomori,towada.aomori,tsugaru.aomori,tsuruta.aomori,abiko.chiba,asahi.chiba,chonan.chiba,chosei.chiba,choshi.chiba,chuo.chiba,funabashi.chiba,futtsu.chiba,hanamigawa.chiba,ichihara.chiba,ichikawa.chiba,ichinomiya.chiba,inzai.chiba,isumi.chiba,kamagaya.chiba,kamogawa.chiba,kashiwa.chiba,katori.chiba,katsuura.chiba,kimitsu.chiba,kisarazu.chiba,kozaki.chiba,kujukuri.chiba,kyonan.chiba,matsudo.chiba,midori.chiba,mihama.chiba,minamiboso.chiba,mobara.chiba,mutsuzawa.chiba,nagara.chiba,nagareyama.chiba,narashino.chiba,narita.chiba,noda.chiba,oamishirasato.chiba,omigawa.chiba,onjuku.chiba,otaki.chiba,sakae.chiba,sakura.chiba,shimofusa.chiba,shirako.chiba,shiroi.chiba,shisui.chiba,sodegaura.chiba,sosa.chiba,tako.chiba,tateyama.chiba,togane.chiba,tohnosho.chiba,tomisato.chiba,urayasu.chiba,yachimata.chiba,yachiyo.chiba,yokaichiba.chiba,yokoshibahikari.chiba,yotsukaido.chiba,ainan.ehime,honai.ehime,ikata.ehime,imabari.ehime,iyo.ehime,kamijima.ehime,kihoku.ehime,kumakogen.ehime,masaki.ehime,matsuno.ehime,matsuyama.ehime,namikata.ehime,niihama.ehime,ozu.ehime,saijo.ehime,seiyo.ehime,shikokuchuo.ehime,tobe.ehime,toon.ehime,uchiko.ehime,uwajima.ehime,yawatahama.ehime,echizen.fukui,eiheiji.fukui,fukui.fukui,ikeda.fukui,katsuyama.fukui,mihama.fukui,minamiechizen.fukui,obama.fukui,ohi.fukui,ono.fukui,sabae.fukui,sakai.fukui,takahama.fukui,tsuruga.fukui,wakasa.fukui,ashiya.fukuoka,buzen.fukuoka,chikugo.fukuoka,chikuho.fukuoka,chikujo.fukuoka,chikushino.fukuoka,chikuzen.fukuoka,chuo.fukuoka,dazaifu.fukuoka,fukuchi.fukuoka,hakata.fukuoka,higashi.fukuoka,hirokawa.fukuoka,hisayama.fukuoka,iizuka.fukuoka,inatsuki.fukuoka,kaho.fukuoka,kasuga.fukuoka,kasuya.fukuoka,kawara.fukuoka,keisen.fukuoka,koga.fukuoka,kurate.fukuoka,kurogi.fukuoka,kurume.fukuoka,minami.fukuoka,miyako.fukuoka,miyama.fukuoka,miyawaka.fukuoka,mizumaki.fukuoka,munakata.fukuoka,nakagawa.fukuoka,nakama.fukuoka,nishi.fukuoka,nogata.fukuoka,ogori.fukuoka,okagaki.fukuoka,okawa.fukuoka,oki.fukuoka,omuta.fukuoka,onga.fukuoka,onojo.fukuoka,oto.fukuoka,saigawa.fukuoka,sasaguri.fukuoka,shingu.fukuoka,shinyoshitomi.fukuoka,shonai.fukuoka,soeda.fukuoka,sue.fukuoka,tachiarai.fukuoka,tagawa.fukuoka,takata.fukuoka,toho.fukuoka,toyotsu.fukuoka,tsuiki.fukuoka,ukiha.fukuoka,umi.fukuoka,usui.fukuoka,yamada.fukuoka,yame.fukuoka,yanagawa.fukuoka,yukuhashi.fukuoka,aizubange.fukushima,aizumisato.fukushima,aizuwakamatsu.fukushima,asakawa.fukushima,bandai.fukushima,date.fukushima,fukushima.fukushima,furudono.fukushima,futaba.fukushima,hanawa.fukushima,higashi.fukushima,hirata.fukushima,hirono.fukushima,iitate.fukushima,inawashiro.fukushima,ishikawa.fukushima,iwaki.fukushima,izumizaki.fukushima,kagamiishi.fukushima,kaneyama.fukushima,kawamata.fukushima,kitakata.fukushima,kitashiobara.fukushima,koori.fukushima,koriyama.fukushima,kunimi.fukushima,miharu.fukushima,mishima.fukushima,namie.fukushima,nango.fukushima,nishiaizu.fukushima,nishigo.fukushima,okuma.fukushima,omotego.fukushima,ono.fukushima,otama.fukushima,samegawa.fukushima,shimogo.fukushima,shirakawa.fukushima,showa.fukushima,soma.fukushima,sukagawa.fukushima,taishin.fukushima,tamakawa.fukushima,tanagura.fukushima,tenei.fukushima,yabuki.fukushima,yamato.fukushima,yamatsuri.fukushima,yanaizu.fukushima,yugawa.fukushima,anpachi.gifu,ena.gifu,gifu.gifu,ginan.gifu,godo.gifu,gujo.gifu,hashima.gifu,hichiso.gifu,hida.gifu,higashishirakawa.gifu,ibigawa.gifu,ikeda.gifu,kakamigahara.gifu,kani.gifu,kasahara.gifu,kasamatsu.gifu,kawaue.gifu,kitagata.gifu,mino.gifu,minokamo.gifu,mitake.gifu,mizunami.gifu,motosu.gifu,nakatsugawa.gifu,ogaki.gifu,sakahogi.gifu,seki.gifu,sekigahara.gifu,shirakawa.gifu,tajimi.gifu,takayama.gifu,tarui.gifu,toki.gifu,tomika.gifu,wanouchi.gifu,yamagata.gifu,yaotsu.gifu,yoro.gifu,annaka.gunma,chiyoda.gunma,fujioka.gunma,higashiagatsuma.gunma,isesaki.gunma,itakura.gunma,kanna.gunma,kanra.gunma,katashina.gunma,kawaba.gunma,kiryu.gunma,kusatsu.gunma,maebashi.gunma,meiwa.gunma,midori.gunma,minakami.gunma,naganohara.gunma,nakanojo.gunma,nanmoku.gunma,numata.gunma,oizumi.gunma,ora.gunma,ota.gunma,shibukawa.gunma,shimonita.gunma,shinto.gunma,showa.gunma,takasaki.gunma,takayama.gunma,tamamura.gunma,tatebayashi.gunma,tomioka.gunma,tsukiyono.gunma,tsumagoi.gunma,ueno.gunma,yoshioka.gunma,asaminami.hiroshima,daiwa.hiroshima,etajima.hiroshima,fuchu.hiroshima,fukuyama.hiroshima,hatsukaichi.hiroshima,higashihiroshima.hiroshima,hongo.hiroshima,jinsekikogen.hiroshima,kaita.hiroshima,kui.hiroshima,kumano.hiroshima,kure.hiroshima,mihara.hiroshima,miyoshi.hiroshima,naka.hiroshima,onomichi.hiroshima,osakikamijima.hiroshima,otake.hiroshima,saka.hiroshima,sera.hiroshima,seranishi.hiroshima,shinichi.hiroshima,shobara.hiroshima,takehara.hiroshima,abashiri.hokkaido,abira.hokkaido,aibetsu.hokkaido,akabira.hokkaido,akkeshi.hokkaido,asahikawa.hokkaido,ashibetsu.hokkaido,ashoro.hokkaido,assabu.hokkaido,atsuma.hokkaido,bibai.hokkaido,biei.hokkaido,bifuka.hokkaido,bihoro.hokkaido,biratori.hokkaido,chippubetsu.hokkaido,chitose.hokkaido,date.hokkaido,ebetsu.hokkaido,embetsu.hokkaido,eniwa.hokkaido,erimo.hokkaido,esan.hokkaido,esashi.hokkaido,fukagawa.hokkaido,fukushima.hokkaido,furano.hokkaido,furubira.hokkaido,haboro.hokkaido,hakodate.hokkaido,hamatonbetsu.hokkaido,hidaka.hokkaido,higashikagura.hokkaido,higashikawa.hokkaido,hiroo.hokkaido,hokuryu.hokkaido,hokuto.hokkaido,honbetsu.hokkaido,horokanai.hokkaido,horonobe.hokkaido,ikeda.hokkaido,imakane.hokkaido,ishikari.hokkaido,iwamizawa.hokkaido,iwanai.hokkaido,kamifurano.hokkaido,kamikawa.hokkaido,kamishihoro.hokkaido,kamisunagawa.hokkaido,kamoenai.hokkaido,kayabe.hokkaido,kembuchi.hokkaido,kikonai.hokkaido,kimobetsu.hokkaido,kitahiroshima.hokkaido,kitami.hokkaido,kiyosato.hokkaido,koshimizu.hokkaido,kunneppu.hokkaido,kuriyama.hokkaido,kuromatsunai.hokkaido,kushiro.hokkaido,kutchan.hokkaido,kyowa.hokkaido,mashike.hokkaido,matsumae.hokkaido,mikasa.hokkaido,minamifurano.hokkaido,mombetsu.hokkaido,moseushi.hokkaido,mukawa.hokkaido,muroran.hokkaido,naie.hokkaido,nakagawa.hokkaido,nakasatsunai.hokkaido,nakatombetsu.hokkaido,nanae.hokkaido,nanporo.hokkaido,nayoro.hokkaido,nemuro.hokkaido,niikappu.hokkaido,niki.hokkaido,nishiokoppe.hokkaido,noboribetsu.hokkaido,numata.hokkaido,obihiro.hokkaido,obira.hokkaido,oketo.hokkaido,okoppe.hokkaido,otaru.hokkaido,otobe.hokkaido,otofuke.hokkaido,otoineppu.hokkaido,oumu.hokkaido,ozora.hokkaido,pippu.hokkaido,rankoshi.hokkaido,rebun.hokkaido,rikubetsu.hokkaido,rishiri.hokkaido,rishirifuji.hokkaido,saroma.hokkaido,sarufutsu.hokkaido,shakotan.hokkaido,shari.hokkaido,shibecha.hokkaido,shibetsu.hokkaido,shikabe.hokkaido,shikaoi.hokkaido,shimamaki.hokkaido,shimizu.hokkaido,shimokawa.hokkaido,shinshinotsu.hokkaido,shintoku.hokkaido,shiranuka.hokkaido,shiraoi.hokkaido,shiriuchi.hokkaido,sobetsu.hokkaido,sunagawa.hokkaido,taiki.hokkaido,takasu.hokkaido,takikawa.hokkaido,takinoue.hokkaido,teshikaga.hokkaido,tobetsu.hokkaido,tohma.hokkaido,tomakomai.hokkaido,tomari.hokkaido,toya.hokkaido,toyako.hokkaido,toyotomi.hokkaido,toyoura.hokkaido,tsubetsu.hokkaido,tsukigata.hokkaido,urakawa.hokkaido,urausu.hokkaido,uryu.hokkaido,utashinai.hokkaido,wakkanai.hokkaido,wassamu.hokkaido,yakumo.hokkaido,yoichi.hokkaido,aioi.hyogo,akashi.hyogo,ako.hyogo,amagasaki.hyogo,aogaki.hyogo,asago.hyogo,ashiya.hyogo,awaji.hyogo,fukusaki.hyogo,goshiki.hyogo,harima.hyogo,himeji.hyogo,ichikawa.hyogo,inagawa.hyogo,itami.hyogo,kakogawa.hyogo,kamigori.hyogo,kamikawa.hyogo,kasai.hyogo,kasuga.hyogo,kawanishi.hyogo,miki.hyogo,minamiawaji.hyogo,nishinomiya.hyogo,nishiwaki.hyogo,ono.hyogo,sanda.hyogo,sannan.hyogo,sasayama.hyogo,sayo.hyogo,shingu.hyogo,shinonsen.hyogo,shiso.hyogo,sumoto.hyogo,taishi.hyogo,taka.hyogo,takarazuka.hyogo,takasago.hyogo,takino.hyogo,tamba.hyogo,tatsuno.hyogo,toyooka.hyogo,yabu.hyogo,yashiro.hyogo,yoka.hyogo,yokawa.hyogo,ami.ibaraki,asahi.ibaraki,bando.ibaraki,chikusei.ibaraki,daigo.ibaraki,fujishiro.ibaraki,hitachi.ibaraki,hitachinaka.ibaraki,hitachiomiya.ibaraki,hitachiota.ibaraki,ibaraki.ibaraki,ina.ibaraki,inashiki.ibaraki,itako.ibaraki,iwama.ibaraki,joso.ibaraki,kamisu.ibaraki,kasama.ibaraki,kashima.ibaraki,kasumigaura.ibaraki,koga.ibaraki,miho.ibaraki,mito.ibaraki,moriya.ibaraki,naka.ibaraki,namegata.ibaraki,oarai.ibaraki,ogawa.ibaraki,omitama.ibaraki,ryugasaki.ibaraki,sakai.ibaraki,sakuragawa.ibaraki,shimodate.ibaraki,shimotsuma.ibaraki,shirosato.ibaraki,sowa.ibaraki,suifu.ibaraki,takahagi.ibaraki,tamatsukuri.ibaraki,tokai.ibaraki,tomobe.ibaraki,tone.ibaraki,toride.ibaraki,tsuchiura.ibaraki,tsukuba.ibaraki,uchihara.ibaraki,ushiku.ibaraki,yachiyo.ibaraki,yamagata.ibaraki,yawara.ibaraki,yuki.ibaraki,anamizu.ishikawa,hakui.ishikawa,hakusan.ishikawa,kaga.ishikawa,kahoku.ishikawa,kanazawa.ishikawa,kawakita.ishikawa,komatsu.ishikawa,nakanoto.ishikawa,nanao.ishikawa,nomi.ishikawa,nonoichi.ishikawa,noto.ishikawa,shika.ishikawa,suzu.ishikawa,tsubata.ishikawa,tsurugi.ishikawa,uchinada.ishikawa,wajima.ishikawa,fudai.iwate,fujisawa.iwate,hanamaki.iwate,hiraizumi.iwate,hirono.iwate,ichinohe.iwate,ichinoseki.iwate,iwaizumi.iwate,iwate.iwate,joboji.iwate,kamaishi.iwate,kanegasaki.iwate,karumai.iwate,kawai.iwate,kitakami.iwate,kuji.iwate,kunohe.iwate,kuzumaki.iwate,miyako.iwate,mizusawa.iwate,morioka.iwate,ninohe.iwate,noda.iwate,ofunato.iwate,oshu.iwate,otsuchi.iwate,rikuzentakata.iwate,shiwa.iwate,shizukuishi.iwate,sumita.iwate,tanohata.iwate,tono.iwate,yahaba.iwate,yamada.iwate,ayagawa.kagawa,higashikagawa.kagawa,kanonji.kagawa,kotohira.kagawa,manno.kagawa,marugame.kagawa,mitoyo.kagawa,naoshima.kagawa,sanuki.kagawa,tadotsu.kagawa,takamatsu.kagawa,tonosho.kagawa,uchinomi.kagawa,utazu.kagawa,zentsuji.kagawa,akune.kagoshima,amami.kagoshima,hioki.kagoshima,isa.kagoshima,isen.kagoshima,izumi.kagoshima,kagoshima.kagoshima,kanoya.kagoshima,kawanabe.kagoshima,kinko.kagoshima,kouyama.kagoshima,makurazaki.kagoshima,matsumoto.kagoshima,minamitane.kagoshima,nakatane.kagoshima,nishinoomote.kagoshima,satsumasendai.kagoshima,soo.kagoshima,tarumizu.kagoshima,yusui.kagoshima,aikawa.kanagawa,atsugi.kanagawa,ayase.kanagawa,chigasaki.kanagawa,ebina.kanagawa,fujisawa.kanagawa,hadano.kanagawa,hakone.kanagawa,hiratsuka.kanagawa,isehara.kanagawa,kaisei.kanagawa,kamakura.kanagawa,kiyokawa.kanagawa,matsuda.kanagawa,minamiashigara.kanagawa,miura.kanagawa,nakai.kanagawa,ninomiya.kanagawa,odawara.kanagawa,oi.kanagawa,oiso.kanagawa,sagamihara.kanagawa,samukawa.kanagawa,tsukui.kanagawa,yamakita.kanagawa,yamato.kanagawa,yokosuka.kanagawa,yugawara.kanagawa,zama.kanagawa,zushi.kanagawa,aki.kochi,geisei.kochi,hidaka.kochi,higashitsuno.kochi,ino.kochi,kagami.kochi,kami.kochi,kitagawa.kochi,kochi.kochi,mihara.kochi,motoyama.kochi,muroto.kochi,nahari.kochi,nakamura.kochi,nankoku.kochi,nishitosa.kochi,niyodogawa.kochi,ochi.kochi,okawa.kochi,otoyo.kochi,otsuki.kochi,sakawa.kochi,sukumo.kochi,susaki.kochi,tosa.kochi,tosashimizu.kochi,toyo.kochi,tsuno.kochi,umaji.kochi,yasuda.kochi,yusuhara.kochi,amakusa.kumamoto,arao.kumamoto,aso.kumamoto,choyo.kumamoto,gyokuto.kumamoto,kamiamakusa.kumamoto,kikuchi.kumamoto,kumamoto.kumamoto,mashiki.kumamoto,mifune.kumamoto,minamata.kumamoto,minamioguni.kumamoto,nagasu.kumamoto,nishihara.kumamoto,oguni.kumamoto,ozu.kumamoto,sumoto.kumamoto,takamori.kumamoto,uki.kumamoto,uto.kumamoto,yamaga.kumamoto,yamato.kumamoto,yatsushiro.kumamoto,ayabe.kyoto,fukuchiyama.kyoto,higashiyama.kyoto,ide.kyoto,ine.kyoto,joyo.kyoto,kameoka.kyoto,kamo.kyoto,kita.kyoto,kizu.kyoto,kumiyama.kyoto,kyotamba.kyoto,kyotanabe.kyoto,kyotango.kyoto,maizuru.kyoto,minami.kyoto,minamiyamashiro.kyoto,miyazu.kyoto,muko.kyoto,nagaokakyo.kyoto,nakagyo.kyoto,nantan.kyoto,oyamazaki.kyoto,sakyo.kyoto,seika.kyoto,tanabe.kyoto,uji.kyoto,ujitawara.kyoto,wazuka.kyoto,yamashina.kyoto,yawata.kyoto,asahi.mie,inabe.mie,ise.mie,kameyama.mie,kawagoe.mie,kiho.mie,kisosaki.mie,kiwa.mie,komono.mie,kumano.mie,kuwana.mie,matsusaka.mie,meiwa.mie,mihama.mie,minamiise.mie,misugi.mie,miyama.mie,nabari.mie,shima.mie,suzuka.mie,tado.mie,taiki.mie,taki.mie,tamaki.mie,toba.mie,tsu.mie,udono.mie,ureshino.mie,watarai.mie,yokkaichi.mie,furukawa.miyagi,higashimatsushima.miyagi,ishinomaki.miyagi,iwanuma.miyagi,kakuda.miyagi,kami.miyagi,kawasaki.miyagi,marumori.miyagi,matsushima.miyagi,minamisanriku.miyagi,misato.miyagi,murata.miyagi,natori.miyagi,ogawara.miyagi,ohira.miyagi,onagawa.miyagi,osaki.miyagi,rifu.miyagi,semine.miyagi,shibata.miyagi,shichikashuku.miyagi,shikama.miyagi,shiogama.miyagi,shiroishi.miyagi,tagajo.miyagi,taiwa.miyagi,tome.miyagi,tomiya.miyagi,wakuya.miyagi,watari.miyagi,yamamoto.miyagi,zao.miyagi,aya.miyazaki,ebino.miyazaki,gokase.miyazaki,hyuga.miyazaki,kadogawa.miyazaki,kawaminami.miyazaki,kijo.miyazaki,kitagawa.miyazaki,kitakata.miyazaki,kitaura.miyazaki,kobayashi.miyazaki,kunitomi.miyazaki,kushima.miyazaki,mimata.miyazaki,miyakonojo.miyazaki,miyazaki.miyazaki,morotsuka.miyazaki,nichinan.miyazaki,nishimera.miyazaki,nobeoka.miyazaki,saito.miyazaki,shiiba.miyazaki,shintomi.miyazaki,takaharu.miyazaki,takanabe.miyazaki,takazaki.miyazaki,tsuno.miyazaki,achi.nagano,agematsu.nagano,anan.nagano,aoki.nagano,asahi.nagano,azumino.nagano,chikuhoku.nagano,chikuma.nagano,chino.nagano,fujimi.nagano,hakuba.nagano,hara.nagano,hiraya.nagano,iida.nagano,iijima.nagano,iiyama.nagano,iizuna.nagano,ikeda.nagano,ikusaka.nagano,ina.nagano,karuizawa.nagano,kawakami.nagano,kiso.nagano,kisofukushima.nagano,kitaaiki.nagano,komagane.nagano,komoro.nagano,matsukawa.nagano,matsumoto.nagano,miasa.nagano,minamiaiki.nagano,minamimaki.nagano,minamiminowa.nagano,minowa.nagano,miyada.nagano,miyota.nagano,mochizuki.nagano,nagano.nagano,nagawa.nagano,nagiso.nagano,nakagawa.nagano,nakano.nagano,nozawaonsen.nagano,obuse.nagano,ogawa.nagano,okaya.nagano,omachi.nagano,omi.nagano,ookuwa.nagano,ooshika.nagano,otaki.nagano,otari.nagano,sakae.nagano,sakaki.nagano,saku.nagano,sakuho.nagano,shimosuwa.nagano,shinanomachi.nagano,shiojiri.nagano,suwa.nagano,suzaka.nagano,takagi.nagano,takamori.nagano,takayama.nagano,tateshina.nagano,tatsuno.nagano,togakushi.nagano,togura.nagano,tomi.nagano,ueda.nagano,wada.nagano,yamagata.nagano,yamanouchi.nagano,yasaka.nagano,yasuoka.nagano,chijiwa.nagasaki,futsu.nagasaki,goto.nagasaki,hasami.nagasaki,hirado.nagasaki,iki.nagasaki,isahaya.nagasaki,kawatana.nagasaki,kuchinotsu.nagasaki,matsuura.nagasaki,nagasaki.nagasaki,obama.nagasaki,omura.nagasaki,oseto.nagasaki,saikai.nagasaki,sasebo.nagasaki,seihi.nagasaki,shimabara.nagasaki,shinkamigoto.nagasaki,togitsu.nagasaki,tsushima.nagasaki,unzen.nagasaki,ando.nara,gose.nara,heguri.nara,higashiyoshino.nara,ikaruga.nara,ikoma.nara,kamikitayama.nara,kanmaki.nara,kashiba.nara,kashihara.nara,katsuragi.nara,kawai.nara,kawakami.nara,kawanishi.nara,koryo.nara,kurotaki.nara,mitsue.nara,miyake.nara,nara.nara,nosegawa.nara,oji.nara,ouda.nara,oyodo.nara,sakurai.nara,sango.nara,shimoichi.nara,shimokitayama.nara,shinjo.nara,soni.nara,takatori.nara,tawaramoto.nara,tenkawa.nara,tenri.nara,uda.nara,yamatokoriyama.nara,yamatotakada.nara,yamazoe.nara,yoshino.nara,aga.niigata,agano.niigata,gosen.niigata,itoigawa.niigata,izumozaki.niigata,joetsu.niigata,kamo.niigata,kariwa.niigata,kashiwazaki.niigata,minamiuonuma.niigata,mitsuke.niigata,muika.niigata,murakami.niigata,myoko.niigata,nagaoka.niigata,niigata.niigata,ojiya.niigata,omi.niigata,sado.niigata,sanjo.niigata,seiro.niigata,seirou.niigata,sekikawa.niigata,shibata.niigata,tagami.niigata,tainai.niigata,tochio.niigata,tokamachi.niigata,tsubame.niigata,tsunan.niigata,uonuma.niigata,yahiko.niigata,yoita.niigata,yuzawa.niigata,beppu.oita,bungoono.oita,bungotakada.oita,hasama.oita,hiji.oita,himeshima.oita,hita.oita,kamitsue.oita,kokonoe.oita,kuju.oita,kunisaki.oita,kusu.oita,oita.oita,saiki.oita,taketa.oita,tsukumi.oita,usa.oita,usuki.oita,yufu.oita,akaiwa.okayama,asakuchi.okayama,bizen.okayama,hayashima.okayama,ibara.okayama,kagamino.okayama,kasaoka.okayama,kibichuo.okayama,kumenan.okayama,kurashiki.okayama,maniwa.okayama,misaki.okayama,nagi.okayama,niimi.okayama,nishiawakura.okayama,okayama.okayama,satosho.okayama,setouchi.okayama,shinjo.okayama,shoo.okayama,soja.okayama,takahashi.okayama,tamano.okayama,tsuyama.okayama,wake.okayama,yakage.okayama,aguni.okinawa,ginowan.okinawa,ginoza.okinawa,gushikami.okinawa,haebaru.okinawa,higashi.okinawa,hirara.okinawa,iheya.okinawa,ishigaki.okinawa,ishikawa.okinawa,itoman.okinawa,izena.okinawa,kadena.okinawa,kin.okinawa,kitadaito.okinawa,kitanakagusuku.okinawa,kumejima.okinawa,kunigami.okinawa,minamidaito.okinawa,motobu.okinawa,nago.okinawa,naha.okinawa,nakagusuku.okinawa,nakijin.okinawa,nanjo.okinawa,nishihara.okinawa,ogimi.okinawa,okinawa.okinawa,onna.okinawa,shimoji.okinawa,taketomi.okinawa,tarama.okinawa,tokashiki.okinawa,tomigusuku.okinawa,tonaki.okinawa,urasoe.okinawa,uruma.okinawa,yaese.okinawa,yomitan.okinawa,yonabaru.okinawa,yonaguni.okinawa,zamami.okinawa,abeno.osaka,chihayaakasaka.osaka,chuo.osaka,daito.osaka,fujiidera.osaka,habikino.osaka,hannan.osaka,higashiosaka.osaka,higashisumiyoshi.osaka,higashiyodogawa.osaka,hirakata.osaka,ibaraki.osaka,ikeda.osaka,izumi.osaka,izumiotsu.osaka,izumisano.osaka,kadoma.osaka,kaizuka.osaka,kanan.osaka,kashiwara.osaka,katano.osaka,kawachinagano.osaka,kishiwada.osaka,kita.osaka,kumatori.osaka,matsubara.osaka,minato.osaka,minoh.osaka,misaki.osaka,moriguchi.osaka,neyagawa.osaka,nishi.osaka,nose.osaka,osakasayama.osaka,sakai.osaka,sayama.osaka,sennan.osaka,settsu.osaka,shijonawate.osaka,shimamoto.osaka,suita.osaka,tadaoka.osaka,taishi.osaka,tajiri.osaka,takaishi.osaka,takatsuki.osaka,tondabayashi.osaka,toyonaka.osaka,toyono.osaka,yao.osaka,ariake.saga,arita.saga,fukudomi.saga,genkai.saga,hamatama.saga,hizen.saga,imari.saga,kamimine.saga,kanzaki.saga,karatsu.saga,kashima.saga,kitagata.saga,kitahata.saga,kiyama.saga,kouhoku.saga,kyuragi.saga,nishiarita.saga,ogi.saga,omachi.saga,ouchi.saga,saga.saga,shiroishi.saga,taku.saga,tara.saga,tosu.saga,yoshinogari.saga,arakawa.saitama,asaka.saitama,chichibu.saitama,fujimi.saitama,fujimino.saitama,fukaya.saitama,hanno.saitama,hanyu.saitama,hasuda.saitama,hatogaya.saitama,hatoyama.saitama,hidaka.saitama,higashichichibu.saitama,higashimatsuyama.saitama,honjo.saitama,ina.saitama,iruma.saitama,iwatsuki.saitama,kamiizumi.saitama,kamikawa.saitama,kamisato.saitama,kasukabe.saitama,kawagoe.saitama,kawaguchi.saitama,kawajima.saitama,kazo.saitama,kitamoto.saitama,koshigaya.saitama,kounosu.saitama,kuki.saitama,kumagaya.saitama,matsubushi.saitama,minano.saitama,misato.saitama,miyashiro.saitama,miyoshi.saitama,moroyama.saitama,nagatoro.saitama,namegawa.saitama,niiza.saitama,ogano.saitama,ogawa.saitama,ogose.saitama,okegawa.saitama,omiya.saitama,otaki.saitama,ranzan.saitama,ryokami.saitama,saitama.saitama,sakado.saitama,satte.saitama,sayama.saitama,shiki.saitama,shiraoka.saitama,soka.saitama,sugito.saitama,toda.saitama,tokigawa.saitama,tokorozawa.saitama,tsurugashima.saitama,urawa.saitama,warabi.saitama,yashio.saitama,yokoze.saitama,yono.saitama,yorii.saitama,yoshida.saitama,yoshikawa.saitama,yoshimi.saitama,aisho.shiga,gamo.shiga,higashiomi.shiga,hikone.shiga,koka.shiga,konan.shiga,kosei.shiga,koto.shiga,kusatsu.shiga,maibara.shiga,moriyama.shiga,nagahama.shiga,nishiazai.shiga,notogawa.shiga,omihachiman.shiga,otsu.shiga,ritto.shiga,ryuoh.shiga,takashima.shiga,takatsuki.shiga,torahime.shiga,toyosato.shiga,yasu.shiga,akagi.shimane,ama.shimane,gotsu.shimane,hamada.shimane,higashiizumo.shimane,hikawa.shimane,hikimi.shimane,izumo.shimane,kakinoki.shimane,masuda.shimane,matsue.shimane,misato.shimane,nishinoshima.shimane,ohda.shimane,okinoshima.shimane,okuizumo.shimane,shimane.shimane,tamayu.shimane,tsuwano.shimane,unnan.shimane,yakumo.shimane,yasugi.shimane,yatsuka.shimane,arai.shizuoka,atami.shizuoka,fuji.shizuoka,fujieda.shizuoka,fujikawa.shizuoka,fujinomiya.shizuoka,fukuroi.shizuoka,gotemba.shizuoka,haibara.shizuoka,hamamatsu.shizuoka,higashiizu.shizuoka,ito.shizuoka,iwata.shizuoka,izu.shizuoka,izunokuni.shizuoka,kakegawa.shizuoka,kannami.shizuoka,kawanehon.shizuoka,kawazu.shizuoka,kikugawa.shizuoka,kosai.shizuoka,makinohara.shizuoka,matsuzaki.shizuoka,minamiizu.shizuoka,mishima.shizuoka,morimachi.shizuoka,nishiizu.shizuoka,numazu.shizuoka,omaezaki.shizuoka,shimada.shizuoka,shimizu.shizuoka,shimoda.shizuoka,shizuoka.shizuoka,susono.shizuoka,yaizu.shizuoka,yoshida.shizuoka,ashikaga.tochigi,bato.tochigi,haga.tochigi,ichikai.tochigi,iwafune.tochigi,kaminokawa.tochigi,kanuma.tochigi,karasuyama.tochigi,kuroiso.tochigi,mashiko.tochigi,mibu.tochigi,moka.tochigi,motegi.tochigi,nasu.tochigi,nasushiobara.tochigi,nikko.tochigi,nishikata.tochigi,nogi.tochigi,ohira.tochigi,ohtawara.tochigi,oyama.tochigi,sakura.tochigi,sano.tochigi,shimotsuke.tochigi,shioya.tochigi,takanezawa.tochigi,tochigi.tochigi,tsuga.tochigi,ujiie.tochigi,utsunomiya.tochigi,yaita.tochigi,aizumi.tokushima,anan.tokushima,ichiba.tokushima,itano.tokushima,kainan.tokushima,komatsushima.tokushima,matsushige.tokushima,mima.tokushima,minami.tokushima,miyoshi.tokushima,mugi.tokushima,nakagawa.tokushima,naruto.tokushima,sanagochi.tokushima,shishikui.tokushima,tokushima.tokushima,wajiki.tokushima,adachi.tokyo,akiruno.tokyo,akishima.tokyo,aogashima.tokyo,arakawa.tokyo,bunkyo.tokyo,chiyoda.tokyo,chofu.tokyo,chuo.tokyo,edogawa.tokyo,fuchu.tokyo,fussa.tokyo,hachijo.tokyo,hachioji.tokyo,hamura.tokyo,higashikurume.tokyo,higashimurayama.tokyo,higashiyamato.tokyo,hino.tokyo,hinode.tokyo,hinohara.tokyo,inagi.tokyo,itabashi.tokyo,katsushika.tokyo,kita.tokyo,kiyose.tokyo,kodaira.tokyo,koganei.tokyo,kokubunji.tokyo,komae.tokyo,koto.tokyo,kouzushima.tokyo,kunitachi.tokyo,machida.tokyo,meguro.tokyo,minato.tokyo,mitaka.tokyo,mizuho.tokyo,musashimurayama.tokyo,musashino.tokyo,nakano.tokyo,nerima.tokyo,ogasawara.tokyo,okutama.tokyo,ome.tokyo,oshima.tokyo,ota.tokyo,setagaya.tokyo,shibuya.tokyo,shinagawa.tokyo,shinjuku.tokyo,suginami.tokyo,sumida.tokyo,tachikawa.tokyo,taito.tokyo,tama.tokyo,toshima.tokyo,chizu.tottori,hino.tottori,kawahara.tottori,koge.tottori,kotoura.tottori,misasa.tottori,nanbu.tottori,nichinan.tottori,sakaiminato.tottori,tottori.tottori,wakasa.tottori,yazu.tottori,yonago.tottori,asahi.toyama,fuchu.toyama,fukumitsu.toyama,funahashi.toyama,himi.toyama,imizu.toyama,inami.toyama,johana.toyama,kamiichi.toyama,kurobe.toyama,nakaniikawa.toyama,namerikawa.toyama,nanto.toyama,nyuzen.toyama,oyabe.toyama,taira.toyama,takaoka.toyama,tateyama.toyama,toga.toyama,tonami.toyama,toyama.toyama,unazuki.toyama,uozu.toyama,yamada.toyama,arida.wakayama,aridagawa.wakayama,gobo.wakayama,hashimoto.wakayama,hidaka.wakayama,hirogawa.wakayama,inami.wakayama,iwade.wakayama,kainan.wakayama,kamitonda.wakayama,katsuragi.wakayama,kimino.wakayama,kinokawa.wakayama,kitayama.wakayama,koya.wakayama,koza.wakayama,kozagawa.wakayama,kudoyama.wakayama,kushimoto.wakayama,mihama.wakayama,misato.wakayama,nachikatsuura.wakayama,shingu.wakayama,shirahama.wakayama,taiji.wakayama,tanabe.wakayama,wakayama.wakayama,yuasa.wakayama,yura.wakayama,asahi.yamagata,funagata.yamagata,higashine.yamagata,iide.yamagata,kahoku.yamagata,kaminoyama.yamagata,kaneyama.yamagata,kawanishi.yamagata,mamurogawa.yamagata,mikawa.yamagata,murayama.yamagata,nagai.yamagata,nakayama.yamagata,nanyo.yamagata,nishikawa.yamagata,obanazawa.yamagata,oe.yamagata,oguni.yamagata,ohkura.yamagata,oishida.yamagata,sagae.yamagata,sakata.yamagata,sakegawa.yamagata,shinjo.yamagata,shirataka.yamagata,shonai.yamagata,takahata.yamagata,tendo.yamagata,tozawa.yamagata,tsuruoka.yamagata,yamagata.yamagata,yamanobe.yamagata,yonezawa.yamagata,yuza.yamagata,abu.yamaguchi,hagi.yamaguchi,hikari.yamaguchi,hofu.yamaguchi,iwakuni.yamaguchi,kudamatsu.yamaguchi,mitou.yamaguchi,nagato.yamaguchi,oshima.yamaguchi,shimonoseki.yamaguchi,shunan.yamaguchi,tabuse.yamaguchi,tokuyama.yamaguchi,toyota.yamaguchi,ube.yamaguchi,yuu.yamaguchi,chuo.yamanashi,doshi.yamanashi,fuefuki.yamanashi,fujikawa.yamanashi,fujikawaguchiko.yamanashi,fujiyoshida.yamanashi,hayakawa.yamanashi,hokuto.yamanashi,ichikawamisato.yamanashi,kai.yamanashi,kofu.yamanashi,koshu.yamanashi,kosuge.yamanashi,minami-alps.yamanashi,minobu.yamanashi,nakamichi.yamanashi,nanbu.yamanashi,narusawa.yamanashi,nirasaki.yamanashi,nishikatsura.yamanashi,oshino.yamanashi,otsuki.yamanashi,showa.yamanashi,tabayama.yamanashi,tsuru.yamanashi,uenohara.yamanashi,yamanakako.yamanashi,yamanashi.yamanashi,user.aseinet.ne,buyshop,fashionstore,handcrafted,kawaiishop,supersale,theshop,0am,0g0,0j0,0t0,mydns,pgw,wjg,gehirn.ne,usercontent,angry,babyblue,babymilk,backdrop,bambina,bitter,blush,boo,boy,boyfriend,but,candypop,capoo,catfood,cheap,chicappa,chillout,chips,chowder,chu,ciao,cocotte,coolblog,cranky,cutegirl,daa,deca,deci,digick,egoism,fakefur,fem,flier,floppy,fool,frenchkiss,girlfriend,girly,gloomy,gonna,greater,hacca,heavy,her,hiho,hippy,holy,hungry,icurus,itigo,jellybean,kikirara,kill,kilo,kuron,littlestar,lolipopmc,lolitapunk,lomo,lovepop,lovesick,main,mods,mond,mongolian,moo,namaste,nikita,nobushi,noor,oops,parallel,parasite,pecori,peewee,penne,pepper,perma,pigboat,pinoko,punyu,pupu,pussycat,pya,raindrop,readymade,sadist,schoolbus,secret,staba,stripper,sub,sunnyday,thick,tonkotsu,under,upper,velvet,verse,versus,vivian,watson,weblike,whitesnow,zombie,blogspot,hateblo,hatenablog,hatenadiary,2-d,bona,crap,daynight,eek,flop,halfmoon,jeez,matrix,mimoza,ivory.ne,mail-box.ne,mints.ne,mokuren.ne,opal.ne,sakura.ne,sumomo.ne,topaz.ne,netgamers,nyanta,o0o0,rdy,rgr,rulez,s3.isk01.sakurastorage,s3.isk02.sakurastorage,saloon,sblo,skr,tank,uh-oh,undo,rs.webaccel,user.webaccel,websozai,xii;ke:,ac,co,go,info,me,mobi,ne,or,sc,blogspot.co;kg:,com,edu,gov,mil,net,org,us;kh:*;ki:,biz,com,edu,gov,info,net,org;km:,ass,com,edu,gov,mil,nom,org,prd,tm,asso,coop,gouv,medecin,notaires,pharmaciens,presse,veterinaire;kn:,edu,gov,net,org;kp:,com,edu,gov,org,rep,tra;kr:,ac,co,es,go,hs,kg,mil,ms,ne,or,pe,re,sc,busan,chungbuk,chungnam,daegu,daejeon,gangwon,gwangju,gyeongbuk,gyeonggi,gyeongnam,incheon,jeju,jeonbuk,jeonnam,seoul,ulsan,blogspot;kw:,com,edu,emb,gov,ind,net,org;ky:,com,edu,net,org;kz:,com,edu,gov,mil,net,org,jcloud;la:,com,edu,gov,info,int,net,org,per,bnr;lb:,com,edu,gov,net,org;lc:,co,com,edu,gov,net,org,oy;li:,blogspot,caa;lk:,ac,assn,com,edu,gov,grp,hotel,int,ltd,net,ngo,org,sch,soc,web;lr:,com,edu,gov,net,org;ls:,ac,biz,co,edu,gov,info,net,org,sc;lt:,gov,blogspot;lu:,blogspot,123website;lv:,asn,com,conf,edu,gov,id,mil,net,org;ly:,com,edu,gov,id,med,net,org,plc,sch;ma:,ac,co,gov,net,org,press;mc:,asso,tm;md:,blogspot,ir;me:,ac,co,edu,gov,its,net,org,priv,c66,craft,edgestack,filegear,glitch,filegear-sg,lohmus,barsy,mcdir,brasilia,ddns,dnsfor,hopto,loginto,noip,webhop,soundcast,tcp4,vp4,diskstation,dscloud,i234,myds,synology,site.transip,yombo,nohost;mg:,co,com,edu,gov,mil,nom,org,prd;mh:;mil:;mk:,com,edu,gov,inf,name,net,org,blogspot;ml:,com,edu,gouv,gov,net,org,presse;mm:*;mn:,edu,gov,org,nyc;mo:,com,edu,gov,net,org;mobi:,barsy,dscloud;mp:,ju;mq:;mr:,gov;ms:,com,edu,gov,net,org,lab,minisite;mt:,com,edu,net,org,blogspot.com;mu:,ac,co,com,gov,net,or,org;museum:;mv:,aero,biz,com,coop,edu,gov,info,int,mil,museum,name,net,org,pro;mw:,ac,biz,co,com,coop,edu,gov,int,net,org;mx:,com,edu,gob,net,org,blogspot;my:,biz,com,edu,gov,mil,name,net,org,blogspot;mz:,ac,adv,co,edu,gov,mil,net,org;na:,alt,co,com,gov,net,org;name:,forgot.her,forgot.his;nc:,asso,nom;ne:;net:,adobeaemcloud,adobeio-static,adobeioruntime,akadns,akamai,akamai-staging,akamaiedge,akamaiedge-staging,akamaihd,akamaihd-staging,akamaiorigin,akamaiorigin-staging,akamaized,akamaized-staging,edgekey,edgekey-staging,edgesuite,edgesuite-staging,alwaysdata,myamaze,cloudfront,appudo,cdn.prod.atlassian-dev,myfritz,onavstack,shopselect,blackbaudcdn,boomla,bplaced,square7,r.cdn77,cdn77-ssl,gb,hu,jp,se,uk,clickrising,ddns-ip,dns-cloud,dns-dynamic,cloudaccess,cloudflare,cdn.cloudflare,cdn.cloudflareanycast,cdn.cloudflarecn,cdn.cloudflareglobal,ctfcloud,feste-ip,knx-server,static-access,*.cryptonomic,dattolocal,mydatto,debian,definima,at-band-camp,blogdns,broke-it,buyshouses,dnsalias,dnsdojo,does-it,dontexist,dynalias,dynathome,endofinternet,from-az,from-co,from-la,from-ny,gets-it,ham-radio-op,homeftp,homeip,homelinux,homeunix,in-the-band,is-a-chef,is-a-geek,isa-geek,kicks-ass,office-on-the,podzone,scrapper-site,selfip,sells-it,servebbs,serveftp,thruhere,webhop,casacam,dynu,dynv6,twmail,ru,channelsdvr,u.channelsdvr,freetls.fastly,map.fastly,a.prod.fastly,global.prod.fastly,a.ssl.fastly,b.ssl.fastly,global.ssl.fastly,fastlylb,map.fastlylb,edgeapp,keyword-on,live-on,server-on,cdn-edges,localcert,localhostcert,heteml,cloudfunctions,grafana-dev,iobb,moonscale,in-dsl,in-vpn,apps-1and1,ipifony,cloudjiffy,fra1-de.cloudjiffy,west1-us.cloudjiffy,jls-sto1.elastx,jls-sto2.elastx,jls-sto3.elastx,fr-1.paas.massivegrid,lon-1.paas.massivegrid,lon-2.paas.massivegrid,ny-1.paas.massivegrid,ny-2.paas.massivegrid,sg-1.paas.massivegrid,jelastic.saveincloud,nordeste-idc.saveincloud,j.scaleforce,kinghost,uni5,krellian,ggff,barsy,memset,azure-api,azure-mobile,azureedge,azurefd,azurestaticapps,1.azurestaticapps,2.azurestaticapps,3.azurestaticapps,4.azurestaticapps,5.azurestaticapps,6.azurestaticapps,7.azurestaticapps,centralus.azurestaticapps,eastasia.azurestaticapps,eastus2.azurestaticapps,westeurope.azurestaticapps,westus2.azurestaticapps,azurewebsites,cloudapp,trafficmanager,blob.core.windows,servicebus.windows,sn.mynetname,routingthecloud,bounceme,ddns,eating-organic,mydissent,myeffect,mymediapc,mypsx,mysecuritycamera,nhlfan,no-ip,pgafan,privatizehealthinsurance,redirectme,serveblog,serveminecraft,sytes,dnsup,hicam,now-dns,ownip,vpndns,cloudycluster,*.hosting.ovh,*.webpaas.ovh,rackmaze,myradweb,in,squares,schokokeks,firewall-gateway,seidat,senseering,siteleaf,mafelo,myspreadshop,vps-host,atl.jelastic.vps-host,njs.jelastic.vps-host,ric.jelastic.vps-host,soc.srcf,user.srcf,supabase,dsmynas,familyds,ts,*.c.ts,torproject,pages.torproject,vusercontent,reserve-online,community-pro,meinforum,yandexcloud,storage.yandexcloud,website.yandexcloud,za;nf:,arts,com,firm,info,net,other,per,rec,store,web;ng:,com,edu,gov,i,mil,mobi,name,net,org,sch,blogspot.com,biz,co.biz,dl.biz,go.biz,lg.biz,on.biz,col,firm,gen,ltd,ngo,plc;ni:,ac,biz,co,com,edu,gob,in,info,int,mil,net,nom,org,web;nl:,co,hosting-cluster,blogspot,gov,khplay,123website,myspreadshop,*.transurl,cistron,demon;no:,fhs,folkebibl,fylkesbibl,idrett,museum,priv,vgs,dep,herad,kommune,mil,stat,aa,ah,bu,fm,hl,hm,jan-mayen,mr,nl,nt,of,ol,oslo,rl,sf,st,svalbard,tm,tr,va,vf,gs.aa,gs.ah,gs.bu,gs.fm,gs.hl,gs.hm,gs.jan-mayen,gs.mr,gs.nl,gs.nt,gs.of,gs.ol,gs.oslo,gs.rl,gs.sf,gs.st,gs.svalbard,gs.tm,gs.tr,gs.va,gs.vf,akrehamn,åkrehamn,algard,ålgård,arna,bronnoysund,brønnøysund,brumunddal,bryne,drobak,drøbak,egersund,fetsund,floro,florø,fredrikstad,hokksund,honefoss,hønefoss,jessheim,jorpeland,jørpeland,kirkenes,kopervik,krokstadelva,langevag,langevåg,leirvik,mjondalen,mjøndalen,mo-i-rana,mosjoen,mosjøen,nesoddtangen,orkanger,osoyro,osøyro,raholt,råholt,sandnessjoen,sandnessjøen,skedsmokorset,slattum,spjelkavik,stathelle,stavern,stjordalshalsen,stjørdalshalsen,tananger,tranby,vossevangen,aarborte,aejrie,afjord,åfjord,agdenes,nes.akershus,aknoluokta,ákŋoluokta,al,ål,alaheadju,álaheadju,alesund,ålesund,alstahaug,alta,áltá,alvdal,amli,åmli,amot,åmot,andasuolo,andebu,andoy,andøy,ardal,årdal,aremark,arendal,ås,aseral,åseral,asker,askim,askoy,askøy,askvoll,asnes,åsnes,audnedaln,aukra,aure,aurland,aurskog-holand,aurskog-høland,austevoll,austrheim,averoy,averøy,badaddja,bådåddjå,bærum,bahcavuotna,báhcavuotna,bahccavuotna,báhccavuotna,baidar,báidár,bajddar,bájddar,balat,bálát,balestrand,ballangen,balsfjord,bamble,bardu,barum,batsfjord,båtsfjord,bearalvahki,bearalváhki,beardu,beiarn,berg,bergen,berlevag,berlevåg,bievat,bievát,bindal,birkenes,bjarkoy,bjarkøy,bjerkreim,bjugn,bodo,bodø,bokn,bomlo,bømlo,bremanger,bronnoy,brønnøy,budejju,nes.buskerud,bygland,bykle,cahcesuolo,čáhcesuolo,davvenjarga,davvenjárga,davvesiida,deatnu,dielddanuorri,divtasvuodna,divttasvuotna,donna,dønna,dovre,drammen,drangedal,dyroy,dyrøy,eid,eidfjord,eidsberg,eidskog,eidsvoll,eigersund,elverum,enebakk,engerdal,etne,etnedal,evenassi,evenášši,evenes,evje-og-hornnes,farsund,fauske,fedje,fet,finnoy,finnøy,fitjar,fjaler,fjell,fla,flå,flakstad,flatanger,flekkefjord,flesberg,flora,folldal,forde,førde,forsand,fosnes,fræna,frana,frei,frogn,froland,frosta,froya,frøya,fuoisku,fuossko,fusa,fyresdal,gaivuotna,gáivuotna,galsa,gálsá,gamvik,gangaviika,gáŋgaviika,gaular,gausdal,giehtavuoatna,gildeskal,gildeskål,giske,gjemnes,gjerdrum,gjerstad,gjesdal,gjovik,gjøvik,gloppen,gol,gran,grane,granvin,gratangen,grimstad,grong,grue,gulen,guovdageaidnu,ha,hå,habmer,hábmer,hadsel,hægebostad,hagebostad,halden,halsa,hamar,hamaroy,hammarfeasta,hámmárfeasta,hammerfest,hapmir,hápmir,haram,hareid,harstad,hasvik,hattfjelldal,haugesund,os.hedmark,valer.hedmark,våler.hedmark,hemne,hemnes,hemsedal,hitra,hjartdal,hjelmeland,hobol,hobøl,hof,hol,hole,holmestrand,holtalen,holtålen,os.hordaland,hornindal,horten,hoyanger,høyanger,hoylandet,høylandet,hurdal,hurum,hvaler,hyllestad,ibestad,inderoy,inderøy,iveland,ivgu,jevnaker,jolster,jølster,jondal,kafjord,kåfjord,karasjohka,kárášjohka,karasjok,karlsoy,karmoy,karmøy,kautokeino,klabu,klæbu,klepp,kongsberg,kongsvinger,kraanghke,kråanghke,kragero,kragerø,kristiansand,kristiansund,krodsherad,krødsherad,kvæfjord,kvænangen,kvafjord,kvalsund,kvam,kvanangen,kvinesdal,kvinnherad,kviteseid,kvitsoy,kvitsøy,laakesvuemie,lærdal,lahppi,láhppi,lardal,larvik,lavagis,lavangen,leangaviika,leaŋgaviika,lebesby,leikanger,leirfjord,leka,leksvik,lenvik,lerdal,lesja,levanger,lier,lierne,lillehammer,lillesand,lindas,lindås,lindesnes,loabat,loabát,lodingen,lødingen,lom,loppa,lorenskog,lørenskog,loten,løten,lund,lunner,luroy,lurøy,luster,lyngdal,lyngen,malatvuopmi,málatvuopmi,malselv,målselv,malvik,mandal,marker,marnardal,masfjorden,masoy,måsøy,matta-varjjat,mátta-várjjat,meland,meldal,melhus,meloy,meløy,meraker,meråker,midsund,midtre-gauldal,moareke,moåreke,modalen,modum,molde,heroy.more-og-romsdal,sande.more-og-romsdal,herøy.møre-og-romsdal,sande.møre-og-romsdal,moskenes,moss,mosvik,muosat,muosát,naamesjevuemie,nååmesjevuemie,nærøy,namdalseid,namsos,namsskogan,nannestad,naroy,narviika,narvik,naustdal,navuotna,návuotna,nedre-eiker,nesna,nesodden,nesseby,nesset,nissedal,nittedal,nord-aurdal,nord-fron,nord-odal,norddal,nordkapp,bo.nordland,bø.nordland,heroy.nordland,herøy.nordland,nordre-land,nordreisa,nore-og-uvdal,notodden,notteroy,nøtterøy,odda,oksnes,øksnes,omasvuotna,oppdal,oppegard,oppegård,orkdal,orland,ørland,orskog,ørskog,orsta,ørsta,osen,osteroy,osterøy,valer.ostfold,våler.østfold,ostre-toten,østre-toten,overhalla,ovre-eiker,øvre-eiker,oyer,øyer,oygarden,øygarden,oystre-slidre,øystre-slidre,porsanger,porsangu,porsáŋgu,porsgrunn,rade,råde,radoy,radøy,rælingen,rahkkeravju,ráhkkerávju,raisa,ráisa,rakkestad,ralingen,rana,randaberg,rauma,rendalen,rennebu,rennesoy,rennesøy,rindal,ringebu,ringerike,ringsaker,risor,risør,rissa,roan,rodoy,rødøy,rollag,romsa,romskog,rømskog,roros,røros,rost,røst,royken,røyken,royrvik,røyrvik,ruovat,rygge,salangen,salat,sálat,sálát,saltdal,samnanger,sandefjord,sandnes,sandoy,sandøy,sarpsborg,sauda,sauherad,sel,selbu,selje,seljord,siellak,sigdal,siljan,sirdal,skanit,skánit,skanland,skånland,skaun,skedsmo,ski,skien,skierva,skiervá,skiptvet,skjak,skjåk,skjervoy,skjervøy,skodje,smola,smøla,snaase,snåase,snasa,snåsa,snillfjord,snoasa,sogndal,sogne,søgne,sokndal,sola,solund,somna,sømna,sondre-land,søndre-land,songdalen,sor-aurdal,sør-aurdal,sor-fron,sør-fron,sor-odal,sør-odal,sor-varanger,sør-varanger,sorfold,sørfold,sorreisa,sørreisa,sortland,sorum,sørum,spydeberg,stange,stavanger,steigen,steinkjer,stjordal,stjørdal,stokke,stor-elvdal,stord,stordal,storfjord,strand,stranda,stryn,sula,suldal,sund,sunndal,surnadal,sveio,svelvik,sykkylven,tana,bo.telemark,bø.telemark,time,tingvoll,tinn,tjeldsund,tjome,tjøme,tokke,tolga,tonsberg,tønsberg,torsken,træna,trana,tranoy,tranøy,troandin,trogstad,trøgstad,tromsa,tromso,tromsø,trondheim,trysil,tvedestrand,tydal,tynset,tysfjord,tysnes,tysvær,tysvar,ullensaker,ullensvang,ulvik,unjarga,unjárga,utsira,vaapste,vadso,vadsø,værøy,vaga,vågå,vagan,vågan,vagsoy,vågsøy,vaksdal,valle,vang,vanylven,vardo,vardø,varggat,várggát,varoy,vefsn,vega,vegarshei,vegårshei,vennesla,verdal,verran,vestby,sande.vestfold,vestnes,vestre-slidre,vestre-toten,vestvagoy,vestvågøy,vevelstad,vik,vikna,vindafjord,voagat,volda,voss,co,blogspot,123hjemmeside,myspreadshop;np:*;nr:,biz,com,edu,gov,info,net,org;nu:,merseine,mine,shacknet,enterprisecloud;nz:,ac,co,cri,geek,gen,govt,health,iwi,kiwi,maori,māori,mil,net,org,parliament,school,cloudns,blogspot.co;om:,co,com,edu,gov,med,museum,net,org,pro;onion:;org:,altervista,pimienta,poivron,potager,sweetpepper,c.cdn77,rsc.cdn77,ssl.origin.cdn77-secure,ae,cloudns,ip-dynamic,ddnss,duckdns,tunk,blogdns,blogsite,boldlygoingnowhere,dnsalias,dnsdojo,doesntexist,dontexist,doomdns,dvrdns,dynalias,dyndns,go.dyndns,home.dyndns,endofinternet,endoftheinternet,from-me,game-host,gotdns,hobby-site,homedns,homeftp,homelinux,homeunix,is-a-bruinsfan,is-a-candidate,is-a-celticsfan,is-a-chef,is-a-geek,is-a-knight,is-a-linux-user,is-a-patsfan,is-a-soxfan,is-found,is-lost,is-saved,is-very-bad,is-very-evil,is-very-good,is-very-nice,is-very-sweet,isa-geek,kicks-ass,misconfused,podzone,readmyblog,selfip,sellsyourhome,servebbs,serveftp,servegame,stuff-4-sale,webhop,accesscam,camdvr,freeddns,mywire,webredirect,twmail,eu,al.eu,asso.eu,at.eu,au.eu,be.eu,bg.eu,ca.eu,cd.eu,ch.eu,cn.eu,cy.eu,cz.eu,de.eu,dk.eu,edu.eu,ee.eu,es.eu,fi.eu,fr.eu,gr.eu,hr.eu,hu.eu,ie.eu,il.eu,in.eu,int.eu,is.eu,it.eu,jp.eu,kr.eu,lt.eu,lu.eu,lv.eu,me.eu,mk.eu,mt.eu,my.eu,net.eu,ng.eu,nl.eu,no.eu,nz.eu,pl.eu,pt.eu,ro.eu,ru.eu,se.eu,si.eu,sk.eu,tr.eu,uk.eu,us.eu,fedorainfracloud,fedorapeople,cloud.fedoraproject,app.os.fedoraproject,app.os.stg.fedoraproject,freedesktop,hatenadiary,hepforge,in-dsl,in-vpn,js,barsy,mayfirst,routingthecloud,bmoattachments,cable-modem,collegefan,couchpotatofries,hopto,mlbfan,myftp,mysecuritycamera,nflfan,no-ip,read-books,ufcfan,zapto,dynserv,now-dns,is-local,httpbin,pubtls,jpn,my-firewall,myfirewall,spdns,small-web,dsmynas,familyds,s3.teckids,tuxfamily,diskstation,hk,us,toolforge,wmcloud,wmflabs,za;pa:,abo,ac,com,edu,gob,ing,med,net,nom,org,sld;pe:,com,edu,gob,mil,net,nom,org,blogspot;pf:,com,edu,org;pg:*;ph:,com,edu,gov,i,mil,net,ngo,org,cloudns;pk:,ac,biz,com,edu,fam,gkp,gob,gog,gok,gon,gop,gos,gov,net,org,web;pl:,com,net,org,agro,aid,atm,auto,biz,edu,gmina,gsm,info,mail,media,miasta,mil,nieruchomosci,nom,pc,powiat,priv,realestate,rel,sex,shop,sklep,sos,szkola,targi,tm,tourism,travel,turystyka,gov,ap.gov,griw.gov,ic.gov,is.gov,kmpsp.gov,konsulat.gov,kppsp.gov,kwp.gov,kwpsp.gov,mup.gov,mw.gov,oia.gov,oirm.gov,oke.gov,oow.gov,oschr.gov,oum.gov,pa.gov,pinb.gov,piw.gov,po.gov,pr.gov,psp.gov,psse.gov,pup.gov,rzgw.gov,sa.gov,sdn.gov,sko.gov,so.gov,sr.gov,starostwo.gov,ug.gov,ugim.gov,um.gov,umig.gov,upow.gov,uppo.gov,us.gov,uw.gov,uzs.gov,wif.gov,wiih.gov,winb.gov,wios.gov,witd.gov,wiw.gov,wkz.gov,wsa.gov,wskr.gov,wsse.gov,wuoz.gov,wzmiuw.gov,zp.gov,zpisdn.gov,augustow,babia-gora,bedzin,beskidy,bialowieza,bialystok,bielawa,bieszczady,boleslawiec,bydgoszcz,bytom,cieszyn,czeladz,czest,dlugoleka,elblag,elk,glogow,gniezno,gorlice,grajewo,ilawa,jaworzno,jelenia-gora,jgora,kalisz,karpacz,kartuzy,kaszuby,katowice,kazimierz-dolny,kepno,ketrzyn,klodzko,kobierzyce,kolobrzeg,konin,konskowola,kutno,lapy,lebork,legnica,lezajsk,limanowa,lomza,lowicz,lubin,lukow,malbork,malopolska,mazowsze,mazury,mielec,mielno,mragowo,naklo,nowaruda,nysa,olawa,olecko,olkusz,olsztyn,opoczno,opole,ostroda,ostroleka,ostrowiec,ostrowwlkp,pila,pisz,podhale,podlasie,polkowice,pomorskie,pomorze,prochowice,pruszkow,przeworsk,pulawy,radom,rawa-maz,rybnik,rzeszow,sanok,sejny,skoczow,slask,slupsk,sosnowiec,stalowa-wola,starachowice,stargard,suwalki,swidnica,swiebodzin,swinoujscie,szczecin,szczytno,tarnobrzeg,tgory,turek,tychy,ustka,walbrzych,warmia,warszawa,waw,wegrow,wielun,wlocl,wloclawek,wodzislaw,wolomin,wroclaw,zachpomor,zagan,zarow,zgora,zgorzelec,art,gliwice,krakow,poznan,wroc,zakopane,beep,ecommerce-shop,cfolks,dfirma,dkonto,you2,shoparena,homesklep,sdscloud,unicloud,lodz,pabianice,plock,sieradz,skierniewice,zgierz,krasnik,leczna,lubartow,lublin,poniatowa,swidnik,co,torun,simplesite,myspreadshop,gda,gdansk,gdynia,med,sopot,bielsko;pm:,own,name;pn:,co,edu,gov,net,org;post:;pr:,biz,com,edu,gov,info,isla,name,net,org,pro,ac,est,prof;pro:,aaa,aca,acct,avocat,bar,cpa,eng,jur,law,med,recht,12chars,cloudns,barsy,ngrok;ps:,com,edu,gov,net,org,plo,sec;pt:,com,edu,gov,int,net,nome,org,publ,blogspot,123paginaweb;pw:,belau,co,ed,go,or,cloudns,x443;py:,com,coop,edu,gov,mil,net,org;qa:,com,edu,gov,mil,name,net,org,sch,blogspot;re:,asso,com,blogspot,can;ro:,arts,com,firm,info,nom,nt,org,rec,store,tm,www,co,shop,blogspot,barsy;rs:,ac,co,edu,gov,in,org,shop.brendly,blogspot,ua,barsy,ox;ru:,ac,edu,gov,int,mil,test,eurodir,adygeya,bashkiria,bir,cbg,com,dagestan,grozny,kalmykia,kustanai,marine,mordovia,msk,mytis,nalchik,nov,pyatigorsk,spb,vladikavkaz,vladimir,blogspot,na4u,mircloud,myjino,*.hosting.myjino,*.landing.myjino,*.spectrum.myjino,*.vps.myjino,hb.cldmail,mcdir,vps.mcdir,mcpre,net,org,pp,lk3,ras;rw:,ac,co,coop,gov,mil,net,org;sa:,com,edu,gov,med,net,org,pub,sch;sb:,com,edu,gov,net,org;sc:,com,edu,gov,net,org;sd:,com,edu,gov,info,med,net,org,tv;se:,a,ac,b,bd,brand,c,d,e,f,fh,fhsk,fhv,g,h,i,k,komforb,kommunalforbund,komvux,l,lanbib,m,n,naturbruksgymn,o,org,p,parti,pp,press,r,s,t,tm,u,w,x,y,z,com,blogspot,conf,iopsys,123minsida,itcouldbewor,myspreadshop;sg:,com,edu,gov,net,org,blogspot,enscaled;sh:,com,gov,mil,net,org,hashbang,ent.platform,eu.platform,us.platform,now;si:,f5,gitapp,gitpage,blogspot;sj:;sk:,blogspot;sl:,com,edu,gov,net,org;sm:;sn:,art,com,edu,gouv,org,perso,univ,blogspot;so:,com,edu,gov,me,net,org,surveys;sr:;ss:,biz,co,com,edu,gov,me,net,org,sch;st:,co,com,consulado,edu,embaixada,mil,net,org,principe,saotome,store,helioho,kirara,noho;su:,abkhazia,adygeya,aktyubinsk,arkhangelsk,armenia,ashgabad,azerbaijan,balashov,bashkiria,bryansk,bukhara,chimkent,dagestan,east-kazakhstan,exnet,georgia,grozny,ivanovo,jambyl,kalmykia,kaluga,karacol,karaganda,karelia,khakassia,krasnodar,kurgan,kustanai,lenug,mangyshlak,mordovia,msk,murmansk,nalchik,navoi,north-kazakhstan,nov,obninsk,penza,pokrovsk,sochi,spb,tashkent,termez,togliatti,troitsk,tselinograd,tula,tuva,vladikavkaz,vladimir,vologda;sv:,com,edu,gob,org,red;sx:,gov;sy:,com,edu,gov,mil,net,org;sz:,ac,co,org;tc:;td:,blogspot;tel:;tf:,sch;tg:;th:,ac,co,go,in,mi,net,or,online,shop;tj:,ac,biz,co,com,edu,go,gov,int,mil,name,net,nic,org,test,web;tk:;tl:,gov;tm:,co,com,edu,gov,mil,net,nom,org;tn:,com,ens,fin,gov,ind,info,intl,mincom,nat,net,org,perso,tourism,orangecloud;to:,com,edu,gov,mil,net,org,611,oya,x0,direct.quickconnect,vpnplus;tr:,av,bbs,bel,biz,com,dr,edu,gen,gov,info,k12,kep,mil,name,net,org,pol,tel,tsk,tv,web,nc,gov.nc,blogspot.com;tt:,biz,co,com,edu,gov,info,mil,name,net,org,pro;tv:,better-than,dyndns,on-the-web,worse-than,from,sakura;tw:,club,com,ebiz,edu,game,gov,idv,mil,net,org,mymailer.com,url,mydns,blogspot;tz:,ac,co,go,hotel,info,me,mil,mobi,ne,or,sc,tv;ua:,com,edu,gov,in,net,org,cherkassy,cherkasy,chernigov,chernihiv,chernivtsi,chernovtsy,ck,cn,cr,crimea,cv,dn,dnepropetrovsk,dnipropetrovsk,donetsk,dp,if,ivano-frankivsk,kh,kharkiv,kharkov,kherson,khmelnitskiy,khmelnytskyi,kiev,kirovograd,km,kr,kropyvnytskyi,krym,ks,kv,kyiv,lg,lt,lugansk,luhansk,lutsk,lv,lviv,mk,mykolaiv,nikolaev,od,odesa,odessa,pl,poltava,rivne,rovno,rv,sb,sebastopol,sevastopol,sm,sumy,te,ternopil,uz,uzhgorod,uzhhorod,vinnica,vinnytsia,vn,volyn,yalta,zakarpattia,zaporizhzhe,zaporizhzhia,zhitomir,zhytomyr,zp,zt,cc,inf,ltd,cx,ie,biz,co,pp,v;ug:,ac,co,com,go,ne,or,org,sc,blogspot;uk:,ac,co,gov,ltd,me,net,nhs,org,plc,police,*.sch,dh.bytemark.co,vm.bytemark.co,api.gov,conn,copro,hosp,campaign.gov,service.gov,independent-commission,independent-inquest,independent-inquiry,independent-panel,independent-review,public-inquiry,royal-commission,blogspot.co,pymnt,j.layershift.co,glug.org,lug.org,lugs.org,barsy,barsy.co,barsyonline.co,cust.retrosnub.co,nh-serv.co,nimsite,no-ip.co,*.oraclegovcloudapps,adimo.co,myspreadshop.co,affinitylottery.org,raffleentry.org,weeklylottery.org;us:,dni,fed,isa,kids,nsn,ak,al,ar,as,az,ca,co,ct,dc,de,fl,ga,gu,hi,ia,id,il,in,ks,ky,la,ma,md,me,mi,mn,mo,ms,mt,nc,nd,ne,nh,nj,nm,nv,ny,oh,ok,or,pa,pr,ri,sc,sd,tn,tx,ut,va,vi,vt,wa,wi,wv,wy,k12.ak,k12.al,k12.ar,k12.as,k12.az,k12.ca,k12.co,k12.ct,k12.dc,k12.fl,k12.ga,k12.gu,k12.ia,k12.id,k12.il,k12.in,k12.ks,k12.ky,k12.la,k12.ma,k12.md,k12.me,k12.mi,k12.mn,k12.mo,k12.ms,k12.mt,k12.nc,k12.ne,k12.nh,k12.nj,k12.nm,k12.nv,k12.ny,k12.oh,k12.ok,k12.or,k12.pa,k12.pr,k12.sc,k12.tn,k12.tx,k12.ut,k12.va,k12.vi,k12.vt,k12.wa,k12.wi,cc.ak,lib.ak,cc.al,lib.al,cc.ar,lib.ar,cc.as,lib.as,cc.az,lib.az,cc.ca,lib.ca,cc.co,lib.co,cc.ct,lib.ct,cc.dc,lib.dc,cc.de,cc.fl,cc.ga,cc.gu,cc.hi,cc.ia,cc.id,cc.il,cc.in,cc.ks,cc.ky,cc.la,cc.ma,cc.md,cc.me,cc.mi,cc.mn,cc.mo,cc.ms,cc.mt,cc.nc,cc.nd,cc.ne,cc.nh,cc.nj,cc.nm,cc.nv,cc.ny,cc.oh,cc.ok,cc.or,cc.pa,cc.pr,cc.ri,cc.sc,cc.sd,cc.tn,cc.tx,cc.ut,cc.va,cc.vi,cc.vt,cc.wa,cc.wi,cc.wv,cc.wy,k12.wy,lib.fl,lib.ga,lib.gu,lib.hi,lib.ia,lib.id,lib.il,lib.in,lib.ks,lib.ky,lib.la,lib.ma,lib.md,lib.me,lib.mi,lib.mn,lib.mo,lib.ms,lib.mt,lib.nc,lib.nd,lib.ne,lib.nh,lib.nj,lib.nm,lib.nv,lib.ny,lib.oh,lib.ok,lib.or,lib.pa,lib.pr,lib.ri,lib.sc,lib.sd,lib.tn,lib.tx,lib.ut,lib.va,lib.vi,lib.vt,lib.wa,lib.wi,lib.wy,chtr.k12.ma,paroch.k12.ma,pvt.k12.ma,ann-arbor.mi,cog.mi,dst.mi,eaton.mi,gen.mi,mus.mi,tec.mi,washtenaw.mi,lib.de,cloudns,drud,is-by,land-4-sale,stuff-4-sale,heliohost,phx.enscaled,mircloud,ngo,golffan,noip,pointto,freeddns,srv,gh.srv,gl.srv,platterp,servername;uy:,com,edu,gub,mil,net,org,blogspot.com;uz:,co,com,net,org;va:;vc:,com,edu,gov,mil,net,org,gv,d.gv,0e,mydns;ve:,arts,bib,co,com,e12,edu,firm,gob,gov,info,int,mil,net,nom,org,rar,rec,store,tec,web;vg:;vi:,co,com,k12,net,org;vn:,ac,ai,biz,com,edu,gov,health,id,info,int,io,name,net,org,pro,angiang,bacgiang,backan,baclieu,bacninh,baria-vungtau,bentre,binhdinh,binhduong,binhphuoc,binhthuan,camau,cantho,caobang,daklak,daknong,danang,dienbien,dongnai,dongthap,gialai,hagiang,haiduong,haiphong,hanam,hanoi,hatinh,haugiang,hoabinh,hungyen,khanhhoa,kiengiang,kontum,laichau,lamdong,langson,laocai,longan,namdinh,nghean,ninhbinh,ninhthuan,phutho,phuyen,quangbinh,quangnam,quangngai,quangninh,quangtri,soctrang,sonla,tayninh,thaibinh,thainguyen,thanhhoa,thanhphohochiminh,thuathienhue,tiengiang,travinh,tuyenquang,vinhlong,vinhphuc,yenbai,blogspot;vu:,com,edu,net,org;wf:,biz,sch;ws:,com,edu,gov,net,org,*.advisor,cloud66,dyndns,mypets;yt:,org;امارات:;հայ:;বাংলা:;бг:;البحرين:;бел:;中国:;中國:;الجزائر:;مصر:;ею:;ευ:;موريتانيا:;გე:;ελ:;香港:,個人,公司,政府,教育,組織,網絡;ಭಾರತ:;ଭାରତ:;ভাৰত:;भारतम्:;भारोत:;ڀارت:;ഭാരതം:;भारत:;بارت:;بھارت:;భారత్:;ભારત:;ਭਾਰਤ:;ভারত:;இந்தியா:;ایران:;ايران:;عراق:;الاردن:;한국:;қаз:;ລາວ:;ලංකා:;இலங்கை:;المغرب:;мкд:;мон:;澳門:;澳门:;مليسيا:;عمان:;پاکستان:;پاكستان:;فلسطين:;срб:,ак,обр,од,орг,пр,упр;рф:;قطر:;السعودية:;السعودیة:;السعودیۃ:;السعوديه:;سودان:;新加坡:;சிங்கப்பூர்:;سورية:;سوريا:;ไทย:,ทหาร,ธุรกิจ,เน็ต,รัฐบาล,ศึกษา,องค์กร;تونس:;台灣:;台湾:;臺灣:;укр:;اليمن:;xxx:;ye:,com,edu,gov,mil,net,org;za:ac,agric,alt,co,edu,gov,grondar,law,mil,net,ngo,nic,nis,nom,org,school,tm,web,blogspot.co;zm:,ac,biz,co,com,edu,gov,info,mil,net,org,sch;zw:,ac,co,gov,mil,org;aaa:;aarp:;abb:;abbott:;abbvie:;abc:;able:;abogado:;abudhabi:;academy:,official;accenture:;accountant:;accountants:;aco:;actor:;ads:;adult:;aeg:;aetna:;afl:;africa:;agakhan:;agency:;aig:;airbus:;airforce:;airtel:;akdn:;alibaba:;alipay:;allfinanz:;allstate:;ally:;alsace:;alstom:;amazon:;americanexpress:;americanfamily:;amex:;amfam:;amica:;amsterdam:;analytics:;android:;anquan:;anz:;aol:;apartments:;app:,adaptable,*.beget,clerk,clerkstage,wnext,csb,preview.csb,platform0,deta,ondigitalocean,easypanel,encr,relay.evervault,expo,staging.expo,edgecompute,flutterflow,framer,*.hosted,*.run,web,hasura,loginline,medusajs,messerli,netfy,netlify,ngrok,ngrok-free,*.developer,noop,*.northflank,*.upsun,replit,id.replit,nyat,*.snowflake,*.privatelink.snowflake,streamlit,storipress,telebit,typedream,vercel,bookonline,wdh,zeabur;apple:;aquarelle:;arab:;aramco:;archi:;army:;art:;arte:;asda:;associates:;athleta:;attorney:;auction:;audi:;audible:;audio:;auspost:;author:;auto:;autos:;aws:,labeling.ap-northeast-1.sagemaker,labeling.ap-northeast-2.sagemaker,labeling.ap-south-1.sagemaker,labeling.ap-southeast-1.sagemaker,labeling.ap-southeast-2.sagemaker,labeling.ca-central-1.sagemaker,labeling.eu-central-1.sagemaker,labeling.eu-west-1.sagemaker,labeling.eu-west-2.sagemaker,labeling.us-east-1.sagemaker,labeling.us-east-2.sagemaker,labeling.us-west-2.sagemaker,notebook.af-south-1.sagemaker,notebook.ap-east-1.sagemaker,notebook.ap-northeast-1.sagemaker,notebook.ap-northeast-2.sagemaker,notebook.ap-northeast-3.sagemaker,notebook.ap-south-1.sagemaker,notebook.ap-south-2.sagemaker,notebook.ap-southeast-1.sagemaker,notebook.ap-southeast-2.sagemaker,notebook.ap-southeast-3.sagemaker,notebook.ap-southeast-4.sagemaker,notebook.ca-central-1.sagemaker,notebook-fips.ca-central-1.sagemaker,notebook.ca-west-1.sagemaker,notebook-fips.ca-west-1.sagemaker,notebook.eu-central-1.sagemaker,notebook.eu-central-2.sagemaker,notebook.eu-north-1.sagemaker,notebook.eu-south-1.sagemaker,notebook.eu-south-2.sagemaker,notebook.eu-west-1.sagemaker,notebook.eu-west-2.sagemaker,notebook.eu-west-3.sagemaker,notebook.il-central-1.sagemaker,notebook.me-central-1.sagemaker,notebook.me-south-1.sagemaker,notebook.sa-east-1.sagemaker,notebook.us-east-1.sagemaker,notebook-fips.us-east-1.sagemaker,notebook.us-east-2.sagemaker,notebook-fips.us-east-2.sagemaker,notebook.us-gov-east-1.sagemaker,notebook-fips.us-gov-east-1.sagemaker,notebook.us-gov-west-1.sagemaker,notebook-fips.us-gov-west-1.sagemaker,notebook.us-west-1.sagemaker,notebook-fips.us-west-1.sagemaker,notebook.us-west-2.sagemaker,notebook-fips.us-west-2.sagemaker,studio.af-south-1.sagemaker,studio.ap-east-1.sagemaker,studio.ap-northeast-1.sagemaker,studio.ap-northeast-2.sagemaker,studio.ap-northeast-3.sagemaker,studio.ap-south-1.sagemaker,studio.ap-southeast-1.sagemaker,studio.ap-southeast-2.sagemaker,studio.ap-southeast-3.sagemaker,studio.ca-central-1.sagemaker,studio.eu-central-1.sagemaker,studio.eu-north-1.sagemaker,studio.eu-south-1.sagemaker,studio.eu-south-2.sagemaker,studio.eu-west-1.sagemaker,studio.eu-west-2.sagemaker,studio.eu-west-3.sagemaker,studio.il-central-1.sagemaker,studio.me-central-1.sagemaker,studio.me-south-1.sagemaker,studio.sa-east-1.sagemaker,studio.us-east-1.sagemaker,studio.us-east-2.sagemaker,studio.us-gov-east-1.sagemaker,studio-fips.us-gov-east-1.sagemaker,studio.us-gov-west-1.sagemaker,studio-fips.us-gov-west-1.sagemaker,studio.us-west-1.sagemaker,studio.us-west-2.sagemaker,*.experiments.sagemaker,*.private.repost;axa:;azure:;baby:;baidu:;banamex:;band:;bank:;bar:;barcelona:;barclaycard:;barclays:;barefoot:;bargains:;baseball:;basketball:,aus,nz;bauhaus:;bayern:;bbc:;bbt:;bbva:;bcg:;bcn:;beats:;beauty:;beer:;bentley:;berlin:;best:;bestbuy:;bet:;bharti:;bible:;bid:;bike:;bing:;bingo:;bio:;black:;blackfriday:;blockbuster:;blog:;bloomberg:;blue:;bms:;bmw:;bnpparibas:;boats:;boehringer:;bofa:;bom:;bond:;boo:;book:;booking:;bosch:;bostik:;boston:;bot:;boutique:;box:;bradesco:;bridgestone:;broadway:;broker:;brother:;brussels:;build:,v0;builders:,cloudsite;business:,co;buy:;buzz:;bzh:;cab:;cafe:;cal:;call:;calvinklein:;cam:;camera:;camp:,at.emf;canon:;capetown:;capital:;capitalone:;car:;caravan:;cards:;care:;career:;careers:;cars:;casa:,ui.nabu;case:;cash:;casino:;catering:;catholic:;cba:;cbn:;cbre:;center:;ceo:;cern:;cfa:;cfd:;chanel:;channel:;charity:;chase:;chat:;cheap:;chintai:;christmas:;chrome:;church:;cipriani:;circle:;cisco:;citadel:;citi:;citic:;city:;claims:;cleaning:;click:;clinic:;clinique:;clothing:;cloud:,elementor,eu.encoway,*.statics,ravendb,es-1.axarnet,diadem,vip.jelastic,jele,it1.eur.aruba.jenv-aruba,it1.jenv-aruba,keliweb,cs.keliweb,oxa,tn.oxa,uk.oxa,primetel,uk.primetel,ca.reclaim,uk.reclaim,us.reclaim,ch.trendhosting,de.trendhosting,jotelulu,kuleuven,linkyard,*.magentosite,matlab,observablehq,perspecta,vapor,*.on-rancher,fr-par-1.baremetal.scw,fr-par-2.baremetal.scw,nl-ams-1.baremetal.scw,cockpit.fr-par.scw,fnc.fr-par.scw,functions.fnc.fr-par.scw,k8s.fr-par.scw,nodes.k8s.fr-par.scw,s3.fr-par.scw,s3-website.fr-par.scw,whm.fr-par.scw,priv.instances.scw,pub.instances.scw,k8s.scw,cockpit.nl-ams.scw,k8s.nl-ams.scw,nodes.k8s.nl-ams.scw,s3.nl-ams.scw,s3-website.nl-ams.scw,whm.nl-ams.scw,cockpit.pl-waw.scw,k8s.pl-waw.scw,nodes.k8s.pl-waw.scw,s3.pl-waw.scw,s3-website.pl-waw.scw,scalebook.scw,smartlabeling.scw,servebolt,runs.onstackit,trafficplex,unison-services,urown,voorloper,zap;club:,cloudns,jele,barsy;clubmed:;coach:;codes:,*.owo;coffee:;college:;cologne:;commbank:;community:,nog,ravendb,myforum;company:;compare:;computer:;comsec:;condos:;construction:;consulting:;contact:;contractors:;cooking:;cool:,elementor,de;corsica:;country:;coupon:;coupons:;courses:;cpa:;credit:;creditcard:;creditunion:;cricket:;crown:;crs:;cruise:;cruises:;cuisinella:;cymru:;cyou:;dad:;dance:;data:;date:;dating:;datsun:;day:;dclk:;dds:;deal:;dealer:;deals:;degree:;delivery:;dell:;deloitte:;delta:;democrat:;dental:;dentist:;desi:;design:,graphic,bss;dev:,12chars,panel,*.lcl,*.lclstage,*.stg,*.stgstage,pages,r2,workers,curv,deno,deno-staging,deta,relay.evervault,fly,githubpreview,*.gateway,hrsn,is-a-good,is-a,iserv,runcontainers,*.user.localcert,loginline,barsy,mediatech,modx,ngrok,ngrok-free,is-a-fullstack,is-cool,is-not-a,localplayer,xmit,platter-app,replit,archer.replit,bones.replit,canary.replit,global.replit,hacker.replit,id.replit,janeway.replit,kim.replit,kira.replit,kirk.replit,odo.replit,paris.replit,picard.replit,pike.replit,prerelease.replit,reed.replit,riker.replit,sisko.replit,spock.replit,staging.replit,sulu.replit,tarpit.replit,teams.replit,tucker.replit,wesley.replit,worf.replit,*.d.crm,*.w.crm,*.wa.crm,*.wb.crm,*.wc.crm,*.wd.crm,*.we.crm,*.wf.crm,vercel,*.webhare;dhl:;diamonds:;diet:;digital:,cloudapps,london.cloudapps;direct:,libp2p;directory:;discount:;discover:;dish:;diy:;dnp:;docs:;doctor:;dog:;domains:;dot:;download:;drive:;dtv:;dubai:;dunlop:;dupont:;durban:;dvag:;dvr:;earth:;eat:;eco:;edeka:;education:,co;email:,on.crisp,p.tawk,p.tawkto;emerck:;energy:;engineer:;engineering:;enterprises:;epson:;equipment:;ericsson:;erni:;esq:;estate:,*.compute;eurovision:;eus:,user.party;events:,koobin,co;exchange:;expert:;exposed:;express:;extraspace:;fage:;fail:;fairwinds:;faith:;family:;fan:;fans:;farm:,storj;farmers:;fashion:;fast:;fedex:;feedback:;ferrari:;ferrero:;fidelity:;fido:;film:;final:;finance:;financial:,co;fire:;firestone:;firmdale:;fish:;fishing:;fit:;fitness:;flickr:;flights:;flir:;florist:;flowers:;fly:;foo:;food:;football:;ford:;forex:;forsale:;forum:;foundation:;fox:;free:;fresenius:;frl:;frogans:;frontier:;ftr:;fujitsu:;fun:;fund:;furniture:;futbol:;fyi:;gal:;gallery:;gallo:;gallup:;game:;games:,pley,sheezy;gap:;garden:;gay:,pages;gbiz:;gdn:,cnpy;gea:;gent:;genting:;george:;ggee:;gift:;gifts:;gives:;giving:;glass:;gle:;global:;globo:;gmail:;gmbh:;gmo:;gmx:;godaddy:;gold:;goldpoint:;golf:;goo:;goodyear:;goog:,cloud,translate,*.usercontent;google:;gop:;got:;grainger:;graphics:;gratis:;green:;gripe:;grocery:;group:,discourse;gucci:;guge:;guide:;guitars:;guru:;hair:;hamburg:;hangout:;haus:;hbo:;hdfc:;hdfcbank:;health:,hra;healthcare:;help:;helsinki:;here:;hermes:;hiphop:;hisamitsu:;hitachi:;hiv:;hkt:;hockey:;holdings:;holiday:;homedepot:;homegoods:;homes:;homesense:;honda:;horse:;hospital:;host:,cloudaccess,freesite,easypanel,fastvps,myfast,tempurl,wpmudev,jele,mircloud,wp2,half;hosting:,opencraft;hot:;hotels:;hotmail:;house:;how:;hsbc:;hughes:;hyatt:;hyundai:;ibm:;icbc:;ice:;icu:;ieee:;ifm:;ikano:;imamat:;imdb:;immo:;immobilien:;inc:;industries:;infiniti:;ing:;ink:;institute:;insurance:;insure:;international:;intuit:;investments:;ipiranga:;irish:;ismaili:;ist:;istanbul:;itau:;itv:;jaguar:;java:;jcb:;jeep:;jetzt:;jewelry:;jio:;jll:;jmp:;jnj:;joburg:;jot:;joy:;jpmorgan:;jprs:;juegos:;juniper:;kaufen:;kddi:;kerryhotels:;kerrylogistics:;kerryproperties:;kfh:;kia:;kids:;kim:;kindle:;kitchen:;kiwi:;koeln:;komatsu:;kosher:;kpmg:;kpn:;krd:,co,edu;kred:;kuokgroup:;kyoto:;lacaixa:;lamborghini:;lamer:;lancaster:;land:;landrover:;lanxess:;lasalle:;lat:;latino:;latrobe:;law:;lawyer:;lds:;lease:;leclerc:;lefrak:;legal:;lego:;lexus:;lgbt:;lidl:;life:;lifeinsurance:;lifestyle:;lighting:;like:;lilly:;limited:;limo:;lincoln:;link:,myfritz,cyon,*.dweb,ipfs.nftstorage,mypep;lipsy:;live:,aem,hlx,*.ewp;living:;llc:;llp:;loan:;loans:;locker:;locus:;lol:,omg;london:;lotte:;lotto:;love:;lpl:;lplfinancial:;ltd:;ltda:;lundbeck:;luxe:;luxury:;madrid:;maif:;maison:;makeup:;man:;management:,router;mango:;map:;market:;marketing:;markets:;marriott:;marshalls:;mattel:;mba:;mckinsey:;med:;media:,framer;meet:;melbourne:;meme:;memorial:;men:;menu:,barsy,barsyonline;merck:;merckmsd:;miami:;microsoft:;mini:;mint:;mit:;mitsubishi:;mlb:;mls:;mma:;mobile:;moda:;moe:;moi:;mom:,ind;monash:;money:;monster:;mormon:;mortgage:;moscow:;moto:;motorcycles:;mov:;movie:;msd:;mtn:;mtr:;music:;nab:;nagoya:;navy:;nba:;nec:;netbank:;netflix:;network:,*.alces,co,arvo,azimuth,tlon;neustar:;new:;news:,noticeable;next:;nextdirect:;nexus:;nfl:;ngo:;nhk:;nico:;nike:;nikon:;ninja:;nissan:;nissay:;nokia:;norton:;now:;nowruz:;nowtv:;nra:;nrw:;ntt:;nyc:;obi:;observer:;office:;okinawa:;olayan:;olayangroup:;ollo:;omega:;one:,*.kin,service;ong:,obl;onl:;online:,eero,eero-stage,websitebuilder,barsy;ooo:;open:;oracle:;orange:,tech;organic:;origins:;osaka:;otsuka:;ott:;ovh:,nerdpol;page:,aem,hlx,hlx3,translated,codeberg,heyflow,prvcy,rocky,pdns,plesk;panasonic:;paris:;pars:;partners:;parts:;party:;pay:;pccw:;pet:;pfizer:;pharmacy:;phd:;philips:;phone:;photo:;photography:;photos:,framer;physio:;pics:;pictet:;pictures:,1337;pid:;pin:;ping:;pink:;pioneer:;pizza:,ngrok;place:,co;play:;playstation:;plumbing:;plus:;pnc:;pohl:;poker:;politie:;porn:;pramerica:;praxi:;press:;prime:;prod:;productions:;prof:;progressive:;promo:;properties:;property:;protection:;pru:;prudential:;pub:,*.id,*.kin,barsy;pwc:;qpon:;quebec:;quest:;racing:;radio:;read:;realestate:;realtor:;realty:;recipes:;red:;redstone:;redumbrella:;rehab:;reise:;reisen:;reit:;reliance:;ren:;rent:;rentals:;repair:;report:;republican:;rest:;restaurant:;review:;reviews:;rexroth:;rich:;richardli:;ricoh:;ril:;rio:;rip:,clan;rocks:,myddns,stackit,lima-city,webspace;rodeo:;rogers:;room:;rsvp:;rugby:;ruhr:;run:,development,ravendb,servers,*.build,*.code,*.database,*.migration,onporter,repl,stackit,express.val,web.val,wix;rwe:;ryukyu:;saarland:;safe:;safety:;sakura:;sale:;salon:;samsclub:;samsung:;sandvik:;sandvikcoromant:;sanofi:;sap:;sarl:;sas:;save:;saxo:;sbi:;sbs:;scb:;schaeffler:;schmidt:;scholarships:;school:;schule:;schwarz:;science:;scot:,gov,service.gov;search:;seat:;secure:;security:;seek:;select:;sener:;services:,loginline;seven:;sew:;sex:;sexy:;sfr:;shangrila:;sharp:;shell:;shia:;shiksha:;shoes:;shop:,base,hoplix,barsy,barsyonline,shopware;shopping:;shouji:;show:;silk:;sina:;singles:;site:,*.my.canva,*.cloudera,convex,cyon,fnwk,folionetwork,fastvps,heyflow,jele,jouwweb,lelux,loginline,barsy,notion,omniwe,opensocial,madethis,*.platformsh,*.tst,byen,srht,novecore,wpsquared;ski:;skin:;sky:;skype:;sling:;smart:;smile:;sncf:;soccer:;social:;softbank:;software:;sohu:;solar:;solutions:,diher;song:;sony:;soy:;spa:;space:,myfast,heiyu,hf,static.hf,app-ionos,project,uber,xs4all;sport:;spot:;srl:;stada:;staples:;star:;statebank:;statefarm:;stc:;stcgroup:;stockholm:;storage:;store:,barsy,sellfy,shopware,storebase;stream:;studio:;study:;style:;sucks:;supplies:;supply:;support:,barsy;surf:;surgery:;suzuki:;swatch:;swiss:;sydney:;systems:,knightpoint;tab:;taipei:;talk:;taobao:;target:;tatamotors:;tatar:;tattoo:;tax:;taxi:;tci:;tdk:;team:,discourse,jelastic;tech:,cleverapps;technology:,co;temasek:;tennis:;teva:;thd:;theater:;theatre:;tiaa:;tickets:;tienda:;tips:;tires:;tirol:;tjmaxx:;tjx:;tkmaxx:;tmall:;today:,prequalifyme;tokyo:;tools:;top:,now-dns,ntdll,*.wadl;toray:;toshiba:;total:;tours:;town:;toyota:;toys:;trade:;trading:;training:;travel:;travelers:;travelersinsurance:;trust:;trv:;tube:;tui:;tunes:;tushu:;tvs:;ubank:;ubs:;unicom:;university:;uno:;uol:;ups:;vacations:;vana:;vanguard:;vegas:;ventures:;verisign:;versicherung:;vet:;viajes:;video:;vig:;viking:;villas:;vin:;vip:;virgin:;visa:;vision:;viva:;vivo:;vlaanderen:;vodka:,aaa;volvo:;vote:;voting:;voto:;voyage:;wales:;walmart:;walter:;wang:;wanggou:;watch:;watches:;weather:;weatherchannel:;webcam:;weber:;website:,framer;wed:;wedding:;weibo:;weir:;whoswho:;wien:;wiki:,framer;williamhill:;win:;windows:;wine:;winners:;wme:;wolterskluwer:;woodside:;work:;works:;world:;wow:;wtc:;wtf:;xbox:;xerox:;xihuan:;xin:;कॉम:;セール:;佛山:;慈善:;集团:;在线:;点看:;คอม:;八卦:;موقع:;公益:;公司:;香格里拉:;网站:;移动:;我爱你:;москва:;католик:;онлайн:;сайт:;联通:;קום:;时尚:;微博:;淡马锡:;ファッション:;орг:;नेट:;ストア:;アマゾン:;삼성:;商标:;商店:;商城:;дети:;ポイント:;新闻:;家電:;كوم:;中文网:;中信:;娱乐:;谷歌:;電訊盈科:;购物:;クラウド:;通販:;网店:;संगठन:;餐厅:;网络:;ком:;亚马逊:;食品:;飞利浦:;手机:;ارامكو:;العليان:;بازار:;ابوظبي:;كاثوليك:;همراه:;닷컴:;政府:;شبكة:;بيتك:;عرب:;机构:;组织机构:;健康:;招聘:;рус:,биз,ком,крым,мир,мск,орг,самара,сочи,спб,я;大拿:;みんな:;グーグル:;世界:;書籍:;网址:;닷넷:;コム:;天主教:;游戏:;vermögensberater:;vermögensberatung:;企业:;信息:;嘉里大酒店:;嘉里:;广东:;政务:;xyz:,*.telebit;yachts:;yahoo:;yamaxun:;yandex:;yodobashi:;yoga:;yokohama:;you:;youtube:;yun:;zappos:;zara:;zero:;zip:;zone:,cloud66,*.triton,stackit,lima;zuerich:';
@@ -1,4 +1,5 @@
 import { registerPlugin } from 'linkifyjs';
 import ticket from './ticket';
 
-registerPlugin('ticket', ticket);
+// Runs after linkify-plugin-hashtag, which doesn't link numbers like #123
+registerPlugin('ticket', ticket, { priority: 1 });
@@ -10,7 +10,7 @@ import { tokenize, Options } from 'linkifyjs';
  * @returns {React.ReactNodeArray}
  */
 function stringToElements(str, opts, meta) {
-	const tokens = tokenize(str);
+	const tokens = opts.engine ? opts.engine.tokenize(str, opts) : tokenize(str, opts);
 	const elements = [];
 
 	for (let i = 0; i < tokens.length; i++) {
@@ -18,13 +18,13 @@ function attributesToString(attributes) {
 	const result = [];
 	for (const attr in attributes) {
 		let val = attributes[attr] + '';
-		result.push(`${attr}="${escapeAttr(val)}"`);
+		result.push(` ${attr}="${escapeAttr(val)}"`);
 	}
-	return result.join(' ');
+	return result.join('');
 }
 
 function defaultRender({ tagName, attributes, content }) {
-	return `<${tagName} ${attributesToString(attributes)}>${escapeText(content)}</${tagName}>`;
+	return `<${tagName}${attributesToString(attributes)}>${escapeText(content)}</${tagName}>`;
 }
 
 /**
@@ -39,7 +39,7 @@ function defaultRender({ tagName, attributes, content }) {
 function linkifyStr(str, opts = {}) {
 	opts = new Options(opts, defaultRender);
 
-	const tokens = tokenize(str);
+	const tokens = opts.engine ? opts.engine.tokenize(str, opts) : tokenize(str, opts);
 	const result = [];
 
 	for (let i = 0; i < tokens.length; i++) {
@@ -0,0 +1,58 @@
+/******************************************************************************
+	Confusables
+	Detects host names that may be spoofing another domain, e.g., `аpple.com`
+	with a Cyrillic `а`, with the functions registered by
+	linkify-plugin-confusables. Without them, no host name is flagged.
+******************************************************************************/
+
+/**
+ * @typedef {{
+ * 	isMixedScript: (host: string) => boolean,
+ * 	confusableWith: (host: string) => ?string,
+ * }} Confusables
+ */
+
+/**
+ * Registered detection functions, if any
+ * @type {?Confusables}
+ */
+let confusables = null;
+
+/**
+ * Use the given functions to find mixed-script and confusable URL and email
+ * hosts. Detection is global and shared by all linkify instances.
+ * @param {Confusables} functions
+ */
+export function registerConfusables(functions) {
+	confusables = functions;
+}
+
+/**
+ * Remove the registered detection functions
+ * @private
+ */
+export function resetConfusables() {
+	confusables = null;
+}
+
+/**
+ * Whether any label of the given host name mixes scripts, e.g., `аpple.com`
+ * with a Cyrillic `а` in an otherwise Latin label. Always `false` unless
+ * linkify-plugin-confusables is registered.
+ * @param {?string} host
+ * @returns {boolean}
+ */
+export function isMixedScript(host) {
+	return !!host && confusables !== null && confusables.isMixedScript(host);
+}
+
+/**
+ * The ASCII host name that the given non-ASCII host name may be confused
+ * with, e.g., `apple.com` for `аpple.com`. Always `null` unless
+ * linkify-plugin-confusables is registered.
+ * @param {?string} host lowercase host name
+ * @returns {?string}
+ */
+export function confusableWith(host) {
+	return host && confusables !== null ? confusables.confusableWith(host) : null;
+}
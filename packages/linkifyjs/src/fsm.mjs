@@ -338,3 +338,346 @@ export const ts = (state, input, next, flags, groups) => state.ts(input, next, f
  * @param {Flags} [flags]
  */
 export const tt = (state, input, next, flags, groups) => state.tt(input, next, flags, groups);
+
+/**
+ * @typedef {{
+ * 	tokens: any[],
+ * 	inputs: string[],
+ * 	regexps: [string, string][],
+ * 	regexpTransitions: number[][],
+ * 	states: Array<[number?, (Array<number | string> | 0)?, number?, number?]>
+ * }} SerializedState
+ */
+
+/**
+ * Offset of the character codes used to refer to inputs in serialized
+ * character transitions, which skips the control characters that JSON escapes
+ */
+const INPUT_CODE_OFFSET = 0x20;
+
+/**
+ * Convert the state machine reachable from the given start state into a
+ * compact, JSON-compatible object. Accepting tokens, inputs, regular
+ * expressions and lists of regular expression transitions (flat lists of
+ * regexp and state index pairs, which most scanner states share) are listed
+ * once and referred to by index. Each state is encoded as an array of:
+ *
+ * 1. Its token's index plus one (0 for none)
+ * 2. Its character transitions, grouped by target state: a flat list of target
+ *    state indexes each followed by a string with one character per input,
+ *    whose code is the index of the input plus `0x20`
+ * 3. Its list of regular expression transitions' index plus one (0 for none)
+ * 4. Its default transition
+ *
+ * State references are indexes into the list of states, where -1 means no
+ * state. The start state is always first. For the scanner's large trie of
+ * top-level domains, this is less than a third of the size of encoding each
+ * state's transitions as an object.
+ *
+ * @template T
+ * @param {State<T>} start
+ * @param {(t: T) => any} encodeToken converts accepting tokens to a JSON value
+ * @returns {SerializedState}
+ */
+export function serialize(start, encodeToken) {
+	const indexes = new Map();
+	const states = [];
+	const tokens = [];
+	const tokenIndexes = new Map();
+	const inputs = [];
+	const inputIndexes = {};
+	const regexps = [];
+	const regexpIndexes = {};
+	const regexpTransitions = [];
+	const regexpTransitionIndexes = {};
+	const indexOf = (state) => {
+		if (!state) {
+			return -1;
+		}
+		if (!indexes.has(state)) {
+			indexes.set(state, states.length);
+			states.push(state);
+		}
+		return indexes.get(state);
+	};
+	const inputCode = (input) => {
+		if (!(input in inputIndexes)) {
+			inputIndexes[input] = inputs.length;
+			inputs.push(input);
+		}
+		return String.fromCharCode(inputIndexes[input] + INPUT_CODE_OFFSET);
+	};
+
+	indexOf(start);
+	const encoded = [];
+	for (let i = 0; i < states.length; i++) {
+		const state = states[i];
+		let t = 0;
+		if (state.t) {
+			if (!tokenIndexes.has(state.t)) {
+				tokenIndexes.set(state.t, tokens.length);
+				tokens.push(encodeToken(state.t));
+			}
+			t = tokenIndexes.get(state.t) + 1;
+		}
+
+		// Group inputs by target state. Inputs are sorted so that restored state
+		// machines are encoded the same way.
+		const targets = [];
+		const codes = {};
+		const stateInputs = Object.keys(state.j).sort();
+		for (let k = 0; k < stateInputs.length; k++) {
+			const input = stateInputs[k];
+			const target = indexOf(state.j[input]);
+			if (!(target in codes)) {
+				codes[target] = '';
+				targets.push(target);
+			}
+			codes[target] += inputCode(input);
+		}
+		const j = [];
+		for (let k = 0; k < targets.length; k++) {
+			j.push(targets[k], codes[targets[k]]);
+		}
+
+		const jr = [];
+		for (let k = 0; k < state.jr.length; k++) {
+			const regexp = state.jr[k][0];
+			const key = regexp.toString();
+			if (!(key in regexpIndexes)) {
+				regexpIndexes[key] = regexps.length;
+				regexps.push([regexp.source, regexp.flags]);
+			}
+			jr.push(regexpIndexes[key], indexOf(state.jr[k][1]));
+		}
+		let r = 0;
+		if (jr.length > 0) {
+			const key = jr.join();
+			if (!(key in regexpTransitionIndexes)) {
+				regexpTransitionIndexes[key] = regexpTransitions.length;
+				regexpTransitions.push(jr);
+			}
+			r = regexpTransitionIndexes[key] + 1;
+		}
+
+		// Empty entries are 0 (-1 for the default transition) and left out if
+		// trailing
+		const item = [t, j.length ? j : 0, r, indexOf(state.jd)];
+		if (item[3] < 0) {
+			item.pop();
+			while (item.length > 0 && item[item.length - 1] === 0) {
+				item.pop();
+			}
+		}
+		encoded.push(item);
+	}
+
+	return { tokens, inputs, regexps, regexpTransitions, states: encoded };
+}
+
+/**
+ * Re-create the state machine encoded with `serialize` and return its start
+ * state.
+ *
+ * @template T
+ * @param {SerializedState} data
+ * @param {(t: any) => T} decodeToken converts encoded tokens back to accepting
+ * tokens
+ * @returns {State<T>}
+ */
+export function deserialize(data, decodeToken) {
+	const tokens = [];
+	for (let i = 0; i < data.tokens.length; i++) {
+		tokens.push(decodeToken(data.tokens[i]));
+	}
+	const regexps = [];
+	for (let i = 0; i < data.regexps.length; i++) {
+		regexps.push(new RegExp(data.regexps[i][0], data.regexps[i][1]));
+	}
+
+	const states = [];
+	for (let i = 0; i < data.states.length; i++) {
+		const t = data.states[i][0];
+		states.push(new State(t ? tokens[t - 1] : null));
+	}
+
+	// Decode each list of regular expression transitions once; states get
+	// copies of the list that share the transition pairs
+	const regexpTransitions = [];
+	for (let i = 0; i < data.regexpTransitions.length; i++) {
+		const jr = data.regexpTransitions[i];
+		const transitions = [];
+		for (let k = 0; k < jr.length; k += 2) {
+			transitions.push([regexps[jr[k]], jr[k + 1] < 0 ? null : states[jr[k + 1]]]);
+		}
+		regexpTransitions.push(transitions);
+	}
+
+	const inputs = data.inputs;
+	for (let i = 0; i < data.states.length; i++) {
+		const item = data.states[i];
+		const j = item[1];
+		const r = item[2];
+		const jd = item[3];
+		const state = states[i];
+		if (j) {
+			for (let k = 0; k < j.length; k += 2) {
+				const target = states[/** @type {number} */ (j[k])];
+				const codes = /** @type {string} */ (j[k + 1]);
+				for (let c = 0; c < codes.length; c++) {
+					state.j[inputs[codes.charCodeAt(c) - INPUT_CODE_OFFSET]] = target;
+				}
+			}
+		}
+		if (r) {
+			state.jr = regexpTransitions[r - 1].slice();
+		}
+		if (jd >= 0) {
+			state.jd = states[jd];
+		}
+	}
+
+	return states[0];
+}
+
+/**
+ * @typedef {{
+ * 	states: { id: number, depth: number, token: ?string }[],
+ * 	transitions: Array<
+ * 		| { from: number, to: number, type: 'input', inputs: string[] }
+ * 		| { from: number, to: number, type: 'regexp', regexp: string }
+ * 		| { from: number, to: number, type: 'default' }
+ * 	>
+ * }} StateGraph
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ * 	depth?: number,
+ * 	path?: string | string[],
+ * 	tokenName?: (t: T) => string
+ * }} GraphOptions
+ */
+
+/**
+ * Get a JSON-compatible graph of the state machine reachable from the given
+ * start state for debugging, e.g., to see which transitions a plugin created.
+ * States are numbered in breadth-first order starting with 0 and labeled with
+ * the names of the tokens they accept. Character transitions to the same state
+ * are grouped into one transition.
+ *
+ * Options:
+ * - `depth` only includes states up to this many transitions from the start
+ * - `path` starts from the state reached by following these inputs instead,
+ *   e.g., `'www'` for the scanner or `['DOMAIN', 'DOT']` for the parser
+ * - `tokenName` gets the label of an accepting token, defaults to the token
+ *   itself or its `t` property for parser token classes
+ *
+ * @template T
+ * @param {State<T>} start
+ * @param {GraphOptions<T>} [opts]
+ * @returns {StateGraph}
+ */
+export function toGraph(start, opts = {}) {
+	const maxDepth = opts.depth === undefined ? Infinity : opts.depth;
+	const tokenName = opts.tokenName || ((t) => /** @type {any} */ (t).t || String(t));
+
+	let root = start;
+	for (const input of opts.path || []) {
+		root = root.go(input);
+		if (!root) {
+			throw Error(`linkifyjs: No transition for ${input} in state machine path`);
+		}
+	}
+
+	const ids = new Map([[root, 0]]);
+	const queue = [root];
+	/** @type {StateGraph} */
+	const graph = { states: [], transitions: [] };
+	const idOf = (state) => {
+		if (!ids.has(state)) {
+			ids.set(state, queue.length);
+			queue.push(state);
+		}
+		return ids.get(state);
+	};
+
+	for (let i = 0, depth = 0, nextDepthAt = 1; i < queue.length; i++) {
+		if (i === nextDepthAt) {
+			depth++;
+			nextDepthAt = queue.length;
+		}
+		const state = queue[i];
+		graph.states.push({ id: i, depth, token: state.t ? tokenName(state.t) : null });
+		if (depth >= maxDepth) {
+			continue;
+		}
+
+		/** @type {Map<State<T>, string[]>} */
+		const inputs = new Map();
+		for (const input in state.j) {
+			if (!inputs.has(state.j[input])) {
+				inputs.set(state.j[input], []);
+			}
+			inputs.get(state.j[input]).push(input);
+		}
+		inputs.forEach((list, next) => {
+			graph.transitions.push({ from: i, to: idOf(next), type: 'input', inputs: list });
+		});
+		for (let k = 0; k < state.jr.length; k++) {
+			if (state.jr[k][1]) {
+				graph.transitions.push({
+					from: i,
+					to: idOf(state.jr[k][1]),
+					type: 'regexp',
+					regexp: String(state.jr[k][0]),
+				});
+			}
+		}
+		if (state.jd) {
+			graph.transitions.push({ from: i, to: idOf(state.jd), type: 'default' });
+		}
+	}
+
+	return graph;
+}
+
+/**
+ * Get the state machine reachable from the given start state as a Graphviz DOT
+ * digraph for debugging. Accepts the same options as `toGraph`. Accepting
+ * states are drawn with double circles and default transitions with dashed
+ * lines.
+ *
+ * @template T
+ * @param {State<T>} start
+ * @param {GraphOptions<T>} [opts]
+ * @returns {string}
+ */
+export function toDot(start, opts = {}) {
+	const { states, transitions } = toGraph(start, opts);
+	const lines = ['digraph linkify {', '\trankdir=LR;', '\tnode [shape=circle];'];
+	for (let i = 0; i < states.length; i++) {
+		const { id, token } = states[i];
+		lines.push(
+			token === null
+				? `\ts${id} [label=${JSON.stringify(String(id))}];`
+				: `\ts${id} [shape=doublecircle, label=${JSON.stringify(`${id}\n${token}`)}];`,
+		);
+	}
+	for (let i = 0; i < transitions.length; i++) {
+		const transition = transitions[i];
+		const edge = `\ts${transition.from} -> s${transition.to}`;
+		if (transition.type === 'input') {
+			// Quote whitespace inputs so they're visible
+			const inputs = transition.inputs.map((input) => (/^\s$/.test(input) ? JSON.stringify(input) : input));
+			lines.push(`${edge} [label=${JSON.stringify(inputs.join(' '))}];`);
+		} else if (transition.type === 'regexp') {
+			lines.push(`${edge} [label=${JSON.stringify(transition.regexp)}];`);
+		} else {
+			lines.push(`${edge} [style=dashed];`);
+		}
+	}
+	lines.push('}');
+	return lines.join('\n');
+}
@@ -1,21 +1,49 @@
-import { init as initScanner, run as runScanner } from './scanner.mjs';
-import { init as initParser, run as runParser } from './parser.mjs';
+import { init as initScanner, run as runScanner, stringToArray } from './scanner.mjs';
+import { init as initParser, run as runParser, openBidiControls } from './parser.mjs';
 import { Options } from './options.mjs';
-import { State } from './fsm.mjs';
+import { State, serialize, deserialize, toGraph, toDot } from './fsm.mjs';
+import { findTokenClass, Text } from './multi.mjs';
+import { resetPublicSuffixes } from './publicsuffix.mjs';
+import { resetConfusables } from './confusables.mjs';
+import { createPattern, applyPatterns } from './pattern.mjs';
+import * as tk from './text.mjs';
+import * as re from './regexp.mjs';
 
-const warn = (typeof console !== 'undefined' && console && console.warn) || (() => {});
-const warnAdvice =
-	'until manual call of linkify.init(). Register all schemes and plugins before invoking linkify the first time.';
+/**
+ * Log a warning, looking up `console.warn` on each call so that it may be
+ * replaced
+ * @param {string} message
+ */
+const warn = (message) => {
+	if (typeof console !== 'undefined' && console && console.warn) {
+		console.warn(message);
+	}
+};
+
+// Increment when the format of the state machines changes in a way that makes
+// older snapshots incompatible
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Create a fresh, uninitialized linkify state. Each state has its own scanner
+ * and parser state machines, plugins and custom schemes.
+ */
+function createInit() {
+	return {
+		scanner: null,
+		parser: null,
+		tokenQueue: [],
+		pluginQueue: [],
+		patternQueue: [],
+		customSchemes: [],
+		customTlds: [],
+		excludedTlds: [],
+		initialized: false,
+	};
+}
 
 // Side-effect initialization state
-const INIT = {
-	scanner: null,
-	parser: null,
-	tokenQueue: [],
-	pluginQueue: [],
-	customSchemes: [],
-	initialized: false,
-};
+const INIT = createInit();
 
 /**
  * @typedef {{
@@ -39,6 +67,87 @@ const INIT = {
  * @typedef {(arg: { scanner: ScannerInit, parser: ParserInit }) => void} Plugin
  */
 
+/**
+ * Options for `registerPlugin`:
+ * - `priority`: plugins run in order of ascending priority (default `0`), so
+ *   the plugin with the highest priority wins when several of them accept the
+ *   same input as different link types
+ * - `dependsOn`: names of plugins or token plugins that must run first
+ * @typedef {{ priority?: number, dependsOn?: string[] }} PluginOpts
+ */
+
+/**
+ * Serialized scanner and parser state machines
+ * @typedef {{
+ * 	version: number,
+ * 	groups: Collections<string>,
+ * 	scanner: import('./fsm.mjs').SerializedState,
+ * 	parser: import('./fsm.mjs').SerializedState
+ * }} Snapshot
+ */
+
+/**
+ * A link type such as `'url'`, or a list of types. Types prefixed with `!` are
+ * excluded, e.g., `['url', 'email']` or `'!mention'`.
+ * @typedef {string | string[]} LinkType
+ */
+
+/**
+ * Result of `explain`: the scanned tokens, steps taken by the parser (see
+ * `ParseStep` in `parser.mjs`), resulting tokens with the name of the option
+ * that rejected each link, if any, and a readable trace of all of the above.
+ * @typedef {{
+ * 	tokens: Token[],
+ * 	steps: ParseStep[],
+ * 	results: Array<{
+ * 		type: string,
+ * 		value: string,
+ * 		start: number,
+ * 		end: number,
+ * 		isLink: boolean,
+ * 		rejectedBy: ?string
+ * 	}>,
+ * 	trace: string
+ * }} Explanation
+ */
+
+/**
+ * @typedef {{
+ * 	write: (chunk: string) => MultiToken[],
+ * 	end: (chunk?: string) => MultiToken[]
+ * }} TokenStream
+ */
+
+/**
+ * @typedef {{
+ * 	registerTokenPlugin: typeof registerTokenPlugin,
+ * 	registerPlugin: typeof registerPlugin,
+ * 	registerPatternPlugin: typeof registerPatternPlugin,
+ * 	registerCustomProtocol: typeof registerCustomProtocol,
+ * 	unregisterTokenPlugin: typeof unregisterTokenPlugin,
+ * 	unregisterPlugin: typeof unregisterPlugin,
+ * 	unregisterCustomProtocol: typeof unregisterCustomProtocol,
+ * 	registerTlds: typeof registerTlds,
+ * 	unregisterTlds: typeof unregisterTlds,
+ * 	init: {
+ * 		(): void,
+ * 		toSnapshot: () => Snapshot,
+ * 		toGraph: typeof init.toGraph,
+ * 		toDot: typeof init.toDot,
+ * 		fromSnapshot: (data: Snapshot, tokens?: { [type: string]: typeof MultiToken }) => void
+ * 	},
+ * 	tokenize: typeof tokenize,
+ * 	createTokenStream: typeof createTokenStream,
+ * 	find: typeof find,
+ * 	findFirst: typeof findFirst,
+ * 	count: typeof count,
+ * 	replace: typeof replace,
+ * 	map: typeof map,
+ * 	explain: typeof explain,
+ * 	test: typeof test
+ * }} Linkify
+ */
+
 /**
  * De-register all plugins and reset the internal state-machine. Used for
  * testing; not required in practice.
@@ -46,144 +155,643 @@ const INIT = {
  */
 export function reset() {
 	State.groups = {};
-	INIT.scanner = null;
-	INIT.parser = null;
-	INIT.tokenQueue = [];
-	INIT.pluginQueue = [];
-	INIT.customSchemes = [];
-	INIT.initialized = false;
-	return INIT;
+	resetPublicSuffixes();
+	resetConfusables();
+	return Object.assign(INIT, createInit());
 }
 
 /**
- * Register a token plugin to allow the scanner to recognize additional token
- * types before the parser state machine is constructed from the results.
- * @param {string} name of plugin to register
- * @param {TokenPlugin} plugin function that accepts the scanner state machine
- * and available scanner tokens and collections and extends the state machine to
- * recognize additional tokens or groups.
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} name
+ * @param {TokenPlugin} plugin
  */
-export function registerTokenPlugin(name, plugin) {
+function addTokenPlugin(state, name, plugin) {
 	if (typeof plugin !== 'function') {
 		throw new Error(`linkifyjs: Invalid token plugin ${plugin} (expects function)`);
 	}
-	for (let i = 0; i < INIT.tokenQueue.length; i++) {
-		if (name === INIT.tokenQueue[i][0]) {
+	for (let i = 0; i < state.tokenQueue.length; i++) {
+		if (name === state.tokenQueue[i][0]) {
 			warn(`linkifyjs: token plugin "${name}" already registered - will be overwritten`);
-			INIT.tokenQueue[i] = [name, plugin];
+			state.tokenQueue[i] = [name, plugin];
+			state.initialized = false;
 			return;
 		}
 	}
-	INIT.tokenQueue.push([name, plugin]);
-	if (INIT.initialized) {
-		warn(`linkifyjs: already initialized - will not register token plugin "${name}" ${warnAdvice}`);
-	}
+	state.tokenQueue.push([name, plugin]);
+	state.initialized = false;
 }
 
 /**
- * Register a linkify plugin
- * @param {string} name of plugin to register
- * @param {Plugin} plugin function that accepts the parser state machine and
- * extends the parser to recognize additional link types
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} name
+ * @param {Plugin} plugin
+ * @param {PluginOpts} [opts]
  */
-export function registerPlugin(name, plugin) {
+function addPlugin(state, name, plugin, opts = null) {
 	if (typeof plugin !== 'function') {
 		throw new Error(`linkifyjs: Invalid plugin ${plugin} (expects function)`);
 	}
-	for (let i = 0; i < INIT.pluginQueue.length; i++) {
-		if (name === INIT.pluginQueue[i][0]) {
+	const { priority = 0, dependsOn = [] } = opts || {};
+	if (typeof priority !== 'number' || isNaN(priority)) {
+		throw new Error(`linkifyjs: Invalid priority ${priority} for plugin "${name}" (expects number)`);
+	}
+	if (!Array.isArray(dependsOn)) {
+		throw new Error(`linkifyjs: Invalid dependsOn ${dependsOn} for plugin "${name}" (expects array)`);
+	}
+	const entry = [name, plugin, { priority, dependsOn: dependsOn.slice() }];
+	for (let i = 0; i < state.pluginQueue.length; i++) {
+		if (name === state.pluginQueue[i][0]) {
 			warn(`linkifyjs: plugin "${name}" already registered - will be overwritten`);
-			INIT.pluginQueue[i] = [name, plugin];
+			state.pluginQueue[i] = entry;
+			state.initialized = false;
 			return;
 		}
 	}
-	INIT.pluginQueue.push([name, plugin]);
-	if (INIT.initialized) {
-		warn(`linkifyjs: already initialized - will not register plugin "${name}" ${warnAdvice}`);
+	state.pluginQueue.push(entry);
+	state.initialized = false;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} type
+ * @param {PatternOpts} opts
+ */
+function addPatternPlugin(state, type, opts) {
+	const pattern = createPattern(type, opts);
+	for (let i = 0; i < state.patternQueue.length; i++) {
+		if (type === state.patternQueue[i][0]) {
+			warn(`linkifyjs: plugin "${type}" already registered - will be overwritten`);
+			state.patternQueue[i] = [type, pattern];
+			return;
+		}
 	}
+	state.patternQueue.push([type, pattern]);
 }
 
 /**
- * Detect URLs with the following additional protocol. Anything with format
- * "protocol://..." will be considered a link. If `optionalSlashSlash` is set to
- * `true`, anything with format "protocol:..." will be considered a link.
+ * @param {ReturnType<typeof createInit>} state
  * @param {string} scheme
- * @param {boolean} [optionalSlashSlash]
+ * @param {boolean} optionalSlashSlash
  */
-export function registerCustomProtocol(scheme, optionalSlashSlash = false) {
-	if (INIT.initialized) {
-		warn(`linkifyjs: already initialized - will not register custom scheme "${scheme}" ${warnAdvice}`);
-	}
+function addCustomProtocol(state, scheme, optionalSlashSlash) {
 	if (!/^[0-9a-z]+(-[0-9a-z]+)*$/.test(scheme)) {
 		throw new Error(`linkifyjs: incorrect scheme format.
 1. Must only contain digits, lowercase ASCII letters or "-"
 2. Cannot start or end with "-"
 3. "-" cannot repeat`);
 	}
-	INIT.customSchemes.push([scheme, optionalSlashSlash]);
+	state.customSchemes.push([scheme, optionalSlashSlash]);
+	state.initialized = false;
 }
 
 /**
- * Initialize the linkify state machine. Called automatically the first time
- * linkify is called on a string, but may be called manually as well.
+ * @param {string[]} tlds
+ * @returns {string[]} lowercase TLDs
  */
-export function init() {
+function normalizeTlds(tlds) {
+	const result = [];
+	for (let i = 0; i < tlds.length; i++) {
+		const tld = typeof tlds[i] === 'string' ? tlds[i].toLowerCase().replace(/^\./, '') : '';
+		const chars = stringToArray(tld);
+		let valid = chars.length > 0;
+		// Combining marks may follow the first letter, e.g., in Devanagari TLDs
+		for (let j = 0; valid && j < chars.length; j++) {
+			valid = re.LETTER.test(chars[j]) || (j > 0 && re.MARK.test(chars[j]));
+		}
+		if (!valid) {
+			throw new Error(
+				`linkifyjs: Invalid top-level domain ${tlds[i]} (expects letters and combining marks only)`,
+			);
+		}
+		result.push(tld);
+	}
+	return result;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string[]} tlds
+ */
+function addTlds(state, tlds) {
+	tlds = normalizeTlds(tlds);
+	for (let i = 0; i < tlds.length; i++) {
+		if (state.customTlds.indexOf(tlds[i]) < 0) {
+			state.customTlds.push(tlds[i]);
+		}
+		const excludedIndex = state.excludedTlds.indexOf(tlds[i]);
+		if (excludedIndex >= 0) {
+			state.excludedTlds.splice(excludedIndex, 1);
+		}
+	}
+	state.initialized = false;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string[]} tlds
+ */
+function removeTlds(state, tlds) {
+	tlds = normalizeTlds(tlds);
+	for (let i = 0; i < tlds.length; i++) {
+		if (state.excludedTlds.indexOf(tlds[i]) < 0) {
+			state.excludedTlds.push(tlds[i]);
+		}
+		const customIndex = state.customTlds.indexOf(tlds[i]);
+		if (customIndex >= 0) {
+			state.customTlds.splice(customIndex, 1);
+		}
+	}
+	state.initialized = false;
+}
+
+/**
+ * Remove all entries with the given name (or scheme) from a registration
+ * queue. Marks the state for re-initialization if anything was removed.
+ * @param {ReturnType<typeof createInit>} state
+ * @param {'tokenQueue' | 'pluginQueue' | 'patternQueue' | 'customSchemes'} key
+ * @param {string} name
+ * @returns {boolean} whether anything was removed
+ */
+function removeFromQueue(state, key, name) {
+	const queue = state[key];
+	const remaining = [];
+	for (let i = 0; i < queue.length; i++) {
+		if (queue[i][0] !== name) {
+			remaining.push(queue[i]);
+		}
+	}
+	if (remaining.length === queue.length) {
+		return false;
+	}
+	state[key] = remaining;
+	state.initialized = false;
+	return true;
+}
+
+/**
+ * Remove the linkify plugin or pattern plugin with the given name
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} name
+ * @returns {boolean} whether anything was removed
+ */
+function unregisterPluginState(state, name) {
+	const removedPlugin = removeFromQueue(state, 'pluginQueue', name);
+	const removedPattern = removeFromQueue(state, 'patternQueue', name);
+	return removedPlugin || removedPattern;
+}
+
+/**
+ * Get the registered plugins of the given state in the order they should run:
+ * in order of ascending priority, then registration, but after all of the
+ * plugins each one depends on.
+ * @param {ReturnType<typeof createInit>} state
+ * @returns {Array<[string, Plugin, Required<PluginOpts>]>}
+ */
+function sortPlugins(state) {
+	const done = {};
+	for (let i = 0; i < state.tokenQueue.length; i++) {
+		done[state.tokenQueue[i][0]] = true;
+	}
+
+	const remaining = state.pluginQueue.slice();
+	const sorted = [];
+	while (remaining.length > 0) {
+		let next = -1;
+		for (let i = 0; i < remaining.length; i++) {
+			const { priority, dependsOn } = remaining[i][2];
+			if (
+				dependsOn.every((dependency) => done[dependency]) &&
+				(next < 0 || priority < remaining[next][2].priority)
+			) {
+				next = i;
+			}
+		}
+
+		if (next < 0) {
+			const [name, , { dependsOn }] = remaining[0];
+			const names = state.pluginQueue.map((entry) => entry[0]);
+			const missing = dependsOn.filter((dependency) => !done[dependency] && names.indexOf(dependency) < 0);
+			throw new Error(
+				missing.length > 0
+					? `linkifyjs: plugin "${name}" depends on unregistered plugin "${missing[0]}"`
+					: `linkifyjs: circular dependency between plugins ${remaining.map((entry) => `"${entry[0]}"`).join(', ')}`,
+			);
+		}
+
+		done[remaining[next][0]] = true;
+		sorted.push(remaining.splice(next, 1)[0]);
+	}
+	return sorted;
+}
+
+/**
+ * List the paths to states that accept tokens matching the given filter in the
+ * parser state machine reachable from the given start state. Each item has the
+ * keys of the transitions on the path (inputs, `/` and the index of a regular
+ * expression transition or `jd` for default transitions), the accepted token
+ * and a readable version of the path. Plugins may replace states, so paths are
+ * compared rather than states.
+ * @param {State<MultiToken>} start
+ * @param {(t: typeof MultiToken) => boolean} filter
+ * @returns {Array<[string[], typeof MultiToken, string[]]>}
+ */
+function acceptingTransitions(start, filter) {
+	/** @type {Map<State<MultiToken>, ?[State<MultiToken>, string, string]>} */
+	const parents = new Map([[start, null]]);
+	const queue = [start];
+	const transitions = [];
+	const visit = (from, key, next, label) => {
+		if (!next) {
+			return;
+		}
+		if (next.t && filter(next.t)) {
+			const keys = [key];
+			const labels = [label];
+			for (let parent = parents.get(from); parent; parent = parents.get(parent[0])) {
+				keys.unshift(parent[1]);
+				labels.unshift(parent[2]);
+			}
+			transitions.push([keys, next.t, labels]);
+		}
+		if (!parents.has(next)) {
+			parents.set(next, [from, key, label]);
+			queue.push(next);
+		}
+	};
+
+	for (let i = 0; i < queue.length; i++) {
+		const state = queue[i];
+		for (const input in state.j) {
+			visit(state, input, state.j[input], input);
+		}
+		for (let j = 0; j < state.jr.length; j++) {
+			visit(state, `/${j}`, state.jr[j][1], String(state.jr[j][0]));
+		}
+		visit(state, 'jd', state.jd, '*');
+	}
+	return transitions;
+}
+
+/**
+ * Follow the transitions with the given keys (see `acceptingTransitions`)
+ * @param {State<MultiToken>} start
+ * @param {string[]} keys
+ * @returns {?State<MultiToken>}
+ */
+function follow(start, keys) {
+	let state = start;
+	for (let i = 0; state && i < keys.length; i++) {
+		const key = keys[i];
+		if (key === 'jd') {
+			state = state.jd;
+		} else if (key[0] === '/') {
+			state = state.jr[+key.slice(1)] ? state.jr[+key.slice(1)][1] : null;
+		} else {
+			state = Object.prototype.hasOwnProperty.call(state.j, key) ? state.j[key] : null;
+		}
+	}
+	return state;
+}
+
+/**
+ * Build the scanner and parser state machines for the given state
+ * @param {ReturnType<typeof createInit>} state
+ */
+function initState(state) {
+	// Build into local variables first so that a plugin that throws doesn't
+	// leave half-built state machines behind. The state stays uninitialized,
+	// so each call throws again until the plugin is removed.
 	// Initialize scanner state machine and plugins
-	INIT.scanner = initScanner(INIT.customSchemes);
-	for (let i = 0; i < INIT.tokenQueue.length; i++) {
-		INIT.tokenQueue[i][1]({
-			scanner: INIT.scanner,
-		});
+	const scanner = initScanner(state.customSchemes.slice(), state.customTlds, state.excludedTlds);
+	for (let i = 0; i < state.tokenQueue.length; i++) {
+		state.tokenQueue[i][1]({ scanner });
 	}
 
-	// Initialize parser state machine and plugins
-	INIT.parser = initParser(INIT.scanner.tokens);
-	for (let i = 0; i < INIT.pluginQueue.length; i++) {
-		INIT.pluginQueue[i][1]({
-			scanner: INIT.scanner,
-			parser: INIT.parser,
-		});
+	// Initialize parser state machine and plugins, reporting plugins that
+	// change what another plugin's link type accepts
+	const parser = initParser(scanner.tokens);
+	const plugins = sortPlugins(state);
+	/** @type {{[type: string]: ?[string, number]}} */
+	const owners = {}; // plugin name and priority by link type, null for built-in types
+	const reported = {};
+	const claim = (owner) => (t) => {
+		if (!(t.t in owners)) {
+			owners[t.t] = owner;
+		}
+		return owners[t.t] !== null;
+	};
+	let transitions = [];
+	if (plugins.length > 1) {
+		acceptingTransitions(parser.start, claim(null));
+	}
+
+	for (let i = 0; i < plugins.length; i++) {
+		const [name, plugin, { priority }] = plugins[i];
+		plugin({ scanner, parser });
+
+		for (let j = 0; j < transitions.length; j++) {
+			const [keys, t, path] = transitions[j];
+			const next = follow(parser.start, keys);
+			const owner = owners[t.t];
+			if ((next && next.t) === t || owner[0] === name || priority > owner[1]) {
+				continue;
+			}
+			if (!reported[`${owner[0]}:${name}`]) {
+				reported[`${owner[0]}:${name}`] = true;
+				warn(
+					`linkifyjs: plugins "${owner[0]}" and "${name}" conflict on ${path.join(' ')}: "${name}" changes it from ${t.t} to ${next && next.t ? next.t.t : 'text'}. Give the plugin that should win a higher priority.`,
+				);
+			}
+		}
+
+		// Only the link types of plugins may conflict
+		transitions = i < plugins.length - 1 ? acceptingTransitions(parser.start, claim([name, priority])) : [];
 	}
-	INIT.initialized = true;
-	return INIT;
+
+	state.scanner = scanner;
+	state.parser = parser;
+	state.initialized = true;
+	return state;
 }
 
 /**
- * Parse a string into tokens that represent linkable and non-linkable sub-components
+ * @param {ReturnType<typeof createInit>} state
+ * @returns {Snapshot}
+ */
+function toSnapshotState(state) {
+	if (!state.initialized) {
+		initState(state);
+	}
+	const groups = state.scanner.tokens.groups;
+	const groupsCopy = {};
+	for (const group in groups) {
+		groupsCopy[group] = groups[group].slice();
+	}
+	return {
+		version: SNAPSHOT_VERSION,
+		groups: groupsCopy,
+		scanner: serialize(state.scanner.start, (t) => t),
+		parser: serialize(state.parser.start, (Multi) => Multi.t),
+	};
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {'scanner' | 'parser'} machine
+ * @returns {State<any>}
+ */
+function machineStart(state, machine) {
+	if (machine !== 'scanner' && machine !== 'parser') {
+		throw Error(`linkifyjs: Invalid state machine ${machine}; must be scanner or parser`);
+	}
+	if (!state.initialized) {
+		initState(state);
+	}
+	return state[machine].start;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {Snapshot} data
+ * @param {{ [type: string]: new (value: string, tokens: Token[]) => MultiToken }} [tokens]
+ */
+function fromSnapshotState(state, data, tokens = {}) {
+	if (!data || data.version !== SNAPSHOT_VERSION) {
+		throw new Error(
+			`linkifyjs: Unsupported snapshot version ${data && data.version} (expects ${SNAPSHOT_VERSION})`,
+		);
+	}
+	const decodeMulti = (type) => {
+		const Multi = tokens[type] || findTokenClass(type);
+		if (!Multi) {
+			throw new Error(
+				`linkifyjs: Unknown token type "${type}" in snapshot. Import the plugin that creates it or pass its class in the tokens argument`,
+			);
+		}
+		return Multi;
+	};
+
+	const groups = {};
+	for (const group in data.groups) {
+		groups[group] = data.groups[group].slice();
+	}
+	const scannerStart = deserialize(data.scanner, (t) => t);
+	const parserStart = deserialize(data.parser, decodeMulti);
+
+	State.groups = groups;
+	state.scanner = { start: scannerStart, tokens: Object.assign({ groups }, tk) };
+	state.parser = { start: parserStart, tokens: tk };
+	state.initialized = true;
+	return state;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
  * @param {string} str
- * @return {MultiToken[]} tokens
+ * @param {Opts | Options} [opts] options with `indexUnit`, `cjkBoundaries`,
+ * `fold`, `normalize`, `enabledTypes` and `disabledTypes`
+ * @return {MultiToken[]}
  */
-export function tokenize(str) {
-	if (!INIT.initialized) {
-		init();
+function tokenizeState(state, str, opts = null) {
+	if (!state.initialized) {
+		initState(state);
 	}
-	return runParser(INIT.parser.start, str, runScanner(INIT.scanner.start, str));
+	const options = opts instanceof Options ? opts : new Options(opts);
+	const tokens = runScanner(state.scanner.start, str, false, scanOpts(options));
+	return disableTypes(parse(state, str, tokens), options);
 }
-tokenize.scan = runScanner; // for testing
 
 /**
- * Find a list of linkable items in the given string.
- * @param {string} str string to find links in
- * @param {string | Opts} [type] either formatting options or specific type of
- * links to find, e.g., 'url' or 'email'
- * @param {Opts} [opts] formatting options for final output. Cannot be specified
- * if opts already provided in `type` argument
+ * Scanner options for the given linkify options
+ * @param {Options} options
+ * @returns {ScanOpts}
  */
-export function find(str, type = null, opts = null) {
-	if (type && typeof type === 'object') {
+function scanOpts(options) {
+	return {
+		unit: options.get('indexUnit'),
+		cjk: options.get('cjkBoundaries'),
+		fold: options.get('fold'),
+		normalize: options.get('normalize'),
+	};
+}
+
+/**
+ * Replace links of the types disabled by the given options with plain text,
+ * merged with any plain text around them
+ * @param {MultiToken[]} multis
+ * @param {Options} options
+ * @returns {MultiToken[]}
+ */
+function disableTypes(multis, options) {
+	const result = [];
+	let texts = []; // consecutive plain text tokens and disabled links
+	let disabled = false;
+	const flush = () => {
+		if (texts.length === 1 && texts[0] instanceof Text) {
+			result.push(texts[0]);
+		} else if (texts.length > 0) {
+			const value = texts.map((text) => text.toString()).join('');
+			result.push(new Text(value, [].concat(...texts.map((text) => text.tk))));
+		}
+		texts = [];
+	};
+
+	for (let i = 0; i < multis.length; i++) {
+		const multi = multis[i];
+		if (multi.isLink && !options.enablesType(multi.t)) {
+			disabled = true;
+			texts.push(multi);
+		} else if (multi instanceof Text) {
+			texts.push(multi);
+		} else {
+			flush();
+			result.push(multi);
+		}
+	}
+	flush();
+	return disabled ? result : multis;
+}
+
+/**
+ * Run the parser and pattern plugins on the given scanned tokens
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {Token[]} tokens
+ * @param {boolean} [partial]
+ * @param {(step: ParseStep) => void} [trace]
+ * @param {string[]} [bidi] bidi controls still open before the given tokens
+ * @returns {MultiToken[]}
+ */
+function parse(state, str, tokens, partial = false, trace = null, bidi = []) {
+	const multis = runParser(state.parser.start, str, tokens, partial, trace, bidi);
+	return state.patternQueue.length > 0
+		? applyPatterns(
+				state.patternQueue.map((entry) => entry[1]),
+				multis,
+			)
+		: multis;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @returns {TokenStream}
+ */
+function createTokenStreamState(state) {
+	let buffer = '';
+	let offset = 0; // index of the start of the buffer in the full input
+	let bidi = []; // bidi controls still open at the start of the buffer
+	let ended = false;
+
+	// Parse the buffer, remove the parsed part and shift token indexes so that
+	// they are relative to the full input
+	const flush = (partial) => {
+		if (!state.initialized) {
+			initState(state);
+		}
+		let input = buffer;
+		if (partial && /[\ud800-\udbff]$/.test(input)) {
+			input = input.slice(0, -1); // wait for the rest of the surrogate pair
+		}
+		const multis = parse(state, input, runScanner(state.scanner.start, input, partial), partial, null, bidi);
+		const consumed = multis.length > 0 ? multis[multis.length - 1].endIndex() : 0;
+		for (let i = 0; i < multis.length; i++) {
+			bidi = openBidiControls(multis[i].tk, bidi);
+		}
+		offsetTokens(multis, offset);
+		buffer = partial ? buffer.slice(consumed) : '';
+		offset += partial ? consumed : input.length;
+		return multis;
+	};
+
+	return {
+		write(chunk) {
+			if (ended) {
+				throw new Error('linkifyjs: Cannot write to token stream after end');
+			}
+			buffer += chunk;
+			return flush(true);
+		},
+		end(chunk = '') {
+			if (ended) {
+				throw new Error('linkifyjs: Token stream already ended');
+			}
+			buffer += chunk;
+			ended = true;
+			return flush(false);
+		},
+	};
+}
+
+/**
+ * Shift the start and end indexes of the text tokens of the given multi tokens
+ * @param {MultiToken[]} multis
+ * @param {number} offset
+ */
+function offsetTokens(multis, offset) {
+	for (let i = 0; i < multis.length; i++) {
+		const tokens = multis[i].tk;
+		for (let j = 0; j < tokens.length; j++) {
+			tokens[j].s += offset;
+			tokens[j].e += offset;
+		}
+	}
+}
+
+/**
+ * Create a function that checks whether a token type matches the given link
+ * type filter. Types prefixed with `!` are excluded. Without any other types,
+ * all types not excluded match.
+ * @param {?LinkType} type
+ * @returns {(t: string) => boolean}
+ */
+function typeFilter(type) {
+	const types = type ? [].concat(type) : [];
+	const included = [];
+	const excluded = [];
+	for (let i = 0; i < types.length; i++) {
+		if (typeof types[i] !== 'string') {
+			throw Error(`linkifyjs: Invalid link type ${types[i]}; must be a string`);
+		}
+		if (types[i][0] === '!') {
+			excluded.push(types[i].slice(1));
+		} else {
+			included.push(types[i]);
+		}
+	}
+	return (t) => (included.length === 0 || included.indexOf(t) >= 0) && excluded.indexOf(t) < 0;
+}
+
+/**
+ * Normalize the optional `type` and `opts` arguments of `find` and friends
+ * @param {?(LinkType | Opts)} type
+ * @param {?Opts} opts
+ * @returns {[(t: string) => boolean, Options]}
+ */
+function findArgs(type, opts) {
+	if (type && typeof type === 'object' && !Array.isArray(type)) {
 		if (opts) {
-			throw Error(`linkifyjs: Invalid link type ${type}; must be a string`);
+			throw Error(`linkifyjs: Invalid link type ${type}; must be a string or array`);
 		}
 		opts = type;
 		type = null;
 	}
-	const options = new Options(opts);
-	const tokens = tokenize(str);
+	return [typeFilter(/** @type {?LinkType} */ (type)), new Options(opts)];
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {LinkType | Opts} [type]
+ * @param {Opts} [opts]
+ */
+function findState(state, str, type = null, opts = null) {
+	const [matches, options] = findArgs(type, opts);
+	const tokens = tokenizeState(state, str, options);
 	const filtered = [];
 
 	for (let i = 0; i < tokens.length; i++) {
 		const token = tokens[i];
-		if (token.isLink && (!type || token.t === type) && options.check(token)) {
+		if (token.isLink && matches(token.t) && options.check(token)) {
 			filtered.push(token.toFormattedObject(options));
 		}
 	}
@@ -191,6 +799,484 @@ export function find(str, type = null, opts = null) {
 	return filtered;
 }
 
+/**
+ * Tokenizes one line at a time since links never span line breaks, and stops
+ * after the first line with a matching link.
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {LinkType | Opts} [type]
+ * @param {Opts} [opts]
+ */
+function findFirstState(state, str, type = null, opts = null) {
+	const [matches, options] = findArgs(type, opts);
+	let start = 0;
+	let offset = 0; // start in the requested index unit
+
+	while (start < str.length) {
+		const newline = str.indexOf('\n', start);
+		const end = newline < 0 ? str.length : newline + 1;
+		const tokens = tokenizeState(state, str.slice(start, end), options);
+		for (let i = 0; i < tokens.length; i++) {
+			const token = tokens[i];
+			if (token.isLink && matches(token.t) && options.check(token)) {
+				offsetTokens([token], offset);
+				return token.toFormattedObject(options);
+			}
+		}
+		start = end;
+		offset += tokens[tokens.length - 1].endIndex();
+	}
+
+	return null;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {LinkType | Opts} [type]
+ * @param {Opts} [opts]
+ */
+function countState(state, str, type = null, opts = null) {
+	const [matches, options] = findArgs(type, opts);
+	const tokens = tokenizeState(state, str, options);
+	let count = 0;
+
+	for (let i = 0; i < tokens.length; i++) {
+		if (tokens[i].isLink && matches(tokens[i].t) && options.check(tokens[i])) {
+			count++;
+		}
+	}
+
+	return count;
+}
+
+/**
+ * @template T
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {(link: ReturnType<MultiToken['toFormattedObject']>, token: MultiToken) => T} fn
+ * @param {Opts} [opts]
+ * @returns {Array<string | T>}
+ */
+function mapState(state, str, fn, opts = null) {
+	const options = new Options(opts);
+	const tokens = tokenizeState(state, str, options);
+	const result = [];
+	let text = '';
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+		if (token.isLink && options.check(token)) {
+			if (text) {
+				result.push(text);
+				text = '';
+			}
+			result.push(fn(token.toFormattedObject(options), token));
+		} else {
+			text += token.toString();
+		}
+	}
+
+	if (text) {
+		result.push(text);
+	}
+	return result;
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {LinkType} [type]
+ */
+function testState(state, str, type = null) {
+	const tokens = tokenizeState(state, str);
+	return tokens.length === 1 && tokens[0].isLink && typeFilter(type)(tokens[0].t);
+}
+
+/**
+ * @param {ReturnType<typeof createInit>} state
+ * @param {string} str
+ * @param {Opts} [opts]
+ * @returns {Explanation}
+ */
+function explainState(state, str, opts = null) {
+	if (!state.initialized) {
+		initState(state);
+	}
+	const options = new Options(opts);
+	const tokens = runScanner(state.scanner.start, str, false, scanOpts(options));
+	/** @type {ParseStep[]} */
+	const steps = [];
+	const multis = disableTypes(
+		parse(state, str, tokens, false, (step) => {
+			steps.push(step);
+		}),
+		options,
+	);
+	const results = [];
+	for (let i = 0; i < multis.length; i++) {
+		const multi = multis[i];
+		results.push({
+			type: multi.t,
+			value: multi.toString(),
+			start: multi.startIndex(),
+			end: multi.endIndex(),
+			isLink: multi.isLink,
+			rejectedBy: multi.isLink ? options.rejectedBy(multi) : null,
+		});
+	}
+	return { tokens, steps, results, trace: formatTrace(tokens, steps, results) };
+}
+
+/**
+ * Describe the steps taken to tokenize a string, one per line
+ * @param {Token[]} tokens
+ * @param {ParseStep[]} steps
+ * @param {Explanation['results']} results
+ * @returns {string}
+ */
+function formatTrace(tokens, steps, results) {
+	const lines = ['Scanner tokens:'];
+	for (let i = 0; i < tokens.length; i++) {
+		lines.push(`  #${i} ${tokens[i].t} ${JSON.stringify(tokens[i].v)} at ${tokens[i].s}-${tokens[i].e}`);
+	}
+
+	lines.push('Parser steps:');
+	for (let i = 0; i < steps.length; i++) {
+		const { type, index, end, accepts } = steps[i];
+		const range = end - index > 1 ? `#${index}-#${end - 1}` : `#${index}`;
+		switch (type) {
+			case 'text':
+				lines.push(`  #${index} ${tokens[index].t} added to text`);
+				break;
+			case 'transition':
+				lines.push(`  #${index} ${tokens[index].t} -> ${accepts ? `accepts ${accepts}` : 'not accepting'}`);
+				break;
+			case 'rollback':
+				lines.push(`  rolled back ${range} to the latest accepting state`);
+				break;
+			case 'accept':
+				lines.push(`  ${range} accepted as ${accepts}`);
+				break;
+			case 'reject':
+				lines.push(`  ${range} reached no accepting state`);
+				break;
+			case 'boundary':
+				lines.push(`  #${index} ${tokens[index].t} starts at a script change, ending the link`);
+				break;
+		}
+	}
+
+	lines.push('Results:');
+	for (let i = 0; i < results.length; i++) {
+		const { type, value, start, end, isLink, rejectedBy } = results[i];
+		const status = !isLink ? '' : rejectedBy ? ` (rejected by the ${rejectedBy} option)` : ' (link)';
+		lines.push(`  ${type} ${JSON.stringify(value)} at ${start}-${end}${status}`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Register a token plugin to allow the scanner to recognize additional token
+ * types before the parser state machine is constructed from the results.
+ * @param {string} name of plugin to register
+ * @param {TokenPlugin} plugin function that accepts the scanner state machine
+ * and available scanner tokens and collections and extends the state machine to
+ * recognize additional tokens or groups.
+ */
+export function registerTokenPlugin(name, plugin) {
+	addTokenPlugin(INIT, name, plugin);
+}
+
+/**
+ * Register a linkify plugin. Plugins run in order of ascending priority, then
+ * in order of registration. When initializing, linkify warns about plugins that
+ * change what another plugin with the same or a higher priority accepts.
+ *
+ * ```js
+ * linkify.registerPlugin('ticket', ticket, { priority: 1, dependsOn: ['hashtag'] });
+ * ```
+ * @param {string} name of plugin to register
+ * @param {Plugin} plugin function that accepts the parser state machine and
+ * extends the parser to recognize additional link types
+ * @param {PluginOpts} [opts] priority and dependencies of the plugin
+ */
+export function registerPlugin(name, plugin, opts = null) {
+	addPlugin(INIT, name, plugin, opts);
+}
+
+/**
+ * Register a plugin that detects links matching a regular expression, without
+ * having to extend the state machines. Matches are only found in text that is
+ * not already part of another link.
+ *
+ * ```js
+ * linkify.registerPatternPlugin('ticket', {
+ * 	pattern: /PROJ-\d+/,
+ * 	href: 'https://jira.example.com/browse/$&',
+ * });
+ * ```
+ * @param {string} type link type of the matches, also the plugin name for
+ * `unregisterPlugin`
+ * @param {PatternOpts} opts see `PatternOpts` in `pattern.mjs`
+ */
+export function registerPatternPlugin(type, opts) {
+	addPatternPlugin(INIT, type, opts);
+}
+
+/**
+ * Detect URLs with the following additional protocol. Anything with format
+ * "protocol://..." will be considered a link. If `optionalSlashSlash` is set to
+ * `true`, anything with format "protocol:..." will be considered a link.
+ * @param {string} scheme
+ * @param {boolean} [optionalSlashSlash]
+ */
+export function registerCustomProtocol(scheme, optionalSlashSlash = false) {
+	addCustomProtocol(INIT, scheme, optionalSlashSlash);
+}
+
+/**
+ * Recognize additional top-level domains such as `corp` or `internal`, or
+ * re-enable built-in ones removed with `unregisterTlds`. Takes effect the next
+ * time linkify is called on a string.
+ * @param {string[]} tlds top-level domains, with or without the leading dot.
+ * Must only contain letters.
+ */
+export function registerTlds(tlds) {
+	addTlds(INIT, tlds);
+}
+
+/**
+ * Stop recognizing the given top-level domains, including built-in ones. Useful
+ * for TLDs that look like file extensions (e.g., `zip` or `mov`). Takes effect
+ * the next time linkify is called on a string.
+ * @param {string[]} tlds top-level domains, with or without the leading dot.
+ */
+export function unregisterTlds(tlds) {
+	removeTlds(INIT, tlds);
+}
+
+/**
+ * De-register a previously-registered token plugin. The state machines get
+ * rebuilt without it the next time linkify is called on a string.
+ * @param {string} name of plugin to remove
+ * @returns {boolean} whether a plugin with the given name was registered
+ */
+export function unregisterTokenPlugin(name) {
+	return removeFromQueue(INIT, 'tokenQueue', name);
+}
+
+/**
+ * De-register a previously-registered linkify plugin or pattern plugin. The
+ * state machines get rebuilt without it the next time linkify is called on a
+ * string.
+ * @param {string} name of plugin to remove
+ * @returns {boolean} whether a plugin with the given name was registered
+ */
+export function unregisterPlugin(name) {
+	return unregisterPluginState(INIT, name);
+}
+
+/**
+ * Stop detecting URLs with the given custom protocol, previously added with
+ * `registerCustomProtocol`.
+ * @param {string} scheme
+ * @returns {boolean} whether the scheme was registered
+ */
+export function unregisterCustomProtocol(scheme) {
+	return removeFromQueue(INIT, 'customSchemes', scheme);
+}
+
+/**
+ * Initialize the linkify state machine. Called automatically the first time
+ * linkify is called on a string and again after any plugins or schemes are
+ * registered or de-registered, but may be called manually as well.
+ */
+export function init() {
+	return initState(INIT);
+}
+
+/**
+ * Export the current scanner and parser state machines, including those
+ * generated by plugins and custom schemes, as a JSON-compatible object.
+ * Initializes linkify first if required.
+ * @returns {Snapshot}
+ */
+init.toSnapshot = () => toSnapshotState(INIT);
+
+/**
+ * Initialize linkify with state machines previously exported with
+ * `init.toSnapshot()` rather than building them. Plugins are not run again, but
+ * the token classes they create must still be available: either import the
+ * plugins before calling this or pass the classes in the `tokens` argument.
+ *
+ * Registering or de-registering plugins or schemes afterwards rebuilds the
+ * state machines from the registered plugins and schemes as usual.
+ *
+ * The default snapshot is about 100 KB of JSON. In a fresh Node.js process,
+ * parsing and restoring it takes roughly half as long as `init()`.
+ *
+ * @param {Snapshot} data
+ * @param {{ [type: string]: new (value: string, tokens: Token[]) => MultiToken }} [tokens]
+ * token classes by type, for types created outside of `createTokenClass`
+ */
+init.fromSnapshot = (data, tokens) => fromSnapshotState(INIT, data, tokens);
+
+/**
+ * Get the current scanner or parser state machine, including transitions
+ * added by plugins and custom schemes, as a JSON-compatible graph for
+ * debugging. Initializes linkify first if required.
+ *
+ * ```js
+ * linkify.init.toGraph('parser', { path: ['DOMAIN', 'DOT'], depth: 2 });
+ * ```
+ * @param {'scanner' | 'parser'} machine
+ * @param {import('./fsm.mjs').GraphOptions<any>} [opts] see `toGraph` in
+ * `fsm.mjs`
+ * @returns {import('./fsm.mjs').StateGraph}
+ */
+init.toGraph = (machine, opts) => toGraph(machineStart(INIT, machine), opts);
+
+/**
+ * Same as `init.toGraph`, but returns a Graphviz DOT digraph.
+ * @param {'scanner' | 'parser'} machine
+ * @param {import('./fsm.mjs').GraphOptions<any>} [opts]
+ * @returns {string}
+ */
+init.toDot = (machine, opts) => toDot(machineStart(INIT, machine), opts);
+
+/**
+ * Parse a string into tokens that represent linkable and non-linkable sub-components
+ * @param {string} str
+ * @param {Opts | Options} [opts] `indexUnit` sets the unit of token start and
+ * end indexes (default `'utf16'`). `cjkBoundaries` ends links where they run
+ * into or out of Chinese, Japanese or Korean text. `fold` recognizes links
+ * written with full-width characters. `normalize` (`'NFC'` or `'NFKC'`) scans
+ * the string in that Unicode normalization form. Links of types
+ * not allowed by `enabledTypes` or `disabledTypes` become plain text. Other
+ * options are ignored.
+ * @return {MultiToken[]} tokens
+ */
+export function tokenize(str, opts = null) {
+	return tokenizeState(INIT, str, opts);
+}
+tokenize.scan = runScanner; // for testing
+
+/**
+ * Create a tokenizer for text that arrives in chunks. Each call to `write`
+ * returns the tokens that later input can no longer change; the ambiguous rest
+ * is held back until more text is written or the stream is ended. Token indexes
+ * are relative to the concatenation of all chunks.
+ *
+ * ```js
+ * const stream = linkify.createTokenStream();
+ * stream.write('Visit example.c'); // => []
+ * stream.write('om now'); // => [Text('Visit '), Url('example.com')]
+ * stream.end(); // => [Text(' now')]
+ * ```
+ * @returns {TokenStream}
+ */
+export function createTokenStream() {
+	return createTokenStreamState(INIT);
+}
+
+/**
+ * Find a list of linkable items in the given string.
+ *
+ * ```js
+ * linkify.find(str, ['url', 'email']); // URLs and email addresses only
+ * linkify.find(str, '!mention'); // all links except mentions
+ * ```
+ * @param {string} str string to find links in
+ * @param {LinkType | Opts} [type] either formatting options or specific types
+ * of links to find, e.g., 'url' or `['url', 'email']`. Types prefixed with `!`
+ * are excluded.
+ * @param {Opts} [opts] formatting options for final output. Cannot be specified
+ * if opts already provided in `type` argument
+ */
+export function find(str, type = null, opts = null) {
+	return findState(INIT, str, type, opts);
+}
+
+/**
+ * Find the first linkable item in the given string. Stops scanning at the end
+ * of the line that contains it.
+ * @param {string} str string to find a link in
+ * @param {LinkType | Opts} [type] either formatting options or specific types
+ * of links to find (see `find`)
+ * @param {Opts} [opts] formatting options for final output. Cannot be specified
+ * if opts already provided in `type` argument
+ * @returns {?ReturnType<MultiToken['toFormattedObject']>} the link, or `null`
+ * if there isn't one
+ */
+export function findFirst(str, type = null, opts = null) {
+	return findFirstState(INIT, str, type, opts);
+}
+
+/**
+ * Count the linkable items in the given string. Same as `find(...).length`
+ * without formatting each link.
+ * @param {string} str string to count links in
+ * @param {LinkType | Opts} [type] either options with which to validate links
+ * or specific types of links to count (see `find`)
+ * @param {Opts} [opts] options with which to validate links. Cannot be
+ * specified if opts already provided in `type` argument
+ * @returns {number}
+ */
+export function count(str, type = null, opts = null) {
+	return countState(INIT, str, type, opts);
+}
+
+/**
+ * Replace each link in the given string with the result of calling `fn` on it.
+ * Links that fail the `validate` option and all other text are left as-is.
+ *
+ * ```js
+ * linkify.replace('See example.com', (link) => `<${link.href}|${link.value}>`);
+ * // => 'See <http://example.com|example.com>'
+ * ```
+ * @param {string} str string to replace links in
+ * @param {(link: ReturnType<MultiToken['toFormattedObject']>, token: MultiToken) => string} fn
+ * called with the formatted object (see `find`) and token of each link
+ * @param {Opts} [opts] formatting options for the objects passed to `fn`
+ * @returns {string}
+ */
+export function replace(str, fn, opts = null) {
+	return mapState(INIT, str, fn, opts).join('');
+}
+
+/**
+ * Same as `replace`, but returns an array of the text between links and the
+ * results of `fn` instead of joining them into a string. Useful for creating
+ * elements or other objects from links.
+ * @template T
+ * @param {string} str string to map links in
+ * @param {(link: ReturnType<MultiToken['toFormattedObject']>, token: MultiToken) => T} fn
+ * called with the formatted object (see `find`) and token of each link
+ * @param {Opts} [opts] formatting options for the objects passed to `fn`
+ * @returns {Array<string | T>}
+ */
+export function map(str, fn, opts = null) {
+	return mapState(INIT, str, fn, opts);
+}
+
+/**
+ * Trace how the given string is tokenized, for debugging why some text was or
+ * wasn't linkified. Includes the scanner tokens, each parser transition,
+ * where the parser rolled back to the latest accepting state and which option
+ * (e.g., `validate`) rejected a link.
+ *
+ * ```js
+ * console.log(linkify.explain('foo.local/path').trace);
+ * ```
+ * @param {string} str string to explain
+ * @param {Opts} [opts] options with which to validate links
+ * @returns {Explanation}
+ */
+export function explain(str, opts = null) {
+	return explainState(INIT, str, opts);
+}
+
 /**
  * Is the given string valid linkable text of some sort. Note that this does not
  * trim the text for you.
@@ -204,19 +1290,102 @@ export function find(str, type = null, opts = null) {
  *
  * Returns `true` if str is a valid email.
  * @param {string} str string to test for links
- * @param {string} [type] optional specific link type to look for
+ * @param {LinkType} [type] optional specific link types to look for (see
+ * `find`)
  * @returns boolean true/false
  */
 export function test(str, type = null) {
-	const tokens = tokenize(str);
-	return tokens.length === 1 && tokens[0].isLink && (!type || tokens[0].t === type);
+	return testState(INIT, str, type);
+}
+
+/**
+ * Create an independent linkify instance with its own scanner and parser state
+ * machines, plugins and custom schemes. Registering plugins or schemes on the
+ * returned instance does not affect the global `linkify` functions (or other
+ * instances) and vice versa.
+ *
+ * Pass the result as the `engine` option to linkify interfaces such as
+ * linkify-string or linkify-html to have them use it.
+ *
+ * @param {{
+ * 	plugins?: { [name: string]: Plugin },
+ * 	tokenPlugins?: { [name: string]: TokenPlugin },
+ * 	schemes?: Array<string | [string, boolean]>,
+ * 	tlds?: string[],
+ * 	excludeTlds?: string[]
+ * }} [config] plugins, custom schemes and top-level domains to register. Each
+ * scheme is either a string or a `[scheme, optionalSlashSlash]` tuple (see
+ * `registerCustomProtocol`). `excludeTlds` lists top-level domains not to
+ * recognize (see `unregisterTlds`)
+ * @returns {Linkify}
+ */
+export function createLinkify({ plugins = {}, tokenPlugins = {}, schemes = [], tlds = [], excludeTlds = [] } = {}) {
+	const state = createInit();
+	for (const name in tokenPlugins) {
+		addTokenPlugin(state, name, tokenPlugins[name]);
+	}
+	for (const name in plugins) {
+		addPlugin(state, name, plugins[name]);
+	}
+	for (let i = 0; i < schemes.length; i++) {
+		const scheme = schemes[i];
+		if (typeof scheme === 'string') {
+			addCustomProtocol(state, scheme, false);
+		} else {
+			addCustomProtocol(state, scheme[0], !!scheme[1]);
+		}
+	}
+	if (tlds.length > 0) {
+		addTlds(state, tlds);
+	}
+	if (excludeTlds.length > 0) {
+		removeTlds(state, excludeTlds);
+	}
+
+	return {
+		registerTokenPlugin: (name, plugin) => addTokenPlugin(state, name, plugin),
+		registerPlugin: (name, plugin, opts = null) => addPlugin(state, name, plugin, opts),
+		registerPatternPlugin: (type, opts) => addPatternPlugin(state, type, opts),
+		registerCustomProtocol: (scheme, optionalSlashSlash = false) =>
+			addCustomProtocol(state, scheme, optionalSlashSlash),
+		unregisterTokenPlugin: (name) => removeFromQueue(state, 'tokenQueue', name),
+		unregisterPlugin: (name) => unregisterPluginState(state, name),
+		unregisterCustomProtocol: (scheme) => removeFromQueue(state, 'customSchemes', scheme),
+		registerTlds: (tlds) => addTlds(state, tlds),
+		unregisterTlds: (tlds) => removeTlds(state, tlds),
+		init: Object.assign(
+			() => {
+				initState(state);
+			},
+			{
+				toSnapshot: () => toSnapshotState(state),
+				toGraph: (machine, opts) => toGraph(machineStart(state, machine), opts),
+				toDot: (machine, opts) => toDot(machineStart(state, machine), opts),
+				fromSnapshot: (data, tokens) => {
+					fromSnapshotState(state, data, tokens);
+				},
+			},
+		),
+		tokenize: (str, opts = null) => tokenizeState(state, str, opts),
+		createTokenStream: () => createTokenStreamState(state),
+		find: (str, type = null, opts = null) => findState(state, str, type, opts),
+		findFirst: (str, type = null, opts = null) => findFirstState(state, str, type, opts),
+		count: (str, type = null, opts = null) => countState(state, str, type, opts),
+		replace: (str, fn, opts = null) => mapState(state, str, fn, opts).join(''),
+		map: (str, fn, opts = null) => mapState(state, str, fn, opts),
+		explain: (str, opts = null) => explainState(state, str, opts),
+		test: (str, type = null) => testState(state, str, type),
+	};
 }
 
 export * as options from './options.mjs';
+export * as punycode from './punycode.mjs';
 export * as regexp from './regexp.mjs';
 export * as multi from './multi.mjs';
 export * as text from './multi.mjs';
 export { MultiToken, createTokenClass } from './multi.mjs';
 export { stringToArray } from './scanner.mjs';
-export { State } from './fsm.mjs';
+export { registerPublicSuffixes } from './publicsuffix.mjs';
+export { registerConfusables } from './confusables.mjs';
+export { State, toGraph, toDot } from './fsm.mjs';
 export { Options };
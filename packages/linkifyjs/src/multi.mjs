@@ -1,5 +1,9 @@
 import { COLON, LOCALHOST } from './text.mjs';
 import { defaults } from './options.mjs';
+import { registrableDomain, subdomain } from './publicsuffix.mjs';
+import { toASCII, toUnicode } from './punycode.mjs';
+import { normalizeHref } from './normalize.mjs';
+import { confusableWith, isMixedScript } from './confusables.mjs';
 
 /******************************************************************************
 	Multi-Tokens
@@ -56,7 +60,7 @@ MultiToken.prototype = {
 	 * @returns {string}
 	 */
 	toFormattedString(options) {
-		const val = this.toString();
+		const val = convertIdn(this, this.toString(), options.get('idn'), false);
 		const truncate = options.get('truncate', val, this);
 		const formatted = options.get('format', val, this);
 		return truncate && formatted.length > truncate ? formatted.substring(0, truncate) + '…' : formatted;
@@ -68,11 +72,26 @@ MultiToken.prototype = {
 	 * @returns {string}
 	 */
 	toFormattedHref(options) {
-		return options.get('formatHref', this.toHref(options.get('defaultProtocol')), this);
+		return applyFormatHref(this, options, linkHref(this, options));
 	},
 
 	/**
-	 * The start index of this token in the original input string
+	 * Whether this token contains zero-width joiners, bidi marks or bidi
+	 * controls. They are left out of link hrefs.
+	 * @returns {boolean}
+	 */
+	hasInvisibles() {
+		for (let i = 0; i < this.tk.length; i++) {
+			if (this.tk[i].i) {
+				return true;
+			}
+		}
+		return false;
+	},
+
+	/**
+	 * The start index of this token in the original input string, in UTF-16
+	 * code units unless tokenized with another `indexUnit`
 	 * @returns {number}
 	 */
 	startIndex() {
@@ -139,19 +158,26 @@ MultiToken.prototype = {
 	 */
 	render(options) {
 		const token = this;
-		const href = this.toHref(options.get('defaultProtocol'));
-		const formattedHref = options.get('formatHref', href, this);
+		const href = linkHref(this, options);
+		const formattedHref = applyFormatHref(this, options, href);
 		const tagName = options.get('tagName', href, token);
 		const content = this.toFormattedString(options);
 
 		const attributes = {};
-		const className = options.get('className', href, token);
+		let className = options.get('className', href, token);
 		const target = options.get('target', href, token);
 		const rel = options.get('rel', href, token);
 		const attrs = options.getObj('attributes', href, token);
 		const eventListeners = options.getObj('events', href, token);
 
-		attributes.href = formattedHref;
+		// Drop hrefs with schemes disallowed by the allowedSchemes and
+		// blockedSchemes options, even if the token passed validation
+		if (options.allowsHref(formattedHref)) {
+			attributes.href = formattedHref;
+		}
+		if (options.get('homographs') === 'warn' && options.flagsHomograph(token)) {
+			className = className ? `${className} linkify-homograph` : 'linkify-homograph';
+		}
 		if (className) {
 			attributes.class = className;
 		}
@@ -172,6 +198,104 @@ MultiToken.prototype = {
 // Base token
 export { MultiToken as Base };
 
+/**
+ * The href of the given link token before the `formatHref` option is applied,
+ * with the `idn` and `normalizeHref` options applied
+ * @param {MultiToken} token
+ * @param {Options} options
+ * @returns {string}
+ */
+function linkHref(token, options) {
+	const href = convertIdn(token, token.toHref(options.get('defaultProtocol')), options.get('idn'), true);
+	return token.t === 'url' ? normalizeHref(href, options.getObj('normalizeHref')) : href;
+}
+
+/**
+ * The latest options and formatted href of each token, so that the
+ * `formatHref` option isn't called again when rendering a token that was
+ * checked with the same options
+ * @type {WeakMap<MultiToken, [Options, string]>}
+ */
+const formattedHrefs = new WeakMap();
+
+/**
+ * The href of the given link token with the `formatHref` option applied
+ * @param {MultiToken} token
+ * @param {Options} options
+ * @param {string} href the result of `linkHref`
+ * @returns {string}
+ */
+function applyFormatHref(token, options, href) {
+	const cached = formattedHrefs.get(token);
+	if (cached && cached[0] === options) {
+		return cached[1];
+	}
+	const formatted = options.get('formatHref', href, token);
+	formattedHrefs.set(token, [options, formatted]);
+	return formatted;
+}
+
+/**
+ * Convert the host name of the given URL or email address string to Punycode
+ * or Unicode as specified by the `idn` option. Strings of other link types are
+ * returned as-is, as is display text with folded characters (e.g.,
+ * `ｂüｃｈｅｒ．ｄｅ` with the `fold` option), where the host isn't delimited by
+ * ASCII characters.
+ * @param {MultiToken} token the link token
+ * @param {string} str the link's href or display text
+ * @param {?('unicode' | 'ascii' | 'both')} idn
+ * @param {boolean} isHref whether `str` is the link's href
+ * @returns {string}
+ */
+function convertIdn(token, str, idn, isHref) {
+	let convert;
+	if (idn === 'ascii' || (idn === 'both' && isHref)) {
+		convert = toASCII;
+	} else if (idn === 'unicode' || idn === 'both') {
+		convert = toUnicode;
+	}
+	if (!convert || (token.t !== 'url' && token.t !== 'email') || (!isHref && normalizedValue(token) !== str)) {
+		return str;
+	}
+	// Optional scheme with slashes and user info, then host. Email hosts come
+	// after the last `@`, since quoted local parts may contain `@` too.
+	const match =
+		token.t === 'email'
+			? /^(.*@)([^/?#:]*)/.exec(str)
+			: /^((?:[a-z][a-z\d+.-]*:\/\/)?(?:[^/?#@]*@)?)([^/?#:]*)/i.exec(str);
+	let prefix = match[1];
+	if (isHref && convert === toASCII) {
+		// Unicode user info and email local parts have no Punycode form
+		prefix = prefix.replace(/[^\0-\x7F]+/g, encodeURIComponent);
+	}
+	return prefix + convert(match[2]) + str.slice(match[0].length);
+}
+
+/**
+ * The string the given token represents, with the normalized value of each
+ * scanned token that has one (e.g., `example.com` for `ｅｘａｍｐｌｅ．ｃｏｍ`
+ * with the `fold` option). Used for hrefs and link components.
+ * @param {MultiToken} token
+ * @returns {string}
+ */
+function normalizedValue(token) {
+	let value = '';
+	let normalized = false;
+	for (let i = 0; i < token.tk.length; i++) {
+		const { v, n } = token.tk[i];
+		normalized = normalized || n !== undefined;
+		value += n === undefined ? v : n;
+	}
+	return normalized ? value : token.toString();
+}
+
+/**
+ * Classes created with `createTokenClass`, keyed by type. The latest class
+ * created for a given type wins.
+ * @type {{ [type: string]: new (value: string, tokens: Token[]) => MultiToken }}
+ */
+const tokenClasses = {};
+
 /**
  * Create a new token that can be emitted by the parser state machine
  * @param {string} type readable type of the token
@@ -189,19 +313,131 @@ export function createTokenClass(type, props) {
 		Token.prototype[p] = props[p];
 	}
 	Token.t = type;
+	tokenClasses[type] = Token;
 	return Token;
 }
 
+/**
+ * Get the most recently created token class for the given type, if any
+ * @param {string} type readable type of the token, e.g., 'url'
+ * @returns {?(new (value: string, tokens: Token[]) => MultiToken)}
+ */
+export function findTokenClass(type) {
+	return Object.prototype.hasOwnProperty.call(tokenClasses, type) ? tokenClasses[type] : null;
+}
+
 /**
 	Represents a list of tokens making up a valid email address
 */
 export const Email = createTokenClass('email', {
 	isLink: true,
+	/**
+	 * The `mailto:` link for this email address. Quoted local parts and
+	 * characters with special meaning in URLs (`%`, `?` and `#`) are
+	 * percent-encoded. Unicode characters are kept as-is; use the `idn` option
+	 * to get an ASCII-only href.
+	 * @return {string}
+	 */
 	toHref() {
-		return 'mailto:' + this.toString();
+		const value = normalizedValue(this);
+		const local = value.slice(0, value.lastIndexOf('@'));
+		const encoded = local[0] === '"' ? encodeURIComponent(local) : local.replace(/[%?#]/g, encodeURIComponent);
+		return `mailto:${encoded}${value.slice(local.length)}`;
+	},
+
+	/**
+	 * Local part of this email address before the `@` sign, as written and
+	 * including any quotes and `+` tag (e.g., `john+news` for
+	 * `john+news@example.com`)
+	 * @return {string}
+	 */
+	local() {
+		return emailLocal(this);
+	},
+
+	/**
+	 * Sub-address after the first `+` sign in the local part (e.g., `news` for
+	 * `john+news@example.com`), if any. Always `null` for quoted local parts.
+	 * @return {?string}
+	 */
+	tag() {
+		const local = emailLocal(this);
+		const index = local.indexOf('+');
+		return local[0] === '"' || index < 0 ? null : local.slice(index + 1);
+	},
+
+	/**
+	 * Lowercase domain name after the `@` sign, without any port number
+	 * @return {string}
+	 */
+	domain() {
+		return emailHost(this);
+	},
+
+	/**
+	 * Registrable domain of this email address's host (e.g., `bbc.co.uk` for
+	 * `news@mail.bbc.co.uk`). Requires Public Suffix List rules to be
+	 * registered for multi-label suffixes such as `co.uk`.
+	 * @return {?string}
+	 */
+	registrableDomain() {
+		return registrableDomain(emailHost(this));
+	},
+
+	/**
+	 * Part of this email address's host before its registrable domain (e.g.,
+	 * `mail` for `news@mail.bbc.co.uk`)
+	 * @return {?string}
+	 */
+	subdomain() {
+		return subdomain(emailHost(this));
+	},
+
+	/**
+	 * Whether a label of this email address's domain mixes scripts, e.g.,
+	 * Cyrillic and Latin letters in `аpple.com`. Punycode labels are checked
+	 * in their Unicode form. Requires linkify-plugin-confusables.
+	 * @return {boolean}
+	 */
+	mixedScript() {
+		return isMixedScript(toUnicode(emailHost(this)));
+	},
+
+	/**
+	 * ASCII domain that this email address's non-ASCII domain looks like
+	 * (e.g., `apple.com` for `аpple.com` with a Cyrillic `а`), if any.
+	 * Requires linkify-plugin-confusables.
+	 * @return {?string}
+	 */
+	confusableWith() {
+		return confusableWith(toUnicode(emailHost(this)));
 	},
 });
 
+/**
+ * Local part before the last `@` sign of the given email token
+ * @param {MultiToken} email
+ * @returns {string}
+ */
+function emailLocal(email) {
+	const value = email.toString();
+	return value.slice(0, value.lastIndexOf('@'));
+}
+
+/**
+ * Lowercase host name after the `@` sign of the given email token, without
+ * any port number
+ * @param {MultiToken} email
+ * @returns {string}
+ */
+function emailHost(email) {
+	const value = normalizedValue(email);
+	return value
+		.slice(value.lastIndexOf('@') + 1)
+		.replace(/:\d*$/, '')
+		.toLowerCase();
+}
+
 /**
 	Represents some plain text
 */
@@ -230,7 +466,8 @@ export const Url = createTokenClass('url', {
 	*/
 	toHref(scheme = defaults.defaultProtocol) {
 		// Check if already has a prefix scheme
-		return this.hasProtocol() ? this.v : `${scheme}://${this.v}`;
+		const value = normalizedValue(this);
+		return this.hasProtocol() ? value : `${scheme}://${value}`;
 	},
 
 	/**
@@ -241,4 +478,251 @@ export const Url = createTokenClass('url', {
 		const tokens = this.tk;
 		return tokens.length >= 2 && tokens[0].t !== LOCALHOST && tokens[1].t === COLON;
 	},
+
+	/**
+	 * Lowercase scheme of this URL (e.g., `'https'`), or `null` if it has none
+	 * @return {?string}
+	 */
+	scheme() {
+		return urlComponents(this).scheme;
+	},
+
+	/**
+	 * User name before the `@` sign in the URL's authority, if any
+	 * @return {?string}
+	 */
+	username() {
+		return urlComponents(this).username;
+	},
+
+	/**
+	 * Lowercase host name or IP address of this URL. `null` for URLs without
+	 * an authority such as `mailto:` links.
+	 * @return {?string}
+	 */
+	host() {
+		return urlComponents(this).host;
+	},
+
+	/**
+	 * Port number as written in the URL, if any
+	 * @return {?string}
+	 */
+	port() {
+		return urlComponents(this).port;
+	},
+
+	/**
+	 * Path of this URL, including the leading slash. Empty string if the URL
+	 * has no path.
+	 * @return {string}
+	 */
+	path() {
+		return urlComponents(this).path;
+	},
+
+	/**
+	 * Query string without the leading `?`, if any
+	 * @return {?string}
+	 */
+	query() {
+		return urlComponents(this).query;
+	},
+
+	/**
+	 * Fragment without the leading `#`, if any
+	 * @return {?string}
+	 */
+	fragment() {
+		return urlComponents(this).fragment;
+	},
+
+	/**
+	 * Recipients and header fields of a `mailto:` URL (e.g.,
+	 * `mailto:a@b.com?subject=Hi&cc=c@d.com`), percent-decoded. `null` for URLs
+	 * with other schemes.
+	 * @return {?{
+	 * 	to: string[],
+	 * 	cc: string[],
+	 * 	bcc: string[],
+	 * 	subject: ?string,
+	 * 	body: ?string
+	 * }}
+	 */
+	mailto() {
+		const { scheme, path, query } = urlComponents(this);
+		if (scheme !== 'mailto') {
+			return null;
+		}
+		const fields = { to: splitAddresses(path), cc: [], bcc: [], subject: null, body: null };
+		const params = query ? query.split('&') : [];
+		for (let i = 0; i < params.length; i++) {
+			const index = params[i].indexOf('=');
+			const name = decodeComponent(index < 0 ? params[i] : params[i].slice(0, index)).toLowerCase();
+			const value = index < 0 ? '' : params[i].slice(index + 1);
+			if (name === 'to' || name === 'cc' || name === 'bcc') {
+				fields[name].push(...splitAddresses(value));
+			} else if ((name === 'subject' || name === 'body') && fields[name] === null) {
+				fields[name] = decodeComponent(value);
+			}
+		}
+		return fields;
+	},
+
+	/**
+	 * Registrable domain of this URL's host, i.e., its public suffix plus one
+	 * more label (e.g., `bbc.co.uk` for `www.bbc.co.uk`). `null` for IP
+	 * addresses and hosts that are public suffixes. Requires Public Suffix
+	 * List rules to be registered for multi-label suffixes such as `co.uk`.
+	 * @return {?string}
+	 */
+	registrableDomain() {
+		return registrableDomain(urlComponents(this).host);
+	},
+
+	/**
+	 * Part of this URL's host before its registrable domain (e.g., `www` for
+	 * `www.bbc.co.uk`). Empty string if the host is itself a registrable
+	 * domain and `null` if it has none.
+	 * @return {?string}
+	 */
+	subdomain() {
+		return subdomain(urlComponents(this).host);
+	},
+
+	/**
+	 * Whether a label of this URL's host mixes scripts, e.g., Cyrillic and
+	 * Latin letters in `аpple.com`. Punycode labels are checked in their
+	 * Unicode form. Requires linkify-plugin-confusables.
+	 * @return {boolean}
+	 */
+	mixedScript() {
+		const { host } = urlComponents(this);
+		return host !== null && isMixedScript(toUnicode(host));
+	},
+
+	/**
+	 * ASCII host name that this URL's non-ASCII host looks like (e.g.,
+	 * `apple.com` for `аpple.com` with a Cyrillic `а`), if any. Spoofed hosts
+	 * written entirely in another script such as `раураl.com` are found too.
+	 * Requires linkify-plugin-confusables.
+	 * @return {?string}
+	 */
+	confusableWith() {
+		const { host } = urlComponents(this);
+		return host === null ? null : confusableWith(toUnicode(host));
+	},
+
+	/**
+	 * Same as `MultiToken#toObject`, with additional URL component keys
+	 * `scheme`, `username`, `host`, `port`, `path`, `query` and `fragment`
+	 * @param {string} [protocol]
+	 */
+	toObject(protocol = defaults.defaultProtocol) {
+		return Object.assign(MultiToken.prototype.toObject.call(this, protocol), urlComponents(this));
+	},
+
+	/**
+	 * Same as `MultiToken#toFormattedObject`, with additional URL component
+	 * keys (see `toObject`)
+	 * @param {Options} options
+	 */
+	toFormattedObject(options) {
+		return Object.assign(MultiToken.prototype.toFormattedObject.call(this, options), urlComponents(this));
+	},
 });
+
+/**
+ * Percent-decode the given URL component, leaving malformed escape sequences
+ * as-is
+ * @param {string} component
+ * @returns {string}
+ */
+function decodeComponent(component) {
+	try {
+		return decodeURIComponent(component);
+	} catch (e) {
+		return component;
+	}
+}
+
+/**
+ * Split a comma-separated list of percent-encoded email addresses from a
+ * `mailto:` URL
+ * @param {string} addresses
+ * @returns {string[]}
+ */
+function splitAddresses(addresses) {
+	return addresses
+		.split(',')
+		.map((address) => decodeComponent(address).trim())
+		.filter((address) => address.length > 0);
+}
+
+/**
+ * Split the given URL token into its components. Works on the original text
+ * (with any characters folded by the `fold` option normalized) so that URLs
+ * without a scheme are supported.
+ * @param {MultiToken} url
+ * @returns {{
+ * 	scheme: ?string,
+ * 	username: ?string,
+ * 	host: ?string,
+ * 	port: ?string,
+ * 	path: string,
+ * 	query: ?string,
+ * 	fragment: ?string
+ * }}
+ */
+function urlComponents(url) {
+	let rest = normalizedValue(url);
+	let scheme = null;
+	let hasAuthority = true;
+	if (url.hasProtocol()) {
+		const first = url.tk[0];
+		scheme = (first.n === undefined ? first.v : first.n).toLowerCase();
+		rest = rest.slice(scheme.length + 1); // drop scheme and colon
+		hasAuthority = rest.slice(0, 2) === '//';
+		if (hasAuthority) {
+			rest = rest.slice(2);
+		}
+	}
+
+	let fragment = null;
+	let query = null;
+	let index = rest.indexOf('#');
+	if (index >= 0) {
+		fragment = rest.slice(index + 1);
+		rest = rest.slice(0, index);
+	}
+	index = rest.indexOf('?');
+	if (index >= 0) {
+		query = rest.slice(index + 1);
+		rest = rest.slice(0, index);
+	}
+
+	let username = null;
+	let host = null;
+	let port = null;
+	let path = rest;
+	if (hasAuthority) {
+		index = rest.indexOf('/');
+		let authority = index >= 0 ? rest.slice(0, index) : rest;
+		path = index >= 0 ? rest.slice(index) : '';
+
+		index = authority.lastIndexOf('@');
+		if (index >= 0) {
+			username = authority.slice(0, index).split(':')[0];
+			authority = authority.slice(index + 1);
+		}
+
+		const portMatch = /:(\d*)$/.exec(authority);
+		if (portMatch) {
+			port = portMatch[1] || null;
+			authority = authority.slice(0, portMatch.index);
+		}
+		host = authority.toLowerCase();
+	}
+
+	return { scheme, username, host, port, path, query, fragment };
+}
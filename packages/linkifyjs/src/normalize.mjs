@@ -0,0 +1,115 @@
+/******************************************************************************
+	Href Normalization
+	Rewrites URL hrefs into a canonical form for the `normalizeHref` option
+******************************************************************************/
+
+/**
+ * Rules for the `normalizeHref` option. Strings in `stripParams` match query
+ * parameter names exactly, or by prefix if they end with `*`.
+ * @typedef {{
+ * 	lowercase?: boolean,
+ * 	defaultPorts?: boolean,
+ * 	collapseSlashes?: boolean,
+ * 	stripParams?: (string | RegExp)[]
+ * }} NormalizeRules
+ */
+
+/**
+ * Rules used when the `normalizeHref` option is `true`, and the defaults for
+ * rules that aren't specified when it is an object.
+ * @type {Required<NormalizeRules>}
+ */
+export const defaultRules = {
+	lowercase: true,
+	defaultPorts: true,
+	collapseSlashes: true,
+	stripParams: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_eid', 'igshid'],
+};
+
+/**
+ * Ports that may be dropped for each scheme
+ * @type {{[scheme: string]: string}}
+ */
+const DEFAULT_PORTS = {
+	ftp: '21',
+	http: '80',
+	https: '443',
+	ws: '80',
+	wss: '443',
+};
+
+/**
+ * Scheme, `//` with optional user info, host, port, path, query and fragment
+ */
+const HIERARCHICAL_URL =
+	/^([a-z][a-z\d+.-]*:)(\/\/[^/?#@]*@|\/\/)(\[[^\]]*\]|[^/?#:]*)(?::(\d*))?([^?#]*)(\?[^#]*)?(#.*)?$/i;
+
+/**
+ * @param {string} name query parameter name
+ * @param {(string | RegExp)[]} denylist
+ */
+function isStripped(name, denylist) {
+	for (let i = 0; i < denylist.length; i++) {
+		const pattern = denylist[i];
+		if (typeof pattern !== 'string') {
+			if (pattern.test(name)) {
+				return true;
+			}
+		} else if (pattern[pattern.length - 1] === '*') {
+			if (name.slice(0, pattern.length - 1) === pattern.slice(0, -1)) {
+				return true;
+			}
+		} else if (name === pattern) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Normalize the given href according to the value of the `normalizeHref`
+ * option. Only hrefs with a scheme followed by `//` are changed.
+ * @param {string} href
+ * @param {boolean | NormalizeRules} option
+ * @returns {string}
+ */
+export function normalizeHref(href, option) {
+	if (!option) {
+		return href;
+	}
+	const rules = option === true ? defaultRules : Object.assign({}, defaultRules, option);
+	const match = HIERARCHICAL_URL.exec(href);
+	if (!match) {
+		return href;
+	}
+
+	let [, scheme, authority, host, port, path, query, fragment] = match;
+	if (rules.lowercase) {
+		scheme = scheme.toLowerCase();
+		host = host.toLowerCase();
+	}
+	if (rules.defaultPorts && (port === '' || port === DEFAULT_PORTS[scheme.slice(0, -1).toLowerCase()])) {
+		port = undefined;
+	}
+	if (rules.collapseSlashes) {
+		path = path.replace(/\/{2,}/g, '/');
+	}
+	if (query && rules.stripParams.length > 0) {
+		const params = query
+			.slice(1)
+			.split('&')
+			.filter((param) => {
+				const name = param.split('=')[0];
+				let decoded = name;
+				try {
+					decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+				} catch (e) {
+					// Malformed escape sequences; match the name as-is
+				}
+				return param && !isStripped(decoded, rules.stripParams);
+			});
+		query = params.length > 0 ? `?${params.join('&')}` : undefined;
+	}
+
+	return scheme + authority + host + (port === undefined ? '' : `:${port}`) + path + (query || '') + (fragment || '');
+}
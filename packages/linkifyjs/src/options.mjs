@@ -59,11 +59,21 @@
 /**
  * See available options: https://linkify.js.org/docs/options.html
  * @typedef {{
+ * 	cjkBoundaries?: boolean,
  * 	defaultProtocol?: string,
+ * 	disabledTypes?: string[],
+ * 	enabledTypes?: ?string[],
+ * 	engine?: Linkify,
  *  events?: OptObj<EventListeners>,
+ * 	fold?: boolean,
  * 	format?: Opt<string>,
  * 	formatHref?: Opt<string>,
+ * 	homographs?: ?('warn' | 'reject'),
+ * 	idn?: ?('unicode' | 'ascii' | 'both'),
+ * 	indexUnit?: IndexUnit,
  * 	nl2br?: boolean,
+ * 	normalize?: ?NormalizationForm,
+ * 	normalizeHref?: boolean | NormalizeRules,
  * 	tagName?: Opt<any>,
  * 	target?: Opt<string>,
  * 	rel?: Opt<string>,
@@ -71,6 +81,9 @@
  * 	truncate?: Opt<number>,
  * 	className?: Opt<string>,
  * 	attributes?: OptObj<({ [attr: string]: any })>,
+ * 	allowedSchemes?: ?string[],
+ * 	blockedSchemes?: string[],
+ * 	schemeFallback?: 'text' | 'strip',
  *  ignoreTags?: string[],
  * 	render?: OptFn<((ir: IntermediateRepresentation) => any)>
  * }} Opts
@@ -80,11 +93,21 @@
  * @type Required<Opts>
  */
 export const defaults = {
+	cjkBoundaries: false,
 	defaultProtocol: 'http',
+	disabledTypes: [],
+	enabledTypes: null,
+	engine: null,
 	events: null,
+	fold: false,
 	format: noop,
 	formatHref: noop,
+	homographs: null,
+	idn: null,
+	indexUnit: 'utf16',
 	nl2br: false,
+	normalize: null,
+	normalizeHref: false,
 	tagName: 'a',
 	target: null,
 	rel: null,
@@ -92,6 +115,9 @@ export const defaults = {
 	truncate: Infinity,
 	className: null,
 	attributes: null,
+	allowedSchemes: null,
+	blockedSchemes: ['javascript', 'vbscript', 'data'],
+	schemeFallback: 'text',
 	ignoreTags: [],
 	render: null,
 };
@@ -124,6 +150,14 @@ export function Options(opts, defaultRender = null) {
 		this.defaultRender = defaultRender;
 	}
 	this.ignoreTags = uppercaseIgnoredTags;
+
+	// Schemes are compared in lowercase, without the trailing colon
+	this.allowedSchemes = o.allowedSchemes ? o.allowedSchemes.map(normalizeScheme) : null;
+	this.blockedSchemes = o.blockedSchemes ? o.blockedSchemes.map(normalizeScheme) : [];
+
+	// Linkify instance from `createLinkify`, if interfaces should not use the
+	// global one
+	this.engine = o.engine;
 }
 
 Options.prototype = {
@@ -134,6 +168,21 @@ Options.prototype = {
 	 */
 	ignoreTags: [],
 
+	/**
+	 * @type {?Linkify}
+	 */
+	engine: null,
+
+	/**
+	 * @type {?string[]}
+	 */
+	allowedSchemes: null,
+
+	/**
+	 * @type string[]
+	 */
+	blockedSchemes: [],
+
 	/**
 	 * @param {IntermediateRepresentation} ir
 	 * @returns {any}
@@ -149,7 +198,66 @@ Options.prototype = {
 	 * @returns {boolean}
 	 */
 	check(token) {
-		return this.get('validate', token.toString(), token);
+		return !this.rejectedBy(token);
+	},
+
+	/**
+	 * Name of the option that prevents the given token from being displayed as
+	 * a link, if any: `validate` (`validate.url`, etc. when specified by link
+	 * type), `homographs`, `allowedSchemes` or `blockedSchemes`.
+	 * @param {MultiToken} token
+	 * @returns {?string}
+	 */
+	rejectedBy(token) {
+		if (!this.get('validate', token.toString(), token)) {
+			const validate = this.o.validate;
+			return validate && typeof validate === 'object' ? `validate.${token.t}` : 'validate';
+		}
+		if (this.o.homographs === 'reject' && this.flagsHomograph(token)) {
+			return 'homographs';
+		}
+		return this.o.schemeFallback === 'text' ? schemeRejection(this, token.toFormattedHref(this)) : null;
+	},
+
+	/**
+	 * Whether links of the given type are detected according to the
+	 * `enabledTypes` and `disabledTypes` options
+	 * @param {string} type link type, e.g., `url` or `email`
+	 * @returns {boolean}
+	 */
+	enablesType(type) {
+		const { enabledTypes, disabledTypes } = this.o;
+		return (
+			(!enabledTypes || enabledTypes.indexOf(type) >= 0) && !(disabledTypes && disabledTypes.indexOf(type) >= 0)
+		);
+	},
+
+	/**
+	 * Whether the `homographs` option applies to the given token, i.e., it's
+	 * a URL or email address whose host mixes scripts or looks like another,
+	 * ASCII host name. Such links are rendered with the `linkify-homograph`
+	 * class when the option is `'warn'` and as text when it's `'reject'`.
+	 * Never applies unless linkify-plugin-confusables is registered.
+	 * @param {MultiToken} token
+	 * @returns {boolean}
+	 */
+	flagsHomograph(token) {
+		return (
+			!!this.o.homographs &&
+			typeof token.confusableWith === 'function' &&
+			(token.mixedScript() || token.confusableWith() !== null)
+		);
+	},
+
+	/**
+	 * Whether the given formatted href may be rendered according to the
+	 * `allowedSchemes` and `blockedSchemes` options. Hrefs without a scheme
+	 * (i.e., relative URLs) are always allowed.
+	 * @param {string} href
+	 * @returns {boolean}
+	 */
+	allowsHref(href) {
+		return !schemeRejection(this, href);
 	},
 
 	// Private methods
@@ -212,6 +320,46 @@ Options.prototype = {
 	},
 };
 
+/**
+ * @param {string} scheme
+ * @returns {string}
+ */
+function normalizeScheme(scheme) {
+	return scheme.toLowerCase().replace(/:$/, '');
+}
+
+/**
+ * Name of the option that disallows the scheme of the given href, if any
+ * @param {Options} options
+ * @param {string} href
+ * @returns {?('allowedSchemes' | 'blockedSchemes')}
+ */
+function schemeRejection(options, href) {
+	const scheme = hrefScheme(href);
+	if (scheme === null) {
+		return null;
+	}
+	if (options.allowedSchemes && options.allowedSchemes.indexOf(scheme) < 0) {
+		return 'allowedSchemes';
+	}
+	return options.blockedSchemes.indexOf(scheme) < 0 ? null : 'blockedSchemes';
+}
+
+/**
+ * Get the lowercase scheme of the given href the way a browser would parse it,
+ * ignoring leading spaces and control characters and any tabs or newlines.
+ * @param {string} href
+ * @returns {?string}
+ */
+function hrefScheme(href) {
+	const match = /^([a-z][a-z\d+.-]*):/i.exec(
+		String(href)
+			.replace(/^[\0-\x20]+/, '')
+			.replace(/[\t\n\r]/g, ''),
+	);
+	return match ? match[1].toLowerCase() : null;
+}
+
 function noop(val) {
 	return val;
 }
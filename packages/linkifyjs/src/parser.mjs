@@ -19,6 +19,36 @@ import * as mtk from './multi.mjs';
 
 const makeState = (arg) => new State(arg);
 
+// Spaces allowed in a quoted email local part. Without a limit, an unmatched
+// quote in text (e.g., `5'11" tall`) could start a local part that never ends.
+const MAX_QUOTED_SPACES = 3;
+
+const bracketPairs = [
+	[tk.OPENBRACE, tk.CLOSEBRACE], // {}
+	[tk.OPENBRACKET, tk.CLOSEBRACKET], // []
+	[tk.OPENPAREN, tk.CLOSEPAREN], // ()
+	[tk.OPENANGLEBRACKET, tk.CLOSEANGLEBRACKET], // <>
+	[tk.FULLWIDTHLEFTPAREN, tk.FULLWIDTHRIGHTPAREN], // （）
+	[tk.LEFTCORNERBRACKET, tk.RIGHTCORNERBRACKET], // 「」
+	[tk.LEFTWHITECORNERBRACKET, tk.RIGHTWHITECORNERBRACKET], // 『』
+	[tk.FULLWIDTHLESSTHAN, tk.FULLWIDTHGREATERTHAN], // ＜＞
+];
+
+const LRO = '\u202d'; // left-to-right override
+const RLO = '\u202e'; // right-to-left override
+const PDF = '\u202c'; // pop directional formatting, ends embeddings and overrides
+const PDI = '\u2069'; // pop directional isolate, ends isolates
+
+/**
+ * Change in bracket depth for each bracket token type
+ * @type {{[token: string]: number}}
+ */
+const bracketDepth = {};
+for (let i = 0; i < bracketPairs.length; i++) {
+	bracketDepth[bracketPairs[i][0]] = 1;
+	bracketDepth[bracketPairs[i][1]] = -1;
+}
+
 /**
  * Generate the parser multi token-based state machine
  * @param {{ groups: Collections<string> }} tokens
@@ -133,6 +163,38 @@ export function init({ groups }) {
 	ta(LocalpartDot, localpartAccepting, Localpart);
 	ta(LocalpartDot, groups.domain, Localpart);
 
+	// Quoted local part of the email address, e.g., '"john doe"@example.com'.
+	// May contain a few spaces, most symbols and backslash-escaped quotes
+	const quotedLocalpartAccepting = localpartAccepting.concat(groups.domain, [
+		tk.AT,
+		tk.COLON,
+		tk.COMMA,
+		tk.DOT,
+		tk.EXCLAMATION,
+		tk.OPENANGLEBRACKET,
+		tk.CLOSEANGLEBRACKET,
+		tk.OPENBRACKET,
+		tk.CLOSEBRACKET,
+		tk.OPENPAREN,
+		tk.CLOSEPAREN,
+		tk.SEMI,
+	]);
+	const QuotedLocalpartEnd = makeState();
+	tt(QuotedLocalpartEnd, tk.AT, LocalpartAt);
+	// One state per number of spaces so far
+	let QuotedLocalpart = tt(Start, tk.QUOTE);
+	for (let spaces = 0; spaces <= MAX_QUOTED_SPACES; spaces++) {
+		ta(QuotedLocalpart, quotedLocalpartAccepting, QuotedLocalpart);
+		const QuotedLocalpartEscape = makeState(); // Backslash within quotes
+		tt(QuotedLocalpart, tk.BACKSLASH, QuotedLocalpartEscape);
+		ta(QuotedLocalpartEscape, quotedLocalpartAccepting, QuotedLocalpart);
+		tt(QuotedLocalpartEscape, tk.QUOTE, QuotedLocalpart);
+		tt(QuotedLocalpart, tk.QUOTE, QuotedLocalpartEnd);
+		if (spaces < MAX_QUOTED_SPACES) {
+			QuotedLocalpart = tt(QuotedLocalpart, tk.WS);
+		}
+	}
+
 	const EmailDomain = makeState();
 	ta(LocalpartAt, groups.domain, EmailDomain); // parsed string starts with local email info + @ with a potential domain name
 	ta(EmailDomain, groups.domain, EmailDomain);
@@ -218,17 +280,6 @@ export function init({ groups }) {
 	ta(UriPrefix, qsAccepting, Url);
 	tt(UriPrefix, tk.SLASH, Url);
 
-	const bracketPairs = [
-		[tk.OPENBRACE, tk.CLOSEBRACE], // {}
-		[tk.OPENBRACKET, tk.CLOSEBRACKET], // []
-		[tk.OPENPAREN, tk.CLOSEPAREN], // ()
-		[tk.OPENANGLEBRACKET, tk.CLOSEANGLEBRACKET], // <>
-		[tk.FULLWIDTHLEFTPAREN, tk.FULLWIDTHRIGHTPAREN], // （）
-		[tk.LEFTCORNERBRACKET, tk.RIGHTCORNERBRACKET], // 「」
-		[tk.LEFTWHITECORNERBRACKET, tk.RIGHTWHITECORNERBRACKET], // 『』
-		[tk.FULLWIDTHLESSTHAN, tk.FULLWIDTHGREATERTHAN], // ＜＞
-	];
-
 	for (let i = 0; i < bracketPairs.length; i++) {
 		const [OPEN, CLOSE] = bracketPairs[i];
 		const UrlOpen = tt(Url, OPEN); // URL followed by open bracket
@@ -265,21 +316,58 @@ export function init({ groups }) {
 	return { start: Start, tokens: tk };
 }
 
+/**
+ * A step taken by the parser, passed to the `trace` callback of `run`. Indexes
+ * are into the list of scanned tokens.
+ * - `text`: the token at `index` starts no link and is added to plain text
+ * - `transition`: the token at `index` was consumed, moving to a state that
+ *   accepts the link type `accepts` (`null` if not accepting)
+ * - `rollback`: no more transitions, so the tokens from `index` up to `end`
+ *   were returned to the input to go back to the latest accepting state
+ * - `accept`: the tokens from `index` up to `end` make a link of type `accepts`
+ * - `reject`: no accepting state was reached after the tokens from `index` up
+ *   to `end`, so only the token at `index` is added to plain text
+ * - `boundary`: the token at `index` starts at a script change (see the `b`
+ *   property of scanner tokens), so the current link can't continue into it
+ * @typedef {{
+ * 	type: 'text' | 'transition' | 'rollback' | 'accept' | 'reject' | 'boundary',
+ * 	index: number,
+ * 	end?: number,
+ * 	accepts?: ?string
+ * }} ParseStep
+ */
+
 /**
  * Run the parser state machine on a list of scanned string-based tokens to
  * create a list of multi tokens, each of which represents a URL, email address,
  * plain text, etc.
  *
+ * When `partial` is set, parsing stops before the first multi token that
+ * reaches the end of the given tokens, since more tokens could still extend it.
+ * Trailing plain text is only included up to its last whitespace, so that
+ * pattern plugins still see whole words.
+ *
+ * Links don't continue into tokens marked with `b` by the scanner, unless an
+ * open bracket in the link hasn't been closed yet. No links start in text
+ * displayed in reverse by a bidi override (`BIDI` tokens), since the link
+ * would look different from where it goes.
+ *
  * @param {State<MultiToken>} start parser start state
  * @param {string} input the original input used to generate the given tokens
  * @param {Token[]} tokens list of scanned tokens
+ * @param {boolean} [partial] only return multi tokens that are final
+ * @param {(step: ParseStep) => void} [trace] called with each step taken, for
+ * debugging
+ * @param {string[]} [bidi] bidi controls still open before the given tokens,
+ * as returned by `openBidiControls` for earlier input of the same line
  * @returns {MultiToken[]}
  */
-export function run(start, input, tokens) {
+export function run(start, input, tokens, partial = false, trace = null, bidi = []) {
 	let len = tokens.length;
 	let cursor = 0;
 	let multis = [];
 	let textTokens = [];
+	const overridden = bidiOverrides(tokens, bidi);
 
 	while (cursor < len) {
 		let state = start;
@@ -288,17 +376,29 @@ export function run(start, input, tokens) {
 		let multiLength = 0;
 		let latestAccepting = null;
 		let sinceAccepts = -1;
+		let depth = 0; // brackets opened but not closed in the current link
 
-		while (cursor < len && !(secondState = state.go(tokens[cursor].t))) {
+		while (cursor < len && (overridden[cursor] || !(secondState = state.go(tokens[cursor].t)))) {
 			// Starting tokens with nowhere to jump to.
 			// Consider these to be just plain text
+			if (trace) {
+				trace({ type: 'text', index: cursor });
+			}
 			textTokens.push(tokens[cursor++]);
 		}
 
 		while (cursor < len && (nextState = secondState || state.go(tokens[cursor].t))) {
+			if (multiLength > 0 && depth === 0 && tokens[cursor].b) {
+				if (trace) {
+					trace({ type: 'boundary', index: cursor });
+				}
+				break;
+			}
+
 			// Get the next state
 			secondState = null;
 			state = nextState;
+			depth = Math.max(0, depth + (bracketDepth[tokens[cursor].t] || 0));
 
 			// Keep track of the latest accepting state
 			if (state.accepts()) {
@@ -308,16 +408,37 @@ export function run(start, input, tokens) {
 				sinceAccepts++;
 			}
 
+			if (trace) {
+				trace({ type: 'transition', index: cursor, accepts: state.t ? state.t.t : null });
+			}
 			cursor++;
 			multiLength++;
 		}
 
+		if (partial && cursor >= len) {
+			// More tokens may change the rest
+			let index = textTokens.length - 1;
+			while (index >= 0 && textTokens[index].t !== tk.WS) {
+				index--;
+			}
+			if (index >= 0) {
+				multis.push(initMultiToken(mtk.Text, textTokens.slice(0, index + 1)));
+			}
+			return multis;
+		}
+
 		if (sinceAccepts < 0) {
 			// No accepting state was found, part of a regular text token add
 			// the first text token to the text tokens array and try again from
 			// the next
+			if (trace && multiLength > 0) {
+				trace({ type: 'reject', index: cursor - multiLength, end: cursor });
+			}
 			cursor -= multiLength;
 			if (cursor < len) {
+				if (trace) {
+					trace({ type: 'text', index: cursor });
+				}
 				textTokens.push(tokens[cursor]);
 				cursor++;
 			}
@@ -325,24 +446,30 @@ export function run(start, input, tokens) {
 			// Accepting state!
 			// First close off the textTokens (if available)
 			if (textTokens.length > 0) {
-				multis.push(initMultiToken(mtk.Text, input, textTokens));
+				multis.push(initMultiToken(mtk.Text, textTokens));
 				textTokens = [];
 			}
 
 			// Roll back to the latest accepting state
+			if (trace && sinceAccepts > 0) {
+				trace({ type: 'rollback', index: cursor - sinceAccepts, end: cursor });
+			}
 			cursor -= sinceAccepts;
 			multiLength -= sinceAccepts;
 
 			// Create a new multitoken
 			const Multi = latestAccepting.t;
+			if (trace) {
+				trace({ type: 'accept', index: cursor - multiLength, end: cursor, accepts: Multi.t });
+			}
 			const subtokens = tokens.slice(cursor - multiLength, cursor);
-			multis.push(initMultiToken(Multi, input, subtokens));
+			multis.push(initMultiToken(Multi, subtokens));
 		}
 	}
 
 	// Finally close off the textTokens (if available)
 	if (textTokens.length > 0) {
-		multis.push(initMultiToken(mtk.Text, input, textTokens));
+		multis.push(initMultiToken(mtk.Text, textTokens));
 	}
 
 	return multis;
@@ -350,17 +477,96 @@ export function run(start, input, tokens) {
 
 export { mtk as tokens };
 
+/**
+ * The embeddings, overrides and isolates still open after the given tokens,
+ * to pass to `run` when parsing the input that follows them
+ * @param {Token[]} tokens
+ * @param {string[]} [bidi] bidi controls open before the given tokens
+ * @returns {string[]}
+ */
+export function openBidiControls(tokens, bidi = []) {
+	let stack = bidi;
+	for (let i = 0; i < tokens.length; i++) {
+		stack = nextBidiStack(stack, tokens[i]);
+	}
+	return stack;
+}
+
+/**
+ * Whether each of the given tokens comes after a bidi override that hasn't
+ * been ended by a matching `PDF` control in the same line, and isn't in an
+ * isolate started after the override
+ * @param {Token[]} tokens
+ * @param {string[]} bidi bidi controls open before the given tokens
+ * @returns {boolean[]}
+ */
+function bidiOverrides(tokens, bidi) {
+	const result = [];
+	let stack = bidi;
+	for (let i = 0; i < tokens.length; i++) {
+		stack = nextBidiStack(stack, tokens[i]);
+		result.push(isOverridden(stack));
+	}
+	return result;
+}
+
+/**
+ * The stack of open embeddings, overrides and isolates after the given token.
+ * Isolates are tracked as the PDI that ends them. Returns a new array if the
+ * stack changes.
+ * @param {string[]} stack
+ * @param {Token} token
+ * @returns {string[]}
+ */
+function nextBidiStack(stack, token) {
+	const { t, v } = token;
+	if (t === tk.NL) {
+		return [];
+	} else if (t === tk.BIDI && v === PDF) {
+		// Ends the latest embedding or override, but not past an isolate
+		if (stack.length > 0 && stack[stack.length - 1] !== PDI) {
+			return stack.slice(0, -1);
+		}
+	} else if (t === tk.BIDI && v === PDI) {
+		const index = stack.lastIndexOf(PDI);
+		if (index >= 0) {
+			return stack.slice(0, index);
+		}
+	} else if (t === tk.BIDI) {
+		return stack.concat(v >= '\u2066' ? PDI : v);
+	}
+	return stack;
+}
+
+/**
+ * Whether the latest override in the given stack of bidi controls is not in
+ * an isolate after it
+ * @param {string[]} stack
+ * @returns {boolean}
+ */
+function isOverridden(stack) {
+	for (let i = stack.length - 1; i >= 0; i--) {
+		if (stack[i] === PDI) {
+			return false;
+		} else if (stack[i] === LRO || stack[i] === RLO) {
+			return true;
+		}
+	}
+	return false;
+}
+
 /**
  * Utility function for instantiating a new multitoken with all the relevant
  * fields during parsing.
  * @param {new (value: string, tokens: Token[]) => MultiToken} Multi class to instantiate
- * @param {string} input original input string
- * @param {Token[]} tokens consecutive tokens scanned from input string
+ * @param {Token[]} tokens consecutive tokens scanned from the input string
  * @returns {MultiToken}
  */
-function initMultiToken(Multi, input, tokens) {
-	const startIdx = tokens[0].s;
-	const endIdx = tokens[tokens.length - 1].e;
-	const value = input.slice(startIdx, endIdx);
+function initMultiToken(Multi, tokens) {
+	// Token indexes aren't necessarily string indexes (see the indexUnit option)
+	let value = '';
+	for (let i = 0; i < tokens.length; i++) {
+		value += tokens[i].v;
+	}
 	return new Multi(value, tokens);
 }
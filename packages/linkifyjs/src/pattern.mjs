@@ -0,0 +1,140 @@
+/******************************************************************************
+	Pattern Plugins
+	Detects additional link types with regular expressions in the plain text
+	left over by the parser, for plugins created with `registerPatternPlugin`
+******************************************************************************/
+
+import { Text, createTokenClass } from './multi.mjs';
+
+/**
+ * @typedef {import('./multi.mjs').MultiToken} MultiToken
+ */
+
+/**
+ * Options for `registerPatternPlugin`:
+ * - `pattern` matches the links. Matches must start and end at scanner token
+ *   boundaries, e.g., `PROJ-12` in `PROJ-12.` but not in `PROJ-123`
+ * - `href` is either a replacement string for the match (may use `$&`, `$1`,
+ *   etc.) or a function that gets the link text. Defaults to the link text.
+ * - `boundaries` set to `false` allows letters, numbers and `_` directly
+ *   before or after matches. Defaults to `true`.
+ * @typedef {{
+ * 	pattern: RegExp,
+ * 	href?: string | ((value: string) => string),
+ * 	boundaries?: boolean
+ * }} PatternOpts
+ */
+
+/**
+ * @typedef {{
+ * 	regexp: RegExp,
+ * 	Token: typeof MultiToken,
+ * 	boundaries: boolean
+ * }} Pattern
+ */
+
+const WORD_CHAR_BEFORE = /[\p{L}\p{N}\p{M}_]$/u;
+const WORD_CHAR_AFTER = /^[\p{L}\p{N}\p{M}_]/u;
+
+/**
+ * Create the token class and global regular expression for a pattern plugin
+ * @param {string} type link type of the tokens created for matches
+ * @param {PatternOpts} opts
+ * @returns {Pattern}
+ */
+export function createPattern(type, opts) {
+	const { pattern, href = null, boundaries = true } = opts || /** @type {PatternOpts} */ ({});
+	if (!(pattern instanceof RegExp)) {
+		throw new Error(`linkifyjs: Invalid pattern ${pattern} for plugin ${type} (expects RegExp)`);
+	}
+	if (href !== null && typeof href !== 'string' && typeof href !== 'function') {
+		throw new Error(`linkifyjs: Invalid href ${href} for plugin ${type} (expects string or function)`);
+	}
+
+	const single = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+	const Token = createTokenClass(type, {
+		isLink: true,
+		toHref() {
+			const value = this.toString();
+			if (typeof href === 'function') {
+				return href(value);
+			}
+			return href === null ? value : value.replace(single, href);
+		},
+	});
+
+	return { regexp: new RegExp(single.source, `${single.flags}g`), Token, boundaries };
+}
+
+/**
+ * Split the plain text tokens in the given list at matches of the given
+ * patterns, in order. Tokens that are already links are left as-is.
+ * @param {Pattern[]} patterns
+ * @param {MultiToken[]} multis
+ * @returns {MultiToken[]}
+ */
+export function applyPatterns(patterns, multis) {
+	for (let i = 0; i < patterns.length; i++) {
+		const result = [];
+		for (let j = 0; j < multis.length; j++) {
+			if (multis[j].isLink) {
+				result.push(multis[j]);
+			} else {
+				splitText(patterns[i], multis[j], result);
+			}
+		}
+		multis = result;
+	}
+	return multis;
+}
+
+/**
+ * Add the text and link tokens from splitting the given plain text token at
+ * matches of the given pattern to the result list
+ * @param {Pattern} pattern
+ * @param {MultiToken} text
+ * @param {MultiToken[]} result
+ */
+function splitText({ regexp, Token, boundaries }, text, result) {
+	const value = text.toString();
+	const tokens = text.tk;
+
+	// Index of the scanner token that starts at each string index
+	/** @type {{[index: number]: number}} */
+	const tokenAt = {};
+	for (let i = 0, index = 0; i <= tokens.length; i++) {
+		tokenAt[index] = i;
+		index += i < tokens.length ? tokens[i].v.length : 0;
+	}
+
+	let consumed = 0; // string index up to which tokens were added to the result
+	let match;
+	regexp.lastIndex = 0;
+	while ((match = regexp.exec(value))) {
+		const start = match.index;
+		const end = start + match[0].length;
+		if (
+			start === end ||
+			!(start in tokenAt) ||
+			!(end in tokenAt) ||
+			(boundaries &&
+				(WORD_CHAR_BEFORE.test(value.slice(Math.max(0, start - 2), start)) ||
+					WORD_CHAR_AFTER.test(value.slice(end, end + 2))))
+		) {
+			regexp.lastIndex = start + 1; // try again from the next character
+			continue;
+		}
+
+		if (start > consumed) {
+			result.push(new Text(value.slice(consumed, start), tokens.slice(tokenAt[consumed], tokenAt[start])));
+		}
+		result.push(new Token(match[0], tokens.slice(tokenAt[start], tokenAt[end])));
+		consumed = end;
+	}
+
+	if (consumed === 0) {
+		result.push(text);
+	} else if (consumed < value.length) {
+		result.push(new Text(value.slice(consumed), tokens.slice(tokenAt[consumed])));
+	}
+}
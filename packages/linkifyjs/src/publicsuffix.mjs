@@ -0,0 +1,109 @@
+/******************************************************************************
+	Public Suffixes
+	Finds the registrable domain of a host name (e.g., `bbc.co.uk` for
+	`www.bbc.co.uk`) with rules from the Public Suffix List. Without any
+	registered rules, only the last label of a host is considered a public
+	suffix (the list's default `*` rule).
+******************************************************************************/
+
+/**
+ * Registered rules, keyed by rule with leading `!` for exceptions and `*.`
+ * for wildcards. Values are always `true`.
+ * @type {{[rule: string]: true}}
+ */
+let rules = {};
+
+/**
+ * @param {string} rule
+ */
+function hasRule(rule) {
+	return Object.prototype.hasOwnProperty.call(rules, rule);
+}
+
+/**
+ * Use the given Public Suffix List rules (e.g., `'co.uk'`, `'*.ck'` or
+ * `'!www.ck'`) to determine registrable domains of URL and email hosts. Rules
+ * are global and shared by all linkify instances.
+ * @param {string[]} list rules in the format of the Public Suffix List
+ */
+export function registerPublicSuffixes(list) {
+	for (let i = 0; i < list.length; i++) {
+		const rule = list[i].trim().toLowerCase();
+		if (rule) {
+			rules[rule] = true;
+		}
+	}
+}
+
+/**
+ * Remove all registered Public Suffix List rules
+ * @private
+ */
+export function resetPublicSuffixes() {
+	rules = {};
+}
+
+/**
+ * Get the public suffix of the given lowercase host name, e.g., `co.uk` for
+ * `www.bbc.co.uk`. Returns `null` for IP addresses and empty hosts.
+ * @param {?string} host
+ * @returns {?string}
+ */
+export function publicSuffix(host) {
+	if (!host || /^[\d.]+$/.test(host) || host[0] === '[') {
+		return null;
+	}
+	const labels = host.replace(/\.$/, '').split('.');
+
+	// The longest matching rule wins, except for exception rules which always
+	// win and make the public suffix one label shorter than the rule.
+	let length = 1;
+	for (let i = labels.length - 1; i >= 0; i--) {
+		const suffix = labels.slice(i).join('.');
+		if (hasRule(`!${suffix}`)) {
+			length = labels.length - i - 1;
+			break;
+		}
+		if (hasRule(suffix)) {
+			length = labels.length - i;
+		}
+		if (i > 0 && hasRule(`*.${suffix}`)) {
+			length = labels.length - i + 1;
+		}
+	}
+
+	return labels.slice(-length).join('.');
+}
+
+/**
+ * Get the registrable domain of the given lowercase host name, i.e., its public
+ * suffix plus one more label. `null` if the host is itself a public suffix
+ * or an IP address.
+ * @param {?string} host
+ * @returns {?string}
+ */
+export function registrableDomain(host) {
+	const suffix = publicSuffix(host);
+	if (!suffix) {
+		return null;
+	}
+	const labels = host.replace(/\.$/, '').split('.');
+	const length = suffix.split('.').length + 1;
+	return labels.length < length ? null : labels.slice(-length).join('.');
+}
+
+/**
+ * Get the part of the given lowercase host name before its registrable domain,
+ * e.g., `www` for `www.bbc.co.uk`. Empty string if the host is a registrable
+ * domain and `null` if it doesn't have one.
+ * @param {?string} host
+ * @returns {?string}
+ */
+export function subdomain(host) {
+	const domain = registrableDomain(host);
+	if (!domain) {
+		return null;
+	}
+	const labels = host.replace(/\.$/, '').split('.');
+	return labels.slice(0, labels.length - domain.split('.').length).join('.');
+}
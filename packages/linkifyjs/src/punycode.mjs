@@ -0,0 +1,249 @@
+/******************************************************************************
+	Punycode
+	Dependency-free implementation of the Punycode encoding for
+	Internationalized Domain Names (RFC 3492)
+******************************************************************************/
+
+import { EMOJI, LETTER, MARK, NUMBER } from './regexp.mjs';
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+const MAX_INT = 0x7fffffff;
+const PREFIX = 'xn--';
+
+/**
+ * Bias adaptation function from section 6.1 of RFC 3492
+ * @param {number} delta
+ * @param {number} numPoints
+ * @param {boolean} firstTime
+ * @returns {number}
+ */
+function adapt(delta, numPoints, firstTime) {
+	let k = 0;
+	delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+	delta += Math.floor(delta / numPoints);
+	for (; delta > ((BASE - T_MIN) * T_MAX) >> 1; k += BASE) {
+		delta = Math.floor(delta / (BASE - T_MIN));
+	}
+	return Math.floor(k + ((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+}
+
+/**
+ * @param {number} digit value from 0 to 35
+ * @returns {string} `a` to `z` for 0 to 25, `0` to `9` for 26 to 35
+ */
+function encodeDigit(digit) {
+	return String.fromCharCode(digit + (digit < 26 ? 97 : 22));
+}
+
+/**
+ * @param {number} codePoint
+ * @returns {number} digit value, or `BASE` if the code point is not a digit
+ */
+function decodeDigit(codePoint) {
+	if (codePoint >= 0x30 && codePoint < 0x3a) {
+		return codePoint - 22;
+	}
+	if (codePoint >= 0x41 && codePoint < 0x5b) {
+		return codePoint - 0x41;
+	}
+	if (codePoint >= 0x61 && codePoint < 0x7b) {
+		return codePoint - 0x61;
+	}
+	return BASE;
+}
+
+/**
+ * @param {number} k
+ * @param {number} bias
+ */
+function threshold(k, bias) {
+	return k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+}
+
+/**
+ * Convert a string of Unicode symbols (e.g., a domain name label) to a
+ * Punycode string of ASCII-only symbols, without the `xn--` prefix.
+ * @param {string} input
+ * @returns {string}
+ */
+export function encode(input) {
+	const codePoints = Array.from(input, (char) => char.codePointAt(0));
+	const output = [];
+	for (let i = 0; i < codePoints.length; i++) {
+		if (codePoints[i] < 0x80) {
+			output.push(String.fromCharCode(codePoints[i]));
+		}
+	}
+
+	const basicLength = output.length;
+	let handled = basicLength;
+	if (basicLength) {
+		output.push('-');
+	}
+
+	let n = INITIAL_N;
+	let delta = 0;
+	let bias = INITIAL_BIAS;
+	while (handled < codePoints.length) {
+		// Find the smallest code point not yet handled
+		let m = MAX_INT;
+		for (let i = 0; i < codePoints.length; i++) {
+			if (codePoints[i] >= n && codePoints[i] < m) {
+				m = codePoints[i];
+			}
+		}
+		if (m - n > Math.floor((MAX_INT - delta) / (handled + 1))) {
+			throw new Error('linkifyjs: Punycode overflow');
+		}
+		delta += (m - n) * (handled + 1);
+		n = m;
+
+		for (let i = 0; i < codePoints.length; i++) {
+			if (codePoints[i] < n && ++delta > MAX_INT) {
+				throw new Error('linkifyjs: Punycode overflow');
+			}
+			if (codePoints[i] !== n) {
+				continue;
+			}
+			let q = delta;
+			for (let k = BASE; ; k += BASE) {
+				const t = threshold(k, bias);
+				if (q < t) {
+					break;
+				}
+				output.push(encodeDigit(t + ((q - t) % (BASE - t))));
+				q = Math.floor((q - t) / (BASE - t));
+			}
+			output.push(encodeDigit(q));
+			bias = adapt(delta, handled + 1, handled === basicLength);
+			delta = 0;
+			handled++;
+		}
+		delta++;
+		n++;
+	}
+
+	return output.join('');
+}
+
+/**
+ * Convert a Punycode string of ASCII-only symbols, without the `xn--` prefix,
+ * to a string of Unicode symbols.
+ * @param {string} input
+ * @returns {string}
+ */
+export function decode(input) {
+	const output = [];
+	let basic = input.lastIndexOf('-');
+	if (basic < 0) {
+		basic = 0;
+	}
+	for (let j = 0; j < basic; j++) {
+		if (input.charCodeAt(j) >= 0x80) {
+			throw new Error('linkifyjs: Invalid Punycode input');
+		}
+		output.push(input.charCodeAt(j));
+	}
+
+	let n = INITIAL_N;
+	let bias = INITIAL_BIAS;
+	let i = 0;
+	for (let index = basic > 0 ? basic + 1 : 0; index < input.length; ) {
+		const oldi = i;
+		for (let w = 1, k = BASE; ; k += BASE) {
+			if (index >= input.length) {
+				throw new Error('linkifyjs: Invalid Punycode input');
+			}
+			const digit = decodeDigit(input.charCodeAt(index++));
+			if (digit >= BASE || digit > Math.floor((MAX_INT - i) / w)) {
+				throw new Error('linkifyjs: Invalid Punycode input');
+			}
+			i += digit * w;
+			const t = threshold(k, bias);
+			if (digit < t) {
+				break;
+			}
+			if (w > Math.floor(MAX_INT / (BASE - t))) {
+				throw new Error('linkifyjs: Punycode overflow');
+			}
+			w *= BASE - t;
+		}
+
+		const length = output.length + 1;
+		bias = adapt(i - oldi, length, oldi === 0);
+		if (Math.floor(i / length) > MAX_INT - n) {
+			throw new Error('linkifyjs: Punycode overflow');
+		}
+		n += Math.floor(i / length);
+		i %= length;
+		output.splice(i++, 0, n);
+	}
+
+	return String.fromCodePoint(...output);
+}
+
+/**
+ * Convert each non-ASCII label of the given domain name to lowercase Punycode
+ * with the `xn--` prefix, e.g., `bücher.de` to `xn--bcher-kva.de`.
+ * @param {string} domain
+ * @returns {string}
+ */
+export function toASCII(domain) {
+	return domain
+		.split('.')
+		.map((label) => (/[^\0-\x7F]/.test(label) ? PREFIX + encode(label.toLowerCase()) : label))
+		.join('.');
+}
+
+/**
+ * Convert each Punycode label with the `xn--` prefix of the given domain name
+ * to Unicode, e.g., `xn--bcher-kva.de` to `bücher.de`. Labels that are not
+ * valid Punycode are left as-is, as are labels that don't decode to non-ASCII
+ * letters, marks, numbers and emoji (e.g., `xn--ab-` would otherwise become `ab`)
+ * or that decode to a string with a different Punycode encoding.
+ * @param {string} domain
+ * @returns {string}
+ */
+export function toUnicode(domain) {
+	return domain
+		.split('.')
+		.map((label) => {
+			if (label.slice(0, PREFIX.length).toLowerCase() !== PREFIX) {
+				return label;
+			}
+			const input = label.slice(PREFIX.length).toLowerCase();
+			let decoded;
+			try {
+				decoded = decode(input);
+			} catch (e) {
+				return label;
+			}
+			return isLabel(decoded) && encode(decoded) === input ? decoded : label;
+		})
+		.join('.');
+}
+
+/**
+ * Whether the given decoded Punycode label has non-ASCII characters and only
+ * consists of letters, marks, numbers, emoji and hyphens
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isLabel(label) {
+	const chars = Array.from(label);
+	let nonASCII = false;
+	for (let i = 0; i < chars.length; i++) {
+		const char = chars[i];
+		if (char !== '-' && !LETTER.test(char) && !MARK.test(char) && !NUMBER.test(char) && !EMOJI.test(char)) {
+			return false;
+		}
+		nonASCII = nonASCII || char >= '\x80';
+	}
+	return nonASCII;
+}
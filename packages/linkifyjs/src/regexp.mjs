@@ -1,7 +1,14 @@
 // Note that these two Unicode ones expand into a really big one with Babel
 export const ASCII_LETTER = /[a-z]/;
 export const LETTER = /\p{L}/u; // Any Unicode character with letter data type
+export const MARK = /\p{M}/u; // Combining marks such as accents and vowel signs, part of the preceding letter
 export const EMOJI = /\p{Emoji}/u; // Any Unicode emoji character
 export const EMOJI_VARIATION = /\ufe0f/;
 export const DIGIT = /\d/;
 export const SPACE = /\s/;
+export const NUMBER = /\p{N}/u; // Any Unicode number, including ideographic and full-width digits
+export const COMBINING = /[\p{M}\u1160-\u11ff\ud7b0-\ud7ff]/u; // Marks and Hangul vowel and final consonant jamo, which combine with the preceding character
+export const INVISIBLE = /[\u00ad\u061c\u200c-\u200f]/; // Soft hyphen, zero-width (non-)joiners and bidi marks
+export const ZERO_WIDTH_BREAK = /[\u200b\u2060]/; // Zero-width spaces and word joiners, which separate words without a visible space
+export const BIDI_CONTROL = /[\u202a-\u202e\u2066-\u2069]/; // Bidi embeddings, overrides and isolates
+export const CJK = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Hangul}]/u; // Chinese, Japanese and Korean scripts
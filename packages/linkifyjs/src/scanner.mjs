@@ -14,6 +14,10 @@ const LF = '\n'; // line-feed character
 const EMOJI_VARIATION = '\ufe0f'; // Variation selector, follows heart and others
 const EMOJI_JOINER = '\u200d'; // zero-width joiner
 const OBJECT_REPLACEMENT = '\ufffc'; // whitespace placeholder that sometimes appears in rich text editors
+const BIDI_CONTROLS = '\u202a\u202b\u202c\u202d\u202e\u2066\u2067\u2068\u2069'; // embeddings, overrides and isolates
+const IDEOGRAPHIC_FULL_STOP = '\u3002'; // 。, scanned as a dot when folding like IDNA does (also ｡ after NFKC)
+
+const INVISIBLES = new RegExp(re.INVISIBLE.source, 'g');
 
 let tlds = null,
 	utlds = null; // don't change so only have to be computed once
@@ -22,9 +26,46 @@ let tlds = null,
  * Scanner output token:
  * - `t` is the token name (e.g., 'NUM', 'EMOJI', 'TLD')
  * - `v` is the value of the token (e.g., '123', '❤️', 'com')
- * - `s` is the start index of the token in the original string
+ * - `s` is the start index of the token in the original string (see `IndexUnit`)
  * - `e` is the end index of the token in the original string
- * @typedef {{t: string, v: string, s: number, e: number}} Token
+ * - `b` is set if links may not continue into the token, because it starts at
+ *   a change into or out of Chinese, Japanese or Korean script (only when
+ *   scanning with CJK boundaries), is a zero-width space or word joiner, or is
+ *   an invisible character next to whitespace
+ * - `n` is the normalized value of the token, if different from `v` (e.g.,
+ *   'example' for 'ｅｘａｍｐｌｅ' when folding, or without zero-width joiners)
+ * - `i` is set if the token contains zero-width joiners, bidi marks or is
+ *   a bidi control character (see `run`)
+ * @typedef {{t: string, v: string, s: number, e: number, b?: boolean, n?: string, i?: boolean}} Token
+ */
+
+/**
+ * Unit of token start and end indexes: UTF-16 code units (the default, same as
+ * string indexes), Unicode code points, UTF-8 bytes or grapheme clusters
+ * (user-perceived characters)
+ * @typedef {'utf16' | 'codepoint' | 'utf8' | 'grapheme'} IndexUnit
+ */
+
+/**
+ * Options for `run`:
+ * - `unit` is the unit of the start and end indexes of tokens
+ * - `cjk` splits tokens at Chinese, Japanese or Korean script changes
+ * - `fold` scans full-width and half-width characters as their NFKC form
+ * - `normalize` scans the string in the given Unicode normalization form
+ * @typedef {{
+ * 	unit?: IndexUnit,
+ * 	cjk?: boolean,
+ * 	fold?: boolean,
+ * 	normalize?: ?NormalizationForm
+ * }} ScanOpts
+ */
+
+/**
+ * Unicode normalization form for the `normalize` option: canonical
+ * composition (e.g., `é` for `e` followed by a combining acute accent) or
+ * compatibility composition, which also folds characters such as `ﬁ`, `①` and
+ * full-width letters
+ * @typedef {'NFC' | 'NFKC'} NormalizationForm
  */
 
 /**
@@ -38,8 +79,12 @@ let tlds = null,
  * @param {[string, boolean][]} customSchemes List of custom schemes, where each
  * item is a length-2 tuple with the first element set to the string scheme, and
  * the second element set to `true` if the `://` after the scheme is optional
+ * @param {string[]} [customTlds] Additional lowercase top-level domains to
+ * recognize
+ * @param {string[]} [excludedTlds] Lowercase top-level domains not to recognize,
+ * including built-in ones
  */
-export function init(customSchemes = []) {
+export function init(customSchemes = [], customTlds = [], excludedTlds = []) {
 	// Frequently used states (name argument removed during minification)
 	/** @type Collections<string> */
 	const groups = {}; // of tokens
@@ -97,6 +142,10 @@ export function init(customSchemes = []) {
 	tt(Start, '\\', tk.BACKSLASH);
 	tt(Start, '・', tk.FULLWIDTHMIDDLEDOT);
 
+	for (let i = 0; i < BIDI_CONTROLS.length; i++) {
+		tt(Start, BIDI_CONTROLS[i], tk.BIDI);
+	}
+
 	const Num = tr(Start, re.DIGIT, tk.NUM, { [fsm.numeric]: true });
 	tr(Num, re.DIGIT, Num);
 	const Asciinumeric = tr(Num, re.ASCII_LETTER, tk.ASCIINUMERICAL, { [fsm.asciinumeric]: true });
@@ -118,6 +167,13 @@ export function init(customSchemes = []) {
 	tr(Alphanumeric, re.ASCII_LETTER); // Non-accepting
 	tr(Alphanumeric, re.LETTER, Alphanumeric); // Non-accepting
 
+	// Combining marks belong to the preceding letter, e.g., the vowel signs in
+	// Devanagari 'डाटा'. Marks after ASCII letters make them Unicode words.
+	tr(Word, re.MARK, UWord);
+	tr(UWord, re.MARK, UWord);
+	tr(Asciinumeric, re.MARK, Alphanumeric);
+	tr(Alphanumeric, re.MARK, Alphanumeric);
+
 	// Whitespace jumps
 	// Tokens of only non-newline whitespace are arbitrarily long
 	// If any whitespace except newline, more whitespace!
@@ -151,17 +207,31 @@ export function init(customSchemes = []) {
 	const wordjr = [
 		[re.ASCII_LETTER, Word],
 		[re.DIGIT, Asciinumeric],
+		[re.MARK, UWord],
 	];
 	const uwordjr = [
 		[re.ASCII_LETTER, null],
 		[re.LETTER, UWord],
 		[re.DIGIT, Alphanumeric],
+		[re.MARK, UWord],
 	];
-	for (let i = 0; i < tlds.length; i++) {
-		fastts(Start, tlds[i], tk.TLD, tk.WORD, wordjr);
+	let tldList = tlds,
+		utldList = utlds;
+	if (customTlds.length > 0 || excludedTlds.length > 0) {
+		const asciiTlds = [];
+		const unicodeTlds = [];
+		for (let i = 0; i < customTlds.length; i++) {
+			const isAscii = !/[^a-z]/.test(customTlds[i]);
+			(isAscii ? asciiTlds : unicodeTlds).push(customTlds[i]);
+		}
+		tldList = mergeTlds(tlds, asciiTlds, excludedTlds);
+		utldList = mergeTlds(utlds, unicodeTlds, excludedTlds);
 	}
-	for (let i = 0; i < utlds.length; i++) {
-		fastts(Start, utlds[i], tk.UTLD, tk.UWORD, uwordjr);
+	for (let i = 0; i < tldList.length; i++) {
+		fastts(Start, tldList[i], tk.TLD, tk.WORD, wordjr);
+	}
+	for (let i = 0; i < utldList.length; i++) {
+		fastts(Start, utldList[i], tk.UTLD, tk.UWORD, uwordjr);
 	}
 	addToGroups(tk.TLD, { tld: true, ascii: true }, groups);
 	addToGroups(tk.UTLD, { utld: true, alpha: true }, groups);
@@ -209,19 +279,73 @@ export function init(customSchemes = []) {
 	Given a string, returns an array of TOKEN instances representing the
 	composition of that string.
 
+	When `partial` is set, scanning stops before the first token that reaches
+	the end of the string, since more input could still extend that token.
+
+	Zero-width joiners and non-joiners, bidi marks and soft hyphens between two
+	visible characters of the same script (e.g., `exa\u00admple` or
+	`example.com/\u200cpath`) are skipped by the state machine and belong to
+	the token of the character after them, unless the state machine expects
+	them like the zero-width joiners in emoji. Elsewhere, each is a `SYM` token
+	marked with `b` so that links don't end with it. Zero-width spaces and word
+	joiners separate words, so they are `SYM` tokens marked with `b` that links
+	don't continue into. Bidi embedding, override and isolate controls are always
+	`BIDI` tokens. Tokens with any of these are marked with `i`, with the
+	characters left out of their normalized value `n`.
+
+	When `cjk` is set, letters and numbers of Chinese, Japanese or Korean
+	script are never part of the same token as those of other scripts, and
+	tokens that start at such a script change are marked with `b` so the
+	parser doesn't continue links across them. Hex digits of percent-encoded
+	characters (e.g., `%E6%97%A5`) don't count as a script change.
+
+	When `fold` is set, full-width and half-width characters are scanned as
+	their NFKC form, so full-width text such as `ｈｔｔｐｓ：／／ｅｘａｍｐｌｅ．ｃｏｍ`
+	is tokenized like its ASCII equivalent. The ideographic full stop `。` is
+	scanned as `.`. Token values, start and end indexes still refer to the
+	original string; the folded value is in `n`. Script changes between folded
+	characters and Chinese, Japanese or Korean ones (e.g., in `見てｅｘａｍｐｌｅ．ｃｏｍ`)
+	are boundaries as if `cjk` were set, since full-width Latin text typed with
+	an input method usually follows CJK text without a space.
+
+	When `normalize` is set, the string is converted to that Unicode
+	normalization form before scanning, so that decomposed text (e.g., from
+	macOS file names) gives the same tokens as the composed text. Token values,
+	start and end indexes still refer to the original string; the normalized
+	value is in `n`.
+
 	@method run
 	@param {State<string>} start scanner starting state
 	@param {string} str input string to scan
+	@param {boolean} [partial] only return tokens that are final
+	@param {ScanOpts} [opts]
 	@return {Token[]} list of tokens, each with a type and value
 */
-export function run(start, str) {
+export function run(start, str, partial = false, opts = null) {
+	const { unit = 'utf16', cjk = false, fold = false, normalize = null } = opts || {};
+	if (normalize) {
+		return runNormalized(start, str, partial, unit, normalize, { cjk, fold });
+	}
+
 	// State machine is not case sensitive, so input is tokenized in lowercased
 	// form (still returns regular case). Uses selective `toLowerCase` because
 	// lowercasing the entire string causes the length and character position to
 	// vary in some non-English strings with V8-based runtimes.
 	const iterable = stringToArray(str.replace(/[A-Z]/g, (c) => c.toLowerCase()));
+	const folded = fold ? iterable.map((char) => foldChar(char).replace(/[A-Z]/g, (c) => c.toLowerCase())) : iterable;
 	const charCount = iterable.length; // <= len if there are emojis, etc
 	const tokens = []; // return value
+	const unitLength = unitCounter(str, unit);
+
+	// Whether each character is an invisible one inside a word (see `joinedInvisibles`)
+	const joined = joinedInvisibles(str, folded);
+	const breaks = re.ZERO_WIDTH_BREAK.test(str);
+
+	// Whether a token must start at the given character index
+	const isBoundary = (index) =>
+		index > 0 &&
+		(cjk || (fold && (folded[index] !== iterable[index] || folded[index - 1] !== iterable[index - 1]))) &&
+		isScriptChange(iterable[index - 1], iterable[index]);
 
 	// cursor through the string itself, accounting for characters that have
 	// width with length 2 such as emojis
@@ -230,6 +354,9 @@ export function run(start, str) {
 	// Cursor through the array-representation of the string
 	let charCursor = 0;
 
+	// Cursor through the string in the requested index unit
+	let unitCursor = 0;
+
 	// Tokenize the string
 	while (charCursor < charCount) {
 		let state = start;
@@ -238,42 +365,316 @@ export function run(start, str) {
 		let latestAccepting = null;
 		let sinceAccepts = -1;
 		let charsSinceAccepts = -1;
+		let unitsSinceAccepts = -1;
+		let tokenUnits = 0;
+		const boundary = isBoundary(charCursor);
+
+		// Skip invisible characters inside a word at the start of a token; they
+		// belong to this token
+		while (joined && joined[charCursor]) {
+			const units = unitLength(iterable[charCursor], cursor);
+			tokenLength += iterable[charCursor].length;
+			tokenUnits += units;
+			cursor += iterable[charCursor].length;
+			unitCursor += units;
+			charCursor++;
+		}
 
-		while (charCursor < charCount && (nextState = state.go(iterable[charCursor]))) {
-			state = nextState;
+		while (charCursor < charCount && !(tokenLength > 0 && isBoundary(charCursor))) {
+			const char = folded[charCursor];
+			const skip = tokenLength > 0 && joined !== null && joined[charCursor] && !state.has(char, true);
+			if (!skip) {
+				if (!(nextState = state.go(char))) {
+					break;
+				}
+				state = nextState;
+			}
 
-			// Keep track of the latest accepting state
-			if (state.accepts()) {
+			// Keep track of the latest accepting state. Skipped characters
+			// don't change the state, but are rolled back if they end a token.
+			const units = unitLength(iterable[charCursor], cursor);
+			if (!skip && state.accepts()) {
 				sinceAccepts = 0;
 				charsSinceAccepts = 0;
+				unitsSinceAccepts = 0;
 				latestAccepting = state;
 			} else if (sinceAccepts >= 0) {
 				sinceAccepts += iterable[charCursor].length;
 				charsSinceAccepts++;
+				unitsSinceAccepts += units;
 			}
 
 			tokenLength += iterable[charCursor].length;
+			tokenUnits += units;
 			cursor += iterable[charCursor].length;
+			unitCursor += units;
 			charCursor++;
 		}
 
+		if (partial && charCursor >= charCount) {
+			break; // more input may change this token
+		}
+
 		// Roll back to the latest accepting state
 		cursor -= sinceAccepts;
 		charCursor -= charsSinceAccepts;
 		tokenLength -= sinceAccepts;
+		unitCursor -= unitsSinceAccepts;
+		tokenUnits -= unitsSinceAccepts;
 
 		// No more jumps, just make a new token from the last accepting one
-		tokens.push({
+		const token = {
 			t: latestAccepting.t, // token type/name
 			v: str.slice(cursor - tokenLength, cursor), // string value
-			s: cursor - tokenLength, // start index
-			e: cursor, // end index (excluding)
-		});
+			s: unitCursor - tokenUnits, // start index
+			e: unitCursor, // end index (excluding)
+		};
+		if (
+			(boundary && !isPercentEncoded(tokens)) ||
+			(breaks && token.t === tk.SYM && re.ZERO_WIDTH_BREAK.test(token.v))
+		) {
+			token.b = true;
+		}
+		let normalized = token.v;
+		if (token.t === tk.BIDI || (joined !== null && token.t !== tk.EMOJI && re.INVISIBLE.test(token.v))) {
+			token.i = true;
+			normalized = token.t === tk.BIDI ? '' : normalized.replace(INVISIBLES, '');
+			if (!normalized) {
+				token.b = true; // links don't end with invisible characters
+			}
+		}
+		if (fold) {
+			normalized = stringToArray(normalized).map(foldChar).join('');
+		}
+		if (normalized !== token.v) {
+			token.n = normalized;
+		}
+		tokens.push(token);
 	}
 
 	return tokens;
 }
 
+/**
+ * The NFKC form of the given full-width or half-width character (e.g., `ａ`
+ * for `a` or `カ` for `ｶ`). Other characters are returned as-is, since folding
+ * superscripts and the like would extend links such as `example.com²`.
+ * Ideographic full stops become `.`.
+ * @param {string} char
+ * @returns {string}
+ */
+function foldChar(char) {
+	const code = char.charCodeAt(0);
+	if (char === IDEOGRAPHIC_FULL_STOP) {
+		return '.';
+	}
+	if (code < 0xff00 || code > 0xffef) {
+		return char;
+	}
+	const normalized = char.normalize('NFKC');
+	if (normalized === IDEOGRAPHIC_FULL_STOP) {
+		return '.';
+	}
+	return stringToArray(normalized).length === 1 ? normalized : char;
+}
+
+/**
+ * Whether each of the given characters is an invisible one (see
+ * `re.INVISIBLE`) between visible characters of the same word, which the
+ * scanner skips over. Zero-width spaces separate words instead, as do
+ * invisible characters at a change to or from Chinese, Japanese or Korean
+ * script. `null` if the string has no invisible characters.
+ * @param {string} str
+ * @param {string[]} chars characters of `str`
+ * @returns {?boolean[]}
+ */
+function joinedInvisibles(str, chars) {
+	if (!re.INVISIBLE.test(str)) {
+		return null;
+	}
+	const joined = chars.map(() => false);
+	for (let i = 1; i < chars.length; i++) {
+		if (!re.INVISIBLE.test(chars[i])) {
+			continue;
+		}
+		let next = i;
+		while (next < chars.length && re.INVISIBLE.test(chars[next])) {
+			next++;
+		}
+		if (
+			isVisible(chars[i - 1]) &&
+			next < chars.length &&
+			isVisible(chars[next]) &&
+			!isScriptChange(chars[i - 1], chars[next])
+		) {
+			for (let j = i; j < next; j++) {
+				joined[j] = true;
+			}
+		}
+		i = next;
+	}
+	return joined;
+}
+
+/**
+ * Whether the given character is not whitespace, a zero-width space or an
+ * invisible character
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isVisible(char) {
+	return (
+		!re.SPACE.test(char) &&
+		!re.INVISIBLE.test(char) &&
+		!re.ZERO_WIDTH_BREAK.test(char) &&
+		!re.BIDI_CONTROL.test(char)
+	);
+}
+
+/**
+ * Whether the given consecutive characters are letters or numbers where only
+ * one is of Chinese, Japanese or Korean script
+ * @param {string} prev
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isScriptChange(prev, char) {
+	return isWordChar(prev) && isWordChar(char) && re.CJK.test(prev) !== re.CJK.test(char);
+}
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isWordChar(char) {
+	return re.LETTER.test(char) || re.NUMBER.test(char) || re.MARK.test(char);
+}
+
+/**
+ * Whether the last of the given tokens are the hex digits of a
+ * percent-encoded character
+ * @param {Token[]} tokens
+ * @returns {boolean}
+ */
+function isPercentEncoded(tokens) {
+	const len = tokens.length;
+	return len > 1 && tokens[len - 2].t === tk.PERCENT && /^[\da-f]{2}$/i.test(tokens[len - 1].v);
+}
+
+/**
+ * Scan the given string in the given normalization form, with token values
+ * and indexes in the original string
+ * @param {State<string>} start
+ * @param {string} str
+ * @param {boolean} partial
+ * @param {IndexUnit} unit
+ * @param {NormalizationForm} form
+ * @param {ScanOpts} opts other scanner options
+ * @returns {Token[]}
+ */
+function runNormalized(start, str, partial, unit, form, opts) {
+	if (form !== 'NFC' && form !== 'NFKC') {
+		throw Error(`linkifyjs: Invalid normalization form ${form}; must be NFC or NFKC`);
+	}
+	const { text, offsets } = normalizeString(str, form);
+
+	// Index in the requested unit of each character in the original string
+	/** @type {{[index: number]: number}} */
+	const unitIndex = {};
+	const unitLength = unitCounter(str, unit);
+	const chars = stringToArray(str);
+	for (let i = 0, index = 0, units = 0; i <= chars.length; i++) {
+		unitIndex[index] = units;
+		if (i < chars.length) {
+			units += unitLength(chars[i], index);
+			index += chars[i].length;
+		}
+	}
+
+	return run(start, text, partial, opts).map((token) => {
+		const startIndex = offsets[token.s];
+		const endIndex = offsets[token.e];
+		const value = str.slice(startIndex, endIndex);
+		const normalized = token.n === undefined ? token.v : token.n;
+		const result = { t: token.t, v: value, s: unitIndex[startIndex], e: unitIndex[endIndex] };
+		if (token.b) {
+			result.b = true;
+		}
+		if (token.i) {
+			result.i = true;
+		}
+		if (normalized !== value) {
+			result.n = normalized;
+		}
+		return result;
+	});
+}
+
+/**
+ * Convert the given string to the given normalization form, one character
+ * and any combining characters after it at a time. Also returns the index in
+ * the original string for each index in the normalized one. Indexes inside
+ * the normalized form of a character map to the end of that character.
+ * @param {string} str
+ * @param {NormalizationForm} form
+ * @returns {{ text: string, offsets: number[] }}
+ */
+function normalizeString(str, form) {
+	const chars = stringToArray(str);
+	const offsets = [];
+	let text = '';
+	let index = 0;
+	for (let i = 0; i < chars.length; ) {
+		let segment = chars[i++];
+		while (i < chars.length && re.COMBINING.test(chars[i])) {
+			segment += chars[i++];
+		}
+		const normalized = segment.normalize(form);
+		offsets.push(index);
+		index += segment.length;
+		for (let j = 1; j < normalized.length; j++) {
+			offsets.push(index);
+		}
+		text += normalized;
+	}
+	offsets.push(index);
+	return { text, offsets };
+}
+
+/**
+ * Get a function that returns the length in the given unit of a character
+ * (from `stringToArray`) at the given string index of `str`. Grapheme lengths
+ * are 1 for characters that start a grapheme cluster and 0 for the rest.
+ * @param {string} str
+ * @param {IndexUnit} unit
+ * @returns {(char: string, index: number) => number}
+ */
+function unitCounter(str, unit) {
+	switch (unit) {
+		case 'utf16':
+			return (char) => char.length;
+		case 'codepoint':
+			return () => 1;
+		case 'utf8':
+			return (char) => {
+				const codePoint = char.codePointAt(0);
+				return codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+			};
+		case 'grapheme': {
+			if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+				throw Error('linkifyjs: The grapheme index unit requires Intl.Segmenter');
+			}
+			/** @type {{[index: number]: true}} */
+			const starts = {};
+			for (const segment of new Intl.Segmenter().segment(str)) {
+				starts[segment.index] = true;
+			}
+			return (char, index) => (starts[index] ? 1 : 0);
+		}
+	}
+	throw Error(`linkifyjs: Invalid index unit ${unit}; must be utf16, codepoint, utf8 or grapheme`);
+}
+
 /**
  * Convert a String to an Array of characters, taking into account that some
  * characters like emojis take up two string indexes.
@@ -335,6 +736,30 @@ function fastts(state, input, t, defaultt, jr) {
 	return next;
 }
 
+/**
+ * Add the given TLDs to a list of TLDs and remove the excluded ones. The result
+ * is sorted so that `fastts` never replaces the state for a shorter TLD that
+ * is a prefix of another one.
+ * @param {string[]} list TLDs to start with
+ * @param {string[]} custom TLDs to add
+ * @param {string[]} excluded TLDs to remove
+ * @returns {string[]} new list of TLDs
+ */
+function mergeTlds(list, custom, excluded) {
+	const result = [];
+	for (let i = 0; i < list.length; i++) {
+		if (excluded.indexOf(list[i]) < 0) {
+			result.push(list[i]);
+		}
+	}
+	for (let i = 0; i < custom.length; i++) {
+		if (excluded.indexOf(custom[i]) < 0 && result.indexOf(custom[i]) < 0) {
+			result.push(custom[i]);
+		}
+	}
+	return result.sort();
+}
+
 /**
  * Converts a string of Top-Level Domain names encoded in update-tlds.js back
  * into a list of strings.
@@ -88,5 +88,10 @@ export const UNDERSCORE = 'UNDERSCORE'; // _
 // Emoji symbol
 export const EMOJI = 'EMOJI';
 
+// Bidirectional embedding, override or isolate control character (U+202A to
+// U+202E and U+2066 to U+2069). Never part of a link, since they can make
+// text display in a different order than it is read (Trojan Source).
+export const BIDI = 'BIDI';
+
 // Default token - anything that is not one of the above
 export const SYM = 'SYM';
@@ -0,0 +1,131 @@
+const https = require('https');
+const fs = require('fs');
+
+const confusablesUrl = 'https://www.unicode.org/Public/security/latest/confusables.txt';
+const lookalikesjs = 'packages/linkify-plugin-confusables/src/lookalikes.mjs';
+
+// Lookalikes missing from confusables.txt. The Cyrillic palochka `ӏ` maps to
+// `i` there, but without a dot it reads like `l` (e.g., in `аррӏе.com`).
+const extraLookalikes = {
+	ӏ: 'l',
+};
+
+/**
+ * Given an object mapping characters to their ASCII prototype, encodes into a
+ * compact string that may be decoded with decodeLookalikes. Each prototype is
+ * followed by the characters that look like it. Works because none of those
+ * characters are ASCII.
+ *
+ * Example input: { 'а': 'a', 'α': 'a', 'е': 'e' }
+ * Example output: 'aαаeе'
+ */
+function encodeLookalikes(prototypes) {
+	const groups = Object.create(null);
+	for (const char of Object.keys(prototypes).sort((a, b) => a.codePointAt(0) - b.codePointAt(0))) {
+		const prototype = prototypes[char];
+		groups[prototype] = (groups[prototype] || '') + char;
+	}
+	return Object.keys(groups)
+		.sort()
+		.map((prototype) => prototype + groups[prototype])
+		.join('');
+}
+
+/**
+ * Converts a string of encoded lookalikes back into an object mapping each
+ * character to its prototype. Same as the decoding in linkify-plugin-confusables.
+ *
+ * Example input: 'aαаeе'
+ * Example output: { 'α': 'a', 'а': 'a', 'е': 'e' }
+ */
+function decodeLookalikes(encoded) {
+	const prototypes = {};
+	let prototype = null;
+	for (const char of encoded) {
+		if (char < '\x80') {
+			prototype = char;
+		} else {
+			prototypes[char] = prototype;
+		}
+	}
+	return prototypes;
+}
+
+/**
+ * Parse the non-ASCII characters whose prototype is a single ASCII letter or
+ * digit out of the contents of a confusables.txt file. Host names are
+ * lowercased, so prototypes are lowercased too, and the lowercase form of each
+ * uppercase character (e.g., `ь` for `Ь`) gets its prototype unless it has an
+ * ASCII prototype of its own.
+ * @param {string} contents
+ */
+function parsePrototypes(contents) {
+	const own = {};
+	const lowercased = {};
+	for (const line of contents.replace(/^\ufeff/, '').split('\n')) {
+		const fields = line.split('#')[0].split(';');
+		if (fields.length < 3) {
+			continue;
+		}
+		const [source, target] = fields.slice(0, 2).map((field) =>
+			String.fromCodePoint(
+				...field
+					.trim()
+					.split(/\s+/)
+					.map((hex) => parseInt(hex, 16)),
+			),
+		);
+		if (!/^[a-z0-9]$/i.test(target) || Array.from(source).length !== 1 || source < '\x80') {
+			continue;
+		}
+		own[source] = target.toLowerCase();
+		const lower = source.toLowerCase();
+		if (lower !== source && lower >= '\x80' && Array.from(lower).length === 1) {
+			lowercased[lower] = target.toLowerCase();
+		}
+	}
+	return Object.assign(lowercased, own, extraLookalikes);
+}
+
+function writeLookalikes(contents) {
+	console.log(`Re-generating ${lookalikesjs}...`);
+	const prototypes = parsePrototypes(contents);
+
+	console.log('Encoding...');
+	const encodedLookalikes = encodeLookalikes(prototypes);
+
+	console.log('Testing decode...');
+	const decodedLookalikes = decodeLookalikes(encodedLookalikes);
+	console.assert(
+		JSON.stringify(Object.entries(decodedLookalikes).sort()) === JSON.stringify(Object.entries(prototypes).sort()),
+		'Invalid encode/decode routine',
+	);
+
+	const jsFile = fs.openSync(lookalikesjs, 'w');
+	fs.writeSync(jsFile, '// THIS FILE IS AUTOMATICALLY GENERATED DO NOT EDIT DIRECTLY\n');
+	fs.writeSync(jsFile, '// See update-confusables.cjs for encoding/decoding format\n');
+	fs.writeSync(jsFile, `// ${confusablesUrl}\n`);
+	fs.writeSync(jsFile, '// Unicode data is subject to the Unicode License, https://www.unicode.org/license.txt\n');
+	fs.writeSync(jsFile, "export const encodedLookalikes = '");
+	fs.writeSync(jsFile, encodedLookalikes);
+	fs.writeSync(jsFile, "';\n");
+	fs.closeSync(jsFile);
+
+	console.log(`Done, ${Object.keys(prototypes).length} characters`);
+}
+
+// Optionally read the list from a local file instead of downloading it
+if (process.argv[2]) {
+	console.log(`Reading ${process.argv[2]}...`);
+	writeLookalikes(fs.readFileSync(process.argv[2], 'utf8'));
+} else {
+	https.get(confusablesUrl, (response) => {
+		console.log(`Downloading ${confusablesUrl}...`);
+		let contents = '';
+		response.setEncoding('utf8');
+		response.on('data', (chunk) => {
+			contents += chunk;
+		});
+		response.on('end', () => writeLookalikes(contents));
+	});
+}
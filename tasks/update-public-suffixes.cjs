@@ -0,0 +1,108 @@
+const https = require('https');
+const fs = require('fs');
+
+const suffixListUrl = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const suffixesjs = 'packages/linkify-plugin-public-suffix/src/suffixes.mjs';
+
+/**
+ * Given a list of Public Suffix List rules, encodes into a compact string that
+ * may be decoded with decodeSuffixes. Rules are grouped by their top-level
+ * domain, which is only written once per group. Unlike the TLDs encoding,
+ * this works for rules containing digits.
+ *
+ * Example input: ['uk', 'co.uk', 'ac.uk', '*.ck', '!www.ck']
+ * Example output: 'uk:,co,ac;ck:*,!www'
+ */
+function encodeSuffixes(rules) {
+	const groups = Object.create(null);
+	const tlds = [];
+	for (const rule of rules) {
+		const negated = rule[0] === '!';
+		const labels = (negated ? rule.slice(1) : rule).split('.');
+		const tld = labels.pop();
+		if (!(tld in groups)) {
+			groups[tld] = [];
+			tlds.push(tld);
+		}
+		// An empty entry means the TLD itself is a rule
+		groups[tld].push(labels.length === 0 ? '' : (negated ? '!' : '') + labels.join('.'));
+	}
+	return tlds.map((tld) => `${tld}:${groups[tld].join(',')}`).join(';');
+}
+
+/**
+ * Converts a string of encoded Public Suffix List rules back into a list of
+ * rules. Same as decodeSuffixes in linkify-plugin-public-suffix.
+ *
+ * Example input: 'uk:,co,ac;ck:*,!www'
+ * Example output: ['uk', 'co.uk', 'ac.uk', '*.ck', '!www.ck']
+ */
+function decodeSuffixes(encoded) {
+	const rules = [];
+	for (const group of encoded.split(';')) {
+		const index = group.indexOf(':');
+		const tld = group.slice(0, index);
+		for (const entry of group.slice(index + 1).split(',')) {
+			rules.push(entry ? `${entry}.${tld}` : tld);
+		}
+	}
+	return rules;
+}
+
+/**
+ * Parse the rules out of the contents of a public_suffix_list.dat file
+ * @param {string} contents
+ */
+function parseRules(contents) {
+	const rules = [];
+	for (let line of contents.split('\n')) {
+		line = line.trim().split(/\s/)[0];
+		if (line && line.slice(0, 2) !== '//') {
+			rules.push(line.toLowerCase());
+		}
+	}
+	return rules;
+}
+
+function writeSuffixes(contents) {
+	console.log(`Re-generating ${suffixesjs}...`);
+	const rules = parseRules(contents);
+
+	console.log('Encoding...');
+	const encodedSuffixes = encodeSuffixes(rules);
+
+	console.log('Testing decode...');
+	const decodedSuffixes = decodeSuffixes(encodedSuffixes);
+	console.assert(
+		JSON.stringify(decodedSuffixes.slice().sort()) === JSON.stringify(rules.slice().sort()),
+		'Invalid encode/decode routine',
+	);
+
+	const jsFile = fs.openSync(suffixesjs, 'w');
+	fs.writeSync(jsFile, '// THIS FILE IS AUTOMATICALLY GENERATED DO NOT EDIT DIRECTLY\n');
+	fs.writeSync(jsFile, '// See update-public-suffixes.cjs for encoding/decoding format\n');
+	fs.writeSync(jsFile, `// ${suffixListUrl}\n`);
+	fs.writeSync(jsFile, '// Public Suffix List data is subject to the Mozilla Public License, v. 2.0\n');
+	fs.writeSync(jsFile, "export const encodedSuffixes = '");
+	fs.writeSync(jsFile, encodedSuffixes);
+	fs.writeSync(jsFile, "';\n");
+	fs.closeSync(jsFile);
+
+	console.log(`Done, ${rules.length} rules`);
+}
+
+// Optionally read the list from a local file instead of downloading it
+if (process.argv[2]) {
+	console.log(`Reading ${process.argv[2]}...`);
+	writeSuffixes(fs.readFileSync(process.argv[2], 'utf8'));
+} else {
+	https.get(suffixListUrl, (response) => {
+		console.log(`Downloading ${suffixListUrl}...`);
+		let contents = '';
+		response.setEncoding('utf8');
+		response.on('data', (chunk) => {
+			contents += chunk;
+		});
+		response.on('end', () => writeSuffixes(contents));
+	});
+}
@@ -1,3 +1,4 @@
+import { createLinkify } from 'linkifyjs';
 import linkifyElement from 'linkify-element/src/linkify-element.mjs';
 import htmlOptions from './html/options.mjs';
 import { expect } from 'chai';
@@ -69,4 +70,11 @@ describe('linkify-element', () => {
 		expect(result).to.equal(testContainer); // should return the same element
 		expect(testContainer.innerHTML).to.be.oneOf(htmlOptions.linkified);
 	});
+
+	it('Works with a custom linkify engine', () => {
+		const engine = createLinkify({ schemes: [['instagram', true]] });
+		testContainer.innerHTML = 'Follow instagram:user/nfrasser';
+		linkifyElement(testContainer, { engine }, doc);
+		expect(testContainer.innerHTML).to.eql('Follow <a href="instagram:user/nfrasser">instagram:user/nfrasser</a>');
+	});
 });
@@ -1,3 +1,4 @@
+import { createLinkify } from 'linkifyjs';
 import linkifyHtml from 'linkify-html/src/linkify-html.mjs';
 import htmlOptions from './html/options.mjs';
 import { expect } from 'chai';
@@ -200,6 +201,36 @@ describe('linkify-html', () => {
 		expect(linkifyHtml(input)).to.eql(input); // no change
 	});
 
+	it('Works with a custom linkify engine', () => {
+		const engine = createLinkify({ schemes: [['instagram', true]] });
+		const input = '<p>Follow instagram:user/nfrasser</p>';
+		expect(linkifyHtml(input, { engine })).to.eql(
+			'<p>Follow <a href="instagram:user/nfrasser">instagram:user/nfrasser</a></p>',
+		);
+		expect(linkifyHtml(input)).to.eql(input);
+	});
+
+	it('Does not render links with blocked schemes', () => {
+		const input = '<p>Visit github.com</p>';
+		const formatHref = () => 'javascript:alert(1)';
+		expect(linkifyHtml(input, { formatHref })).to.eql(input);
+		expect(linkifyHtml(input, { formatHref, schemeFallback: 'strip' })).to.eql('<p>Visit <a>github.com</a></p>');
+	});
+
+	it('Renders disabled link types as text', () => {
+		const input = '<p>Visit github.com or email hi@example.com</p>';
+		expect(linkifyHtml(input, { disabledTypes: ['url'] })).to.eql(
+			'<p>Visit github.com or email <a href="mailto:hi@example.com">hi@example.com</a></p>',
+		);
+	});
+
+	it('Keeps the original text of normalized links', () => {
+		const input = '<p>Voir cafe\u0301.fr/re\u0301sume\u0301 <b>ici</b></p>';
+		expect(linkifyHtml(input, { normalize: 'NFC' })).to.eql(
+			'<p>Voir <a href="http://caf\u00e9.fr/r\u00e9sum\u00e9">cafe\u0301.fr/re\u0301sume\u0301</a> <b>ici</b></p>',
+		);
+	});
+
 	it('Handles mixed-language content', () => {
 		const input =
 			'這禮拜是我們新的循環 (3/23-4/19), 我將於這週日給 Jeffrey 補課，並且我們會在這期間選另外一個可以上課的日期。';
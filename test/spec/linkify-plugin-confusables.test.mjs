@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+import * as linkify from 'linkifyjs/src/linkify.mjs';
+import confusables, { isMixedScript, skeleton, confusableWith } from 'linkify-plugin-confusables/src/confusables.mjs';
+import { toUnicode } from 'linkifyjs/src/punycode.mjs';
+
+describe('linkify-plugin-confusables', () => {
+	describe('registration', () => {
+		beforeEach(() => {
+			linkify.reset();
+		});
+
+		it('Flags no hosts before registering', () => {
+			const [link] = linkify.tokenize('Log in at аpple.com').filter((token) => token.isLink);
+			expect(link.mixedScript()).to.be.false;
+			expect(link.confusableWith()).to.be.null;
+		});
+
+		it('Flags spoofed hosts after registering', () => {
+			linkify.registerConfusables(confusables);
+			const [link] = linkify.tokenize('Log in at аpple.com').filter((token) => token.isLink);
+			expect(link.mixedScript()).to.be.true;
+			expect(link.confusableWith()).to.eql('apple.com');
+		});
+
+		it('Is reset with linkify', () => {
+			linkify.registerConfusables(confusables);
+			linkify.reset();
+			const [link] = linkify.tokenize('Log in at аpple.com').filter((token) => token.isLink);
+			expect(link.confusableWith()).to.be.null;
+		});
+	});
+
+	describe('isMixedScript', () => {
+		it('Finds labels mixing Latin with Cyrillic or Greek', () => {
+			expect(isMixedScript('аpple.com')).to.be.true;
+			expect(isMixedScript('www.gοogle.com')).to.be.true;
+		});
+
+		it('Allows single-script labels', () => {
+			expect(isMixedScript('example.com')).to.be.false;
+			expect(isMixedScript('яндекс.com')).to.be.false;
+			expect(isMixedScript('café-2024.com')).to.be.false;
+			expect(isMixedScript('ελλάδα.gr')).to.be.false;
+		});
+
+		it('Allows Latin with Japanese or Korean', () => {
+			expect(isMixedScript('日本ごabc.jp')).to.be.false;
+			expect(isMixedScript('한국abc.kr')).to.be.false;
+			expect(isMixedScript('ひ한.com')).to.be.true;
+		});
+
+		it('Is false for empty hosts', () => {
+			expect(isMixedScript(null)).to.be.false;
+			expect(isMixedScript('')).to.be.false;
+		});
+	});
+
+	describe('skeleton', () => {
+		it('Maps confusable characters to their prototype', () => {
+			expect(skeleton('раураl')).to.eql('paypal');
+			expect(skeleton('ıⅼove')).to.eql('ilove');
+		});
+
+		it('Decomposes accented characters', () => {
+			expect(skeleton('сafé')).to.eql('café');
+		});
+	});
+
+	describe('confusableWith', () => {
+		it('Finds the ASCII host a non-ASCII host looks like', () => {
+			expect(confusableWith('аpple.com')).to.eql('apple.com');
+			expect(confusableWith('раураl.com')).to.eql('paypal.com');
+		});
+
+		it('Finds hosts written entirely in Cyrillic', () => {
+			expect(confusableWith(toUnicode('xn--80ak6aa92e.com'))).to.eql('apple.com');
+			expect(confusableWith('ԝеЬ.com'.toLowerCase())).to.eql('web.com');
+		});
+
+		it('Is null for ASCII hosts and hosts that look like no ASCII host', () => {
+			expect(confusableWith('apple.com')).to.be.null;
+			expect(confusableWith('bücher.de')).to.be.null;
+			expect(confusableWith('яндекс.рф')).to.be.null;
+			expect(confusableWith(null)).to.be.null;
+		});
+	});
+});
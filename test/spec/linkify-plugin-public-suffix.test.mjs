@@ -0,0 +1,77 @@
+import * as linkify from 'linkifyjs/src/linkify.mjs';
+import linkifyStr from 'linkify-string/src/linkify-string.mjs';
+import publicSuffixes, { decodeSuffixes } from 'linkify-plugin-public-suffix/src/public-suffix.mjs';
+import { expect } from 'chai';
+
+describe('linkify-plugin-public-suffix', () => {
+	beforeEach(() => {
+		linkify.reset();
+	});
+
+	it('decodes encoded rules', () => {
+		expect(decodeSuffixes('uk:,co,ac;ck:*,!www')).to.eql(['uk', 'co.uk', 'ac.uk', '*.ck', '!www.ck']);
+	});
+
+	it('includes common rules', () => {
+		expect(publicSuffixes).to.include.members(['com', 'co.uk', '*.ck', '!www.ck', 'github.io']);
+	});
+
+	it('cannot find multi-label suffixes before registering the rules', () => {
+		const [link] = linkify.tokenize('https://www.bbc.co.uk/news').filter((token) => token.isLink);
+		expect(link.registrableDomain()).to.eql('co.uk');
+	});
+
+	describe('after the rules are registered', () => {
+		beforeEach(() => {
+			linkify.registerPublicSuffixes(publicSuffixes);
+		});
+
+		it('finds registrable domains and subdomains of URLs', () => {
+			const [link] = linkify.tokenize('https://www.bbc.co.uk/news').filter((token) => token.isLink);
+			expect(link.registrableDomain()).to.eql('bbc.co.uk');
+			expect(link.subdomain()).to.eql('www');
+		});
+
+		it('finds registrable domains and subdomains of email addresses', () => {
+			const [link] = linkify.tokenize('Mail me at nick@docs.nfrasser.github.io').filter((token) => token.isLink);
+			expect(link.registrableDomain()).to.eql('nfrasser.github.io');
+			expect(link.subdomain()).to.eql('docs');
+		});
+
+		it('is reset with linkify', () => {
+			linkify.reset();
+			const [link] = linkify.tokenize('bbc.co.uk').filter((token) => token.isLink);
+			expect(link.registrableDomain()).to.eql('co.uk');
+		});
+
+		it('can be used in option callbacks', () => {
+			const engine = linkify.createLinkify();
+			const str = 'See www.bbc.co.uk and example.co.uk or mail@bbc.co.uk';
+			expect(
+				linkifyStr(str, {
+					engine,
+					validate: (value, type, token) => token.registrableDomain() === 'bbc.co.uk',
+					className: (value, type, token) => `sub-${token.subdomain() || 'none'}`,
+					attributes: (value, type, token) => ({ 'data-domain': token.registrableDomain() }),
+				}),
+			).to.eql(
+				'See <a href="http://www.bbc.co.uk" class="sub-www" data-domain="bbc.co.uk">www.bbc.co.uk</a> and ' +
+					'example.co.uk or ' +
+					'<a href="mailto:mail@bbc.co.uk" class="sub-none" data-domain="bbc.co.uk">mail@bbc.co.uk</a>',
+			);
+		});
+
+		it('can be used in validate callbacks by type', () => {
+			const engine = linkify.createLinkify();
+			const str = 'See example.com and www.bbc.co.uk';
+			expect(
+				linkifyStr(str, {
+					engine,
+					validate: {
+						url: (value, token) => token.registrableDomain() !== 'example.com',
+					},
+				}),
+			).to.eql('See example.com and <a href="http://www.bbc.co.uk">www.bbc.co.uk</a>');
+		});
+	});
+});
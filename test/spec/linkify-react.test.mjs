@@ -132,6 +132,22 @@ describe('linkify-react', () => {
 		expect(result).to.be.oneOf([expected, `<span>${expected}</span>`]);
 	});
 
+	it('Works with a custom linkify engine', () => {
+		const engine = linkify.createLinkify({ plugins: { mention } });
+		const linkified = React.createElement(Linkify, { options: { engine } }, 'Ask @nfrasser');
+		const result = renderToStaticMarkup(linkified);
+		const expected = 'Ask <a href="/nfrasser">@nfrasser</a>';
+		expect(result).to.be.oneOf([expected, `<span>${expected}</span>`]);
+	});
+
+	it('Does not render hrefs with blocked schemes', () => {
+		const options = { formatHref: () => 'javascript:alert(1)', schemeFallback: 'strip' };
+		const linkified = React.createElement(Linkify, { options }, 'Visit github.com');
+		const result = renderToStaticMarkup(linkified);
+		const expected = 'Visit <a>github.com</a>';
+		expect(result).to.be.oneOf([expected, `<span>${expected}</span>`]);
+	});
+
 	describe('Custom render', () => {
 		beforeEach(() => {
 			linkify.reset();
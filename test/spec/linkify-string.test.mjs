@@ -1,4 +1,7 @@
 import { expect } from 'chai';
+import { createLinkify } from 'linkifyjs';
+import * as linkify from 'linkifyjs/src/linkify.mjs';
+import confusables from 'linkify-plugin-confusables/src/confusables.mjs';
 import linkifyStr from 'linkify-string/src/linkify-string.mjs';
 
 describe('linkify-string', () => {
@@ -58,6 +61,16 @@ describe('linkify-string', () => {
 		});
 	});
 
+	it('Calls formatHref once per link', () => {
+		const hrefs = [];
+		const formatHref = (href) => {
+			hrefs.push(href);
+			return href;
+		};
+		linkifyStr('Visit example.com or mail test@example.com', { formatHref });
+		expect(hrefs).to.eql(['http://example.com', 'mailto:test@example.com']);
+	});
+
 	describe('Prototype method', () => {
 		it('Works with default options', () => {
 			tests.map(function (test) {
@@ -72,6 +85,129 @@ describe('linkify-string', () => {
 		});
 	});
 
+	it('Works with a custom linkify engine', () => {
+		const engine = createLinkify({ schemes: [['instagram', true]] });
+		expect(linkifyStr('Follow instagram:user/nfrasser', { engine })).to.be.eql(
+			'Follow <a href="instagram:user/nfrasser">instagram:user/nfrasser</a>',
+		);
+		expect(linkifyStr('Follow instagram:user/nfrasser')).to.be.eql('Follow instagram:user/nfrasser');
+	});
+
+	describe('International domain names', () => {
+		const str = 'Visit https://www.Bücher.de/büro or xn--r8jz45g.jp and mail info@münchen.de';
+
+		it('Leaves hosts as-is by default', () => {
+			expect(linkifyStr(str)).to.be.eql(
+				'Visit <a href="https://www.Bücher.de/büro">https://www.Bücher.de/büro</a> or ' +
+					'<a href="http://xn--r8jz45g.jp">xn--r8jz45g.jp</a> and mail ' +
+					'<a href="mailto:info@münchen.de">info@münchen.de</a>',
+			);
+		});
+
+		it('Converts hosts to Punycode with idn: ascii', () => {
+			expect(linkifyStr(str, { idn: 'ascii' })).to.be.eql(
+				'Visit <a href="https://www.xn--bcher-kva.de/büro">https://www.xn--bcher-kva.de/büro</a> or ' +
+					'<a href="http://xn--r8jz45g.jp">xn--r8jz45g.jp</a> and mail ' +
+					'<a href="mailto:info@xn--mnchen-3ya.de">info@xn--mnchen-3ya.de</a>',
+			);
+		});
+
+		it('Converts hosts to Unicode with idn: unicode', () => {
+			expect(linkifyStr(str, { idn: 'unicode' })).to.be.eql(
+				'Visit <a href="https://www.Bücher.de/büro">https://www.Bücher.de/büro</a> or ' +
+					'<a href="http://例え.jp">例え.jp</a> and mail ' +
+					'<a href="mailto:info@münchen.de">info@münchen.de</a>',
+			);
+		});
+
+		it('Leaves invalid Punycode labels as-is with idn: unicode', () => {
+			expect(linkifyStr('http://xn--ab-.com and xn--a.com', { idn: 'unicode' })).to.be.eql(
+				'<a href="http://xn--ab-.com">http://xn--ab-.com</a> and <a href="http://xn--a.com">xn--a.com</a>',
+			);
+		});
+
+		it('Uses Punycode for the href and Unicode for the text with idn: both', () => {
+			expect(linkifyStr(str, { idn: 'both' })).to.be.eql(
+				'Visit <a href="https://www.xn--bcher-kva.de/büro">https://www.Bücher.de/büro</a> or ' +
+					'<a href="http://xn--r8jz45g.jp">例え.jp</a> and mail ' +
+					'<a href="mailto:info@xn--mnchen-3ya.de">info@münchen.de</a>',
+			);
+		});
+
+		it('Passes converted hrefs to other options', () => {
+			expect(linkifyStr('bücher.de', { idn: 'ascii', className: (href) => href })).to.be.eql(
+				'<a href="http://xn--bcher-kva.de" class="http://xn--bcher-kva.de">xn--bcher-kva.de</a>',
+			);
+		});
+	});
+
+	it('Normalizes hrefs with the normalizeHref option', () => {
+		const str = 'See HTTP://Example.com:80//docs?utm_source=news&page=2 or mail Test@Example.com';
+		expect(linkifyStr(str, { normalizeHref: true, formatHref: { url: (href) => `${href}#ok` } })).to.be.eql(
+			'See <a href="http://example.com/docs?page=2#ok">HTTP://Example.com:80//docs?utm_source=news&amp;page=2</a> ' +
+				'or mail <a href="mailto:Test@Example.com">Test@Example.com</a>',
+		);
+	});
+
+	it('Renders links with blocked schemes as text', () => {
+		const str = 'Click google.com or test@example.com';
+		const formatHref = { url: (href) => href.replace('http:', 'javascript:') };
+		expect(linkifyStr(str, { formatHref })).to.be.eql(
+			'Click google.com or <a href="mailto:test@example.com">test@example.com</a>',
+		);
+		expect(linkifyStr(str, { formatHref, schemeFallback: 'strip' })).to.be.eql(
+			'Click <a>google.com</a> or <a href="mailto:test@example.com">test@example.com</a>',
+		);
+		expect(linkifyStr(str, { allowedSchemes: ['https', 'http'] })).to.be.eql(
+			'Click <a href="http://google.com">google.com</a> or test@example.com',
+		);
+	});
+
+	it('Renders disabled link types as text', () => {
+		const str = 'Mail hi@example.com or visit example.com';
+		expect(linkifyStr(str, { disabledTypes: ['email'] })).to.be.eql(
+			'Mail hi@example.com or visit <a href="http://example.com">example.com</a>',
+		);
+		expect(linkifyStr(str, { enabledTypes: ['email'] })).to.be.eql(
+			'Mail <a href="mailto:hi@example.com">hi@example.com</a> or visit example.com',
+		);
+	});
+
+	it('Links full-width text with the fold option', () => {
+		expect(linkifyStr('ｅｘａｍｐｌｅ．ｃｏｍ／ａ', { fold: true })).to.be.eql(
+			'<a href="http://example.com/a">ｅｘａｍｐｌｅ．ｃｏｍ／ａ</a>',
+		);
+	});
+
+	describe('Homographs', () => {
+		const input = 'Log in at \u0430pple.com or apple.com';
+		let engine;
+
+		beforeEach(() => {
+			linkify.registerConfusables(confusables);
+			engine = linkify.createLinkify();
+		});
+
+		it('Links spoofed hosts by default', () => {
+			expect(linkifyStr(input, { engine })).to.eql(
+				'Log in at <a href="http://\u0430pple.com">\u0430pple.com</a> or <a href="http://apple.com">apple.com</a>',
+			);
+		});
+
+		it('Adds a class to spoofed hosts with the warn value', () => {
+			expect(linkifyStr(input, { engine, homographs: 'warn', className: 'link' })).to.eql(
+				'Log in at <a href="http://\u0430pple.com" class="link linkify-homograph">\u0430pple.com</a> or ' +
+					'<a href="http://apple.com" class="link">apple.com</a>',
+			);
+		});
+
+		it('Does not link spoofed hosts with the reject value', () => {
+			expect(linkifyStr(input, { engine, homographs: 'reject' })).to.eql(
+				'Log in at \u0430pple.com or <a href="http://apple.com">apple.com</a>',
+			);
+		});
+	});
+
 	describe('Validation', () => {
 		// Test specific options
 		const options = {
@@ -1,5 +1,6 @@
 /* eslint-disable mocha/no-setup-in-describe */
 import { expect } from 'chai';
+import sinon from 'sinon';
 import * as linkify from 'linkifyjs/src/linkify.mjs';
 
 const TicketToken = linkify.createTokenClass('ticket', { isLink: true });
@@ -29,9 +30,126 @@ describe('linkifyjs', () => {
 			expect(linkify.test('#123', 'ticket')).to.be.ok;
 		});
 
-		it('Logs a warning if already initialized', () => {
+		it('Detects plugins registered after initialization', () => {
+			linkify.reset();
+			expect(linkify.test('#123', 'ticket')).to.not.be.ok;
+			linkify.registerPlugin('ticket', ticketPlugin);
+			expect(linkify.test('#123', 'ticket')).to.be.ok;
+		});
+	});
+
+	describe('plugin order', () => {
+		const HashtagToken = linkify.createTokenClass('hashtag', { isLink: true });
+		// Like linkify-plugin-hashtag, where hashtags can't start with numbers
+		const hashtagPlugin = ({ scanner, parser }) => {
+			const { POUND, groups } = scanner.tokens;
+			const Hash = parser.start.tt(POUND);
+			Hash.ta(groups.numeric, new linkify.State());
+			Hash.ta(groups.alpha, new linkify.State(HashtagToken));
+		};
+		let warn;
+
+		beforeEach(() => {
+			linkify.reset();
+			warn = sinon.stub(console, 'warn');
+		});
+
+		afterEach(() => {
+			warn.restore();
+		});
+
+		it('Warns when a plugin overrides another plugin', () => {
+			linkify.registerPlugin('ticket', ticketPlugin);
+			linkify.registerPlugin('hashtag', hashtagPlugin);
+			expect(linkify.test('#123')).to.not.be.ok;
+			expect(warn.callCount).to.eql(1);
+			expect(warn.firstCall.args[0]).to.eql(
+				'linkifyjs: plugins "ticket" and "hashtag" conflict on POUND NUM: "hashtag" changes it from ticket to text. Give the plugin that should win a higher priority.',
+			);
+		});
+
+		it('Does not warn about plugins that only add link types', () => {
+			linkify.registerPlugin('hashtag', hashtagPlugin);
+			linkify.registerPlugin('ticket', ticketPlugin);
+			linkify.init();
+			expect(warn.called).to.not.be.ok;
+		});
+
+		it('Runs plugins with higher priorities last', () => {
+			linkify.registerPlugin('ticket', ticketPlugin, { priority: 1 });
+			linkify.registerPlugin('hashtag', hashtagPlugin);
+			expect(linkify.test('#123', 'ticket')).to.be.ok;
+			expect(linkify.test('#abc', 'hashtag')).to.be.ok;
+			expect(warn.called).to.not.be.ok;
+		});
+
+		it('Runs plugins after their dependencies', () => {
+			const order = [];
+			linkify.registerPlugin('c', () => order.push('c'), { dependsOn: ['b'] });
+			linkify.registerPlugin('b', () => order.push('b'), { dependsOn: ['a', 'token'] });
+			linkify.registerPlugin('a', () => order.push('a'), { priority: 1 });
+			linkify.registerPlugin('d', () => order.push('d'));
+			linkify.registerTokenPlugin('token', () => {});
+			linkify.init();
+			expect(order).to.eql(['d', 'a', 'b', 'c']);
+		});
+
+		it('Throws on missing or circular dependencies', () => {
+			linkify.registerPlugin('a', () => {}, { dependsOn: ['b'] });
+			expect(() => linkify.init()).to.throw('depends on unregistered plugin "b"');
+			linkify.registerPlugin('b', () => {}, { dependsOn: ['a'] });
+			expect(() => linkify.init()).to.throw('circular dependency between plugins "a", "b"');
+		});
+
+		it('Throws on invalid options', () => {
+			expect(() => linkify.registerPlugin('a', () => {}, { priority: 'high' })).to.throw('Invalid priority');
+			expect(() => linkify.registerPlugin('a', () => {}, { dependsOn: 'b' })).to.throw('Invalid dependsOn');
+		});
+
+		it('Works with linkify instances', () => {
+			const instance = linkify.createLinkify();
+			instance.registerPlugin('ticket', ticketPlugin, { priority: 1 });
+			instance.registerPlugin('hashtag', hashtagPlugin);
+			expect(instance.test('#123', 'ticket')).to.be.ok;
+		});
+	});
+
+	describe('unregisterPlugin', () => {
+		beforeEach(() => {
+			linkify.registerPlugin('ticket', ticketPlugin);
+		});
+
+		it('Stops detecting tickets after removing', () => {
+			expect(linkify.test('#123', 'ticket')).to.be.ok;
+			expect(linkify.unregisterPlugin('ticket')).to.be.ok;
+			expect(linkify.test('#123', 'ticket')).to.not.be.ok;
+		});
+
+		it('Returns false for unknown plugins', () => {
+			expect(linkify.unregisterPlugin('ticket2')).to.not.be.ok;
+			expect(linkify.test('#123', 'ticket')).to.be.ok;
+		});
+
+		it('Throws until a plugin that throws is removed', () => {
+			expect(linkify.test('#123', 'ticket')).to.be.ok;
+			linkify.registerPlugin('broken', () => {
+				throw new Error('broken');
+			});
+			expect(() => linkify.tokenize('#123')).to.throw();
+			linkify.unregisterPlugin('broken');
+			expect(linkify.test('#123', 'ticket')).to.be.ok;
+		});
+	});
+
+	describe('unregisterTokenPlugin', () => {
+		it('Stops applying the token plugin after removing', () => {
+			let calls = 0;
+			linkify.registerTokenPlugin('counter', () => calls++);
 			linkify.init();
-			linkify.registerPlugin('ticket2', ticketPlugin);
+			expect(calls).to.eql(1);
+			expect(linkify.unregisterTokenPlugin('counter')).to.be.ok;
+			linkify.tokenize('hello');
+			expect(calls).to.eql(1);
 		});
 	});
 
@@ -64,10 +182,19 @@ describe('linkifyjs', () => {
 			expect(linkify.test('view-source:http://github.com/', 'url')).to.not.be.ok;
 		});
 
-		it('Does not detect custom protocol if already initialized', () => {
+		it('Detects custom protocol registered after initialization', () => {
 			linkify.init();
-			linkify.registerCustomProtocol('fb');
 			expect(linkify.test('fb://feed')).to.not.be.ok;
+			linkify.registerCustomProtocol('fb');
+			expect(linkify.test('fb://feed')).to.be.ok;
+		});
+
+		it('Stops detecting protocol after unregistering', () => {
+			expect(linkify.test('instagram:user/nfrasser', 'url')).to.be.ok;
+			expect(linkify.unregisterCustomProtocol('instagram')).to.be.ok;
+			expect(linkify.test('instagram:user/nfrasser', 'url')).to.not.be.ok;
+			expect(linkify.test('magnet:?xt=urn:btih:5a7f', 'url')).to.be.ok;
+			expect(linkify.unregisterCustomProtocol('instagram')).to.not.be.ok;
 		});
 
 		it('Throws error when protocol has invalid format', () => {
@@ -78,6 +205,158 @@ describe('linkifyjs', () => {
 		});
 	});
 
+	describe('registerTlds', () => {
+		it('Detects links with registered TLDs', () => {
+			expect(linkify.test('intranet.corp', 'url')).to.not.be.ok;
+			linkify.registerTlds(['corp', '.internal', 'テスト']);
+			expect(linkify.test('intranet.corp', 'url')).to.be.ok;
+			expect(linkify.test('wiki.internal/page', 'url')).to.be.ok;
+			expect(linkify.test('例え.テスト', 'url')).to.be.ok;
+			expect(linkify.test('admin@intranet.corp', 'email')).to.be.ok;
+		});
+
+		it('Keeps detecting TLDs that start with a registered one', () => {
+			linkify.registerTlds(['co', 'comm']);
+			expect(linkify.test('example.co', 'url')).to.be.ok;
+			expect(linkify.test('example.com', 'url')).to.be.ok;
+			expect(linkify.test('example.comm', 'url')).to.be.ok;
+			expect(linkify.test('example.community', 'url')).to.be.ok;
+		});
+
+		it('Throws error when TLD has invalid format', () => {
+			expect(() => linkify.registerTlds([''])).to.throw();
+			expect(() => linkify.registerTlds(['co-op'])).to.throw();
+			expect(() => linkify.registerTlds(['corp1'])).to.throw();
+			expect(() => linkify.registerTlds([null])).to.throw();
+			expect(() => linkify.registerTlds(['\u0947x'])).to.throw();
+		});
+
+		it('Accepts TLDs with combining marks', () => {
+			linkify.registerTlds(['ကမ္ဘာ']);
+			expect(linkify.test('example.ကမ္ဘာ', 'url')).to.be.ok;
+		});
+	});
+
+	describe('unregisterTlds', () => {
+		it('Stops detecting links with removed TLDs', () => {
+			expect(linkify.find('Open setup.py or report.zip').map((link) => link.value)).to.eql([
+				'setup.py',
+				'report.zip',
+			]);
+			linkify.unregisterTlds(['py', '.ZIP']);
+			expect(linkify.find('Open setup.py or report.zip')).to.eql([]);
+			expect(linkify.test('https://report.zip', 'url')).to.be.ok;
+		});
+
+		it('Keeps detecting TLDs that start with a removed one', () => {
+			linkify.unregisterTlds(['co']);
+			expect(linkify.test('example.co', 'url')).to.not.be.ok;
+			expect(linkify.test('example.com', 'url')).to.be.ok;
+		});
+
+		it('Removes registered TLDs', () => {
+			linkify.registerTlds(['corp']);
+			expect(linkify.test('intranet.corp', 'url')).to.be.ok;
+			linkify.unregisterTlds(['corp']);
+			expect(linkify.test('intranet.corp', 'url')).to.not.be.ok;
+		});
+
+		it('Removes TLDs with combining marks', () => {
+			expect(linkify.test('example.भारत', 'url')).to.be.ok;
+			linkify.unregisterTlds(['भारत']);
+			expect(linkify.test('example.भारत', 'url')).to.not.be.ok;
+		});
+
+		it('Can restore removed TLDs', () => {
+			linkify.unregisterTlds(['zip']);
+			expect(linkify.test('report.zip', 'url')).to.not.be.ok;
+			linkify.registerTlds(['zip']);
+			expect(linkify.test('report.zip', 'url')).to.be.ok;
+		});
+	});
+
+	describe('createLinkify', () => {
+		let instance;
+
+		beforeEach(() => {
+			instance = linkify.createLinkify({
+				plugins: { ticket: ticketPlugin },
+				schemes: ['view-source', ['instagram', true]],
+			});
+		});
+
+		it('Detects plugin links and custom schemes', () => {
+			expect(instance.test('#123', 'ticket')).to.be.ok;
+			expect(instance.test('instagram:user/nfrasser', 'url')).to.be.ok;
+			expect(instance.test('view-source://http://github.com/', 'url')).to.be.ok;
+		});
+
+		it('Does not affect the global linkify functions', () => {
+			expect(instance.test('#123', 'ticket')).to.be.ok;
+			expect(linkify.test('#123', 'ticket')).to.not.be.ok;
+			expect(linkify.test('instagram:user/nfrasser', 'url')).to.not.be.ok;
+		});
+
+		it('Is not affected by the global linkify functions', () => {
+			linkify.registerCustomProtocol('fb', true);
+			expect(linkify.test('fb:feed', 'url')).to.be.ok;
+			expect(instance.test('fb:feed', 'url')).to.not.be.ok;
+		});
+
+		it('Keeps instances independent of each other', () => {
+			const other = linkify.createLinkify();
+			other.registerCustomProtocol('fb', true);
+			expect(other.test('fb:feed', 'url')).to.be.ok;
+			expect(other.test('#123', 'ticket')).to.not.be.ok;
+			expect(instance.test('fb:feed', 'url')).to.not.be.ok;
+			expect(instance.test('#123', 'ticket')).to.be.ok;
+		});
+
+		it('Finds links with options', () => {
+			expect(instance.find('Ticket #42 at example.com', 'ticket')).to.deep.eql([
+				{
+					type: 'ticket',
+					value: '#42',
+					href: '#42',
+					isLink: true,
+					start: 7,
+					end: 10,
+				},
+			]);
+			expect(instance.find('Ticket #42 at example.com', { validate: { ticket: false } })).to.have.length(1);
+		});
+
+		it('Tokenizes strings', () => {
+			const tokens = instance.tokenize('see #42');
+			expect(tokens.map((t) => t.t)).to.eql(['text', 'ticket']);
+		});
+
+		it('Rebuilds after unregistering plugins and schemes', () => {
+			expect(instance.test('#123', 'ticket')).to.be.ok;
+			instance.unregisterPlugin('ticket');
+			instance.unregisterCustomProtocol('instagram');
+			expect(instance.test('#123', 'ticket')).to.not.be.ok;
+			expect(instance.test('instagram:user/nfrasser', 'url')).to.not.be.ok;
+			expect(instance.test('view-source://http://github.com/', 'url')).to.be.ok;
+		});
+
+		it('Registers and removes TLDs', () => {
+			const other = linkify.createLinkify({ tlds: ['corp'], excludeTlds: ['zip'] });
+			expect(other.test('intranet.corp', 'url')).to.be.ok;
+			expect(other.test('report.zip', 'url')).to.not.be.ok;
+			expect(linkify.test('intranet.corp', 'url')).to.not.be.ok;
+			expect(linkify.test('report.zip', 'url')).to.be.ok;
+		});
+
+		it('Throws error when a plugin is invalid', () => {
+			expect(() => linkify.createLinkify({ plugins: { ticket: null } })).to.throw();
+		});
+
+		it('Throws error when a scheme has invalid format', () => {
+			expect(() => linkify.createLinkify({ schemes: ['fb-'] })).to.throw();
+		});
+	});
+
 	describe('tokenize', () => {
 		it('is a function', () => {
 			expect(linkify.tokenize).to.be.a('function');
@@ -88,6 +367,471 @@ describe('linkifyjs', () => {
 		});
 	});
 
+	describe('indexUnit', () => {
+		const str = '👋🏽 e\u0301 bücher.de';
+		const indexes = (tokens) => tokens.map((token) => [token.startIndex(), token.endIndex()]);
+
+		it('Uses UTF-16 code units by default', () => {
+			expect(indexes(linkify.tokenize(str))).to.eql([
+				[0, 8],
+				[8, 17],
+			]);
+			expect(indexes(linkify.tokenize(str, { indexUnit: 'utf16' }))).to.eql([
+				[0, 8],
+				[8, 17],
+			]);
+		});
+
+		it('Counts code points', () => {
+			expect(indexes(linkify.tokenize(str, { indexUnit: 'codepoint' }))).to.eql([
+				[0, 6],
+				[6, 15],
+			]);
+		});
+
+		it('Counts UTF-8 bytes', () => {
+			const tokens = linkify.tokenize(str, { indexUnit: 'utf8' });
+			expect(indexes(tokens)).to.eql([
+				[0, 13],
+				[13, 23],
+			]);
+			const bytes = new TextEncoder().encode(str);
+			const decoded = new TextDecoder().decode(bytes.slice(tokens[1].startIndex(), tokens[1].endIndex()));
+			expect(decoded).to.eql('bücher.de');
+		});
+
+		it('Counts grapheme clusters', () => {
+			expect(indexes(linkify.tokenize(str, { indexUnit: 'grapheme' }))).to.eql([
+				[0, 4],
+				[4, 13],
+			]);
+		});
+
+		it('Keeps token values intact', () => {
+			const tokens = linkify.tokenize(str, { indexUnit: 'utf8' });
+			expect(tokens.map((token) => token.toString())).to.eql(['👋🏽 e\u0301 ', 'bücher.de']);
+		});
+
+		it('Applies to find, findFirst and instance results', () => {
+			const text = 'é\nsee 👋 example.com';
+			expect(linkify.find(text, { indexUnit: 'utf8' })[0]).to.include({ start: 12, end: 23 });
+			expect(linkify.findFirst(text, { indexUnit: 'utf8' })).to.include({ start: 12, end: 23 });
+			expect(linkify.findFirst(text, { indexUnit: 'codepoint' })).to.include({ start: 8, end: 19 });
+			const instance = linkify.createLinkify();
+			expect(indexes(instance.tokenize(text, { indexUnit: 'codepoint' })).pop()).to.eql([8, 19]);
+		});
+
+		it('Throws on unknown units', () => {
+			expect(() => linkify.tokenize(str, { indexUnit: 'bytes' })).to.throw('Invalid index unit');
+		});
+	});
+
+	describe('enabledTypes and disabledTypes', () => {
+		const str = 'Mail hi@example.com or visit example.com\nthanks';
+		const values = (tokens) => tokens.map((token) => [token.t, token.toString()]);
+
+		it('Returns disabled links as text merged with their neighbours', () => {
+			expect(values(linkify.tokenize(str, { disabledTypes: ['email'] }))).to.eql([
+				['text', 'Mail hi@example.com or visit '],
+				['url', 'example.com'],
+				['nl', '\n'],
+				['text', 'thanks'],
+			]);
+		});
+
+		it('Keeps token indexes of merged text', () => {
+			const tokens = linkify.tokenize(str, { disabledTypes: ['email'], indexUnit: 'codepoint' });
+			expect([tokens[0].startIndex(), tokens[0].endIndex()]).to.eql([0, 29]);
+			expect(tokens[0].tk.map((token) => token.v).join('')).to.eql('Mail hi@example.com or visit ');
+		});
+
+		it('Only detects enabled types', () => {
+			expect(values(linkify.tokenize(str, { enabledTypes: ['email'] }))).to.eql([
+				['text', 'Mail '],
+				['email', 'hi@example.com'],
+				['text', ' or visit example.com'],
+				['nl', '\n'],
+				['text', 'thanks'],
+			]);
+		});
+
+		it('Disables types that are also enabled', () => {
+			const tokens = linkify.tokenize(str, { enabledTypes: ['url', 'email'], disabledTypes: ['url'] });
+			expect(tokens.filter((token) => token.isLink).map((token) => token.t)).to.eql(['email']);
+		});
+
+		it('Applies to find, findFirst and count', () => {
+			expect(linkify.find(str, { disabledTypes: ['url'] }).map((link) => link.type)).to.eql(['email']);
+			expect(linkify.find(str, 'url', { enabledTypes: ['email'] })).to.eql([]);
+			expect(linkify.findFirst(str, { disabledTypes: ['email'] })).to.include({ type: 'url', start: 29 });
+			expect(linkify.count(str, { enabledTypes: [] })).to.eql(0);
+		});
+
+		it('Does not change the default instance', () => {
+			linkify.tokenize(str, { disabledTypes: ['email', 'url'] });
+			expect(linkify.find(str).map((link) => link.type)).to.eql(['email', 'url']);
+		});
+	});
+
+	describe('cjkBoundaries', () => {
+		const values = (str, opts) => linkify.find(str, opts).map((link) => link.value);
+
+		it('Keeps CJK text in links by default', () => {
+			expect(values('詳細はhttps://example.com/aを参照')).to.eql(['https://example.com/aを参照']);
+			expect(values('詳細はexample.comを参照')).to.eql(['詳細はexample.com']);
+		});
+
+		it('Ends links where they run into or out of CJK text', () => {
+			const opts = { cjkBoundaries: true };
+			expect(values('詳細はhttps://example.com/aを参照', opts)).to.eql(['https://example.com/a']);
+			expect(values('詳細はexample.comを参照', opts)).to.eql(['example.com']);
+			expect(values('メールはfoo@example.comへ', opts)).to.eql(['foo@example.com']);
+			expect(values('한국어https://example.com/a입니다', opts)).to.eql(['https://example.com/a']);
+			expect(values('2024年example.com', opts)).to.eql(['example.com']);
+		});
+
+		it('Keeps CJK domains and path segments', () => {
+			const opts = { cjkBoundaries: true };
+			expect(values('https://ja.wikipedia.org/wiki/日本語', opts)).to.eql([
+				'https://ja.wikipedia.org/wiki/日本語',
+			]);
+			expect(values('例え.jpで', opts)).to.eql(['例え.jp']);
+		});
+
+		it('Keeps CJK text after percent-encoding or inside brackets', () => {
+			const opts = { cjkBoundaries: true };
+			expect(values('https://example.com/%E6%97%A5本', opts)).to.eql(['https://example.com/%E6%97%A5本']);
+			expect(values('https://example.com/(a日本)', opts)).to.eql(['https://example.com/(a日本)']);
+		});
+
+		it('Keeps token indexes', () => {
+			const link = linkify.find('詳細はexample.comを参照', { cjkBoundaries: true, indexUnit: 'utf8' })[0];
+			expect(link).to.include({ start: 9, end: 20 });
+		});
+	});
+
+	describe('fold', () => {
+		it('Does not recognize full-width links by default', () => {
+			expect(linkify.find('ｈｔｔｐｓ：／／ｅｘａｍｐｌｅ．ｃｏｍ')).to.eql([]);
+		});
+
+		it('Recognizes full-width links with normalized hrefs', () => {
+			expect(linkify.find('See ｈｔｔｐｓ：／／ｅｘａｍｐｌｅ．ｃｏｍ／Ｐａｔｈ！', { fold: true })).to.eql([
+				{
+					type: 'url',
+					value: 'ｈｔｔｐｓ：／／ｅｘａｍｐｌｅ．ｃｏｍ／Ｐａｔｈ',
+					isLink: true,
+					href: 'https://example.com/Path',
+					start: 4,
+					end: 28,
+					scheme: 'https',
+					username: null,
+					host: 'example.com',
+					port: null,
+					path: '/Path',
+					query: null,
+					fragment: null,
+				},
+			]);
+		});
+
+		it('Recognizes ideographic full stops and full-width emails', () => {
+			const links = linkify.find('連絡はＩＮＦＯ＠ｅｘａｍｐｌｅ．ｊｐまたはexample。comへ', {
+				fold: true,
+				cjkBoundaries: true,
+			});
+			expect(links.map((link) => [link.value, link.href])).to.eql([
+				['ＩＮＦＯ＠ｅｘａｍｐｌｅ．ｊｐ', 'mailto:INFO@example.jp'],
+				['example。com', 'http://example.com'],
+			]);
+		});
+
+		it('Ends full-width links at CJK text without cjkBoundaries', () => {
+			const links = linkify.find('見てｅｘａｍｐｌｅ．ｃｏｍ／ｐａｔｈを', { fold: true });
+			expect(links.map((link) => [link.value, link.href, link.host, link.start, link.end])).to.eql([
+				['ｅｘａｍｐｌｅ．ｃｏｍ／ｐａｔｈ', 'http://example.com/path', 'example.com', 2, 18],
+			]);
+		});
+
+		it('Does not fold other compatibility characters', () => {
+			expect(linkify.find('example.com²', { fold: true }).map((link) => link.value)).to.eql(['example.com']);
+		});
+
+		it('Keeps original text in interfaces', () => {
+			const tokens = linkify.tokenize('ｅｘａｍｐｌｅ．ｃｏｍ', { fold: true });
+			expect(tokens[0].toString()).to.eql('ｅｘａｍｐｌｅ．ｃｏｍ');
+			expect(tokens[0].toHref()).to.eql('http://example.com');
+		});
+
+		it('Converts only the href of folded links with the idn option', () => {
+			const [url] = linkify.tokenize('ｈｔｔｐ：／／ｂüｃｈｅｒ．ｄｅ', { fold: true });
+			const options = new linkify.Options({ idn: 'ascii' });
+			expect(url.toFormattedString(options)).to.eql('ｈｔｔｐ：／／ｂüｃｈｅｒ．ｄｅ');
+			expect(url.toFormattedHref(options)).to.eql('http://xn--bcher-kva.de');
+		});
+	});
+
+	describe('normalize', () => {
+		// Decomposed katakana with combining voiced sound marks
+		const str = 'See example.\u30af\u3099\u30fc\u30af\u3099\u30eb now';
+
+		it('Scans decomposed text as-is by default', () => {
+			expect(linkify.find(str)).to.eql([]);
+		});
+
+		it('Recognizes decomposed text in NFC', () => {
+			expect(
+				linkify.find(str, { normalize: 'NFC' }).map((link) => [link.value, link.href, link.start, link.end]),
+			).to.eql([
+				['example.\u30af\u3099\u30fc\u30af\u3099\u30eb', 'http://example.\u30b0\u30fc\u30b0\u30eb', 4, 18],
+			]);
+		});
+
+		it('Keeps original text and indexes in every token', () => {
+			const tokens = linkify.tokenize(str, { normalize: 'NFC', indexUnit: 'utf8' });
+			expect(tokens.map((token) => token.toString()).join('')).to.eql(str);
+			expect(tokens.map((token) => [token.startIndex(), token.endIndex()])).to.eql([
+				[0, 4],
+				[4, 30],
+				[30, 34],
+			]);
+		});
+
+		it('Folds compatibility characters in NFKC', () => {
+			const link = linkify.find('Download ﬁle.com', { normalize: 'NFKC' })[0];
+			expect(link).to.include({ value: 'ﬁle.com', href: 'http://file.com', start: 9, end: 16 });
+		});
+	});
+
+	describe('invisible characters', () => {
+		const links = (str) => linkify.find(str).map((link) => [link.value, link.href]);
+
+		it('Strips zero-width joiners and soft hyphens from hrefs', () => {
+			expect(links('Visit exa\u200dmple.com/pa\u200cth/\u00adnow')).to.eql([
+				['exa\u200dmple.com/pa\u200cth/\u00adnow', 'http://example.com/path/now'],
+			]);
+		});
+
+		it('Ends links at zero-width spaces and word joiners', () => {
+			expect(links('見て\u200bexample.com\u200bです')).to.eql([['example.com', 'http://example.com']]);
+			expect(links('example.com\u200bhello')).to.eql([['example.com', 'http://example.com']]);
+			expect(links('a@b.com\u200bfoo')).to.eql([['a@b.com', 'mailto:a@b.com']]);
+			expect(links('https://example.com\u200bhttps://other.org')).to.eql([
+				['https://example.com', 'https://example.com'],
+				['https://other.org', 'https://other.org'],
+			]);
+			expect(links('example.com\u2060hello')).to.eql([['example.com', 'http://example.com']]);
+		});
+
+		it('Does not join words of different scripts across invisible characters', () => {
+			expect(links('見て\u200cexample.com')).to.eql([['example.com', 'http://example.com']]);
+		});
+
+		it('Leaves out bidi marks around links', () => {
+			const str = '\u05d1\u05e7\u05e8\u200f https://example.com/a\u200f.';
+			expect(linkify.find(str)).to.deep.include({
+				type: 'url',
+				value: 'https://example.com/a',
+				isLink: true,
+				href: 'https://example.com/a',
+				start: 5,
+				end: 26,
+				scheme: 'https',
+				username: null,
+				host: 'example.com',
+				port: null,
+				path: '/a',
+				query: null,
+				fragment: null,
+			});
+		});
+
+		it('Ends links at bidi controls', () => {
+			expect(links('https://evil.com/\u202emoc.elgoog.www//:sptth')).to.eql([
+				['https://evil.com/', 'https://evil.com/'],
+			]);
+			expect(links('ex\u202eample.com')).to.eql([]);
+		});
+
+		it('Flags tokens with invisible characters', () => {
+			const tokens = linkify.tokenize('a\u200cb.com \u202e');
+			expect(tokens.map((token) => token.hasInvisibles())).to.eql([true, true]);
+			expect(linkify.tokenize('ab.com')[0].hasInvisibles()).to.not.be.ok;
+		});
+	});
+
+	describe('init snapshots', () => {
+		it('Restores the same results from a snapshot', () => {
+			linkify.registerPlugin('ticket', ticketPlugin);
+			linkify.registerCustomProtocol('instagram', true);
+			const str = 'See #42 at instagram:user/nfrasser or email test@example.com';
+			const expected = linkify.find(str);
+			const snapshot = JSON.parse(JSON.stringify(linkify.init.toSnapshot()));
+
+			linkify.reset();
+			linkify.init.fromSnapshot(snapshot);
+			expect(linkify.find(str)).to.eql(expected);
+			expect(linkify.tokenize('#42')[0]).to.be.instanceOf(TicketToken);
+		});
+
+		it('Exports the same snapshot after restoring', () => {
+			const snapshot = JSON.stringify(linkify.init.toSnapshot());
+			linkify.reset();
+			linkify.init.fromSnapshot(JSON.parse(snapshot));
+			expect(JSON.stringify(linkify.init.toSnapshot())).to.eql(snapshot);
+		});
+
+		it('Accepts token classes for unknown types', () => {
+			const snapshot = linkify.init.toSnapshot();
+			snapshot.parser.tokens = snapshot.parser.tokens.map((type) => (type === 'email' ? 'address' : type));
+			expect(() => linkify.init.fromSnapshot(snapshot)).to.throw();
+			linkify.init.fromSnapshot(snapshot, { address: linkify.multi.Email });
+			expect(linkify.test('test@example.com', 'email')).to.be.ok;
+		});
+
+		it('Throws on unsupported snapshot versions', () => {
+			const snapshot = linkify.init.toSnapshot();
+			snapshot.version = 0;
+			expect(() => linkify.init.fromSnapshot(snapshot)).to.throw();
+			expect(() => linkify.init.fromSnapshot(null)).to.throw();
+		});
+
+		it('Rebuilds after registering a plugin', () => {
+			linkify.init.fromSnapshot(linkify.init.toSnapshot());
+			linkify.registerPlugin('ticket', ticketPlugin);
+			expect(linkify.test('#42', 'ticket')).to.be.ok;
+		});
+
+		it('Works with instances', () => {
+			const instance = linkify.createLinkify({ plugins: { ticket: ticketPlugin } });
+			const other = linkify.createLinkify();
+			other.init.fromSnapshot(instance.init.toSnapshot());
+			expect(other.test('#42', 'ticket')).to.be.ok;
+			expect(linkify.test('#42', 'ticket')).to.not.be.ok;
+		});
+	});
+
+	describe('init graphs', () => {
+		it('Exports the scanner and parser state machines', () => {
+			const scanner = linkify.init.toGraph('scanner', { path: 'www', depth: 0 });
+			expect(scanner.states).to.eql([{ id: 0, depth: 0, token: 'WORD' }]);
+			const parser = linkify.init.toGraph('parser', { path: ['WORD', 'DOT', 'TLD'], depth: 0 });
+			expect(parser.states).to.eql([{ id: 0, depth: 0, token: 'url' }]);
+		});
+
+		it('Includes plugin transitions', () => {
+			linkify.registerPlugin('ticket', ticketPlugin);
+			expect(linkify.init.toDot('parser', { path: ['POUND'], depth: 1 })).to.contain('label="1\\nticket"');
+		});
+
+		it('Works with instances', () => {
+			const instance = linkify.createLinkify();
+			expect(instance.init.toGraph('parser', { depth: 0 }).states).to.have.length(1);
+		});
+
+		it('Throws on unknown state machines', () => {
+			expect(() => linkify.init.toGraph('lexer')).to.throw('Invalid state machine');
+		});
+	});
+
+	describe('createTokenStream', () => {
+		const summarize = (tokens) => tokens.map((t) => [t.t, t.toString(), t.startIndex(), t.endIndex()]);
+
+		// Streams may split plain text that tokenize returns as one token
+		const mergeText = (summary) =>
+			summary.reduce((merged, token) => {
+				const last = merged[merged.length - 1];
+				if (last && last[0] === 'text' && token[0] === 'text' && last[3] === token[2]) {
+					merged[merged.length - 1] = ['text', last[1] + token[1], last[2], token[3]];
+				} else {
+					merged.push(token);
+				}
+				return merged;
+			}, []);
+
+		it('Holds back tokens that may still change', () => {
+			const stream = linkify.createTokenStream();
+			expect(summarize(stream.write('Visit example.c'))).to.eql([['text', 'Visit ', 0, 6]]);
+			expect(summarize(stream.write('om now'))).to.eql([
+				['url', 'example.com', 6, 17],
+				['text', ' ', 17, 18],
+			]);
+			expect(summarize(stream.end())).to.eql([['text', 'now', 18, 21]]);
+		});
+
+		it('Accepts a final chunk in end', () => {
+			const stream = linkify.createTokenStream();
+			expect(summarize(stream.write('mail me@'))).to.eql([['text', 'mail ', 0, 5]]);
+			expect(summarize(stream.end('example.com'))).to.eql([['email', 'me@example.com', 5, 19]]);
+		});
+
+		it('Returns plain text without links from write', () => {
+			const stream = linkify.createTokenStream();
+			const chunk = 'Nothing to see in this line of chat text. ';
+			let length = 0;
+			for (let i = 0; i < 100; i++) {
+				const tokens = stream.write(chunk);
+				expect(tokens.map((t) => t.t)).to.eql(['text']);
+				expect(tokens[0].startIndex()).to.eql(length);
+				length = tokens[0].endIndex();
+			}
+			expect(summarize(stream.end())).to.eql([['text', 'text. ', length, chunk.length * 100]]);
+		});
+
+		it('Produces the same tokens as tokenize for any split', () => {
+			const str = 'Hi 🥺👄.ws, see https://github.com/(foo)?x=y.\nor mail test.wut@gmail.co.uk! #123';
+			const expected = summarize(linkify.tokenize(str));
+			for (let i = 0; i <= str.length; i++) {
+				const stream = linkify.createTokenStream();
+				const tokens = stream.write(str.slice(0, i)).concat(stream.end(str.slice(i)));
+				expect(mergeText(summarize(tokens))).to.eql(expected);
+			}
+		});
+
+		it('Returns text after an unmatched quote from write', () => {
+			const stream = linkify.createTokenStream();
+			stream.write('He is 5\'11" tall');
+			let tokens = [];
+			for (let i = 0; i < 100; i++) {
+				tokens = tokens.concat(stream.write(' and more'));
+			}
+			expect(tokens.length).to.be.above(0);
+			expect(tokens[tokens.length - 1].endIndex()).to.be.above(800);
+		});
+
+		it('Keeps bidi overrides open across writes', () => {
+			const stream = linkify.createTokenStream();
+			const tokens = stream.write('x ‮ ⁦b.com⁩ ').concat(stream.write('evil.com z'), stream.end());
+			expect(tokens.filter((t) => t.isLink).map((t) => t.toString())).to.eql(['b.com']);
+
+			const str = 'x ‮ ⁦b.com⁩ evil.com z\nsee ‮b.com‬ example.com';
+			const expected = summarize(linkify.tokenize(str));
+			for (let i = 0; i <= str.length; i++) {
+				const stream = linkify.createTokenStream();
+				const tokens = stream.write(str.slice(0, i)).concat(stream.end(str.slice(i)));
+				expect(mergeText(summarize(tokens))).to.eql(expected);
+			}
+		});
+
+		it('Produces the same tokens as tokenize when written one character at a time', () => {
+			const str = 'Go to www.example.com/path or localhost:8080 now';
+			const stream = linkify.createTokenStream();
+			let tokens = [];
+			for (let i = 0; i < str.length; i++) {
+				tokens = tokens.concat(stream.write(str[i]));
+			}
+			tokens = tokens.concat(stream.end());
+			expect(mergeText(summarize(tokens))).to.eql(summarize(linkify.tokenize(str)));
+		});
+
+		it('Throws when writing after end', () => {
+			const stream = linkify.createTokenStream();
+			stream.end('hello');
+			expect(() => stream.write('world')).to.throw();
+			expect(() => stream.end()).to.throw();
+		});
+	});
+
 	describe('find', () => {
 		it('is a function', () => {
 			expect(linkify.find).to.be.a('function');
@@ -101,6 +845,12 @@ describe('linkifyjs', () => {
 			expect(linkify.find('Hello World!')).to.deep.eql([]);
 		});
 
+		it('Calls formatHref once per link', () => {
+			const formatHref = sinon.fake((href) => href);
+			linkify.find('example.com and example.org', { formatHref });
+			expect(formatHref.callCount).to.eql(2);
+		});
+
 		it('Find the link', () => {
 			expect(linkify.find('hello.world!')).to.deep.eql([
 				{
@@ -110,6 +860,13 @@ describe('linkifyjs', () => {
 					isLink: true,
 					start: 0,
 					end: 11,
+					scheme: null,
+					username: null,
+					host: 'hello.world',
+					port: null,
+					path: '',
+					query: null,
+					fragment: null,
 				},
 			]);
 		});
@@ -136,6 +893,13 @@ describe('linkifyjs', () => {
 					href: 'http://www.truncate.com',
 					start: 5,
 					end: 21,
+					scheme: null,
+					username: null,
+					host: 'www.truncate.com',
+					port: null,
+					path: '',
+					query: null,
+					fragment: null,
 				},
 			]);
 		});
@@ -159,6 +923,29 @@ describe('linkifyjs', () => {
 			expect(() => linkify.find('Hello.com', { type: 'email' }, { truncate: 10 })).to.throw();
 		});
 
+		it('Finds links of any of the given types', () => {
+			const links = linkify.find('github.com, support@example.com and #help', ['email', 'hashtag']);
+			expect(links.map((link) => link.value)).to.eql(['support@example.com']);
+			expect(linkify.find('github.com and support@example.com', ['url', 'email'])).to.have.length(2);
+		});
+
+		it('Excludes links of types prefixed with !', () => {
+			const str = 'github.com, support@example.com and mailto:help@example.com';
+			expect(linkify.find(str, '!email').map((link) => link.value)).to.eql([
+				'github.com',
+				'mailto:help@example.com',
+			]);
+			expect(linkify.find(str, ['url', '!url'])).to.eql([]);
+		});
+
+		it('Finds array types and opts', () => {
+			expect(linkify.find('www.truncate.com', ['url'], { truncate: 10 })[0].value).to.eql('www.trunca…');
+		});
+
+		it('Throws on invalid types', () => {
+			expect(() => linkify.find('Hello.com', [1])).to.throw('Invalid link type');
+		});
+
 		it('Uses validation to ignore links', () => {
 			expect(
 				linkify.find('foo.com and bar.com and baz.com', { validate: (url) => url !== 'bar.com' }),
@@ -170,6 +957,13 @@ describe('linkifyjs', () => {
 					href: 'http://foo.com',
 					start: 0,
 					end: 7,
+					scheme: null,
+					username: null,
+					host: 'foo.com',
+					port: null,
+					path: '',
+					query: null,
+					fragment: null,
 				},
 				{
 					end: 31,
@@ -178,11 +972,193 @@ describe('linkifyjs', () => {
 					start: 24,
 					type: 'url',
 					value: 'baz.com',
+					scheme: null,
+					username: null,
+					host: 'baz.com',
+					port: null,
+					path: '',
+					query: null,
+					fragment: null,
 				},
 			]);
 		});
 	});
 
+	describe('findFirst', () => {
+		it('Finds nothing in a string with no links', () => {
+			expect(linkify.findFirst('Hello world!')).to.be.null;
+			expect(linkify.findFirst('')).to.be.null;
+		});
+
+		it('Finds the first link with its offsets', () => {
+			expect(linkify.findFirst('Hi\nemail support@example.com\nor visit github.com')).to.deep.eql({
+				type: 'email',
+				value: 'support@example.com',
+				href: 'mailto:support@example.com',
+				isLink: true,
+				start: 9,
+				end: 28,
+			});
+		});
+
+		it('Finds the first link of the given types', () => {
+			const link = linkify.findFirst('See github.com\nor example.com\nor help@example.com', ['!url']);
+			expect(link.value).to.eql('help@example.com');
+			expect(link.start).to.eql(33);
+		});
+
+		it('Skips links that fail validation', () => {
+			const link = linkify.findFirst('foo.com bar.com', { validate: (url) => url !== 'foo.com' });
+			expect(link.value).to.eql('bar.com');
+		});
+
+		it('Matches the first result of find', () => {
+			const str = 'Lines\r\nwith http://example.com/a\n\nand "quoted"@example.com and #tags';
+			for (const type of [null, 'email', 'hashtag', '!url']) {
+				expect(linkify.findFirst(str, type)).to.deep.eql(linkify.find(str, type)[0] || null);
+			}
+		});
+
+		it('Works with linkify instances', () => {
+			const instance = linkify.createLinkify();
+			instance.registerPlugin('ticket', ticketPlugin);
+			expect(instance.findFirst('fixes #42 and #43').value).to.eql('#42');
+		});
+	});
+
+	describe('count', () => {
+		it('Counts links', () => {
+			expect(linkify.count('github.com and support@example.com')).to.eql(2);
+			expect(linkify.count('Hello world!')).to.eql(0);
+		});
+
+		it('Counts links of the given types', () => {
+			const str = 'github.com, support@example.com and help@example.com';
+			expect(linkify.count(str, 'email')).to.eql(2);
+			expect(linkify.count(str, '!email')).to.eql(1);
+			expect(linkify.count(str, ['url', 'email'])).to.eql(3);
+		});
+
+		it('Does not count links that fail validation', () => {
+			expect(linkify.count('foo.com bar.com', { validate: (url) => url !== 'foo.com' })).to.eql(1);
+			expect(linkify.count('foo.com a@bar.com', 'url', { validate: false })).to.eql(0);
+		});
+	});
+
+	describe('replace', () => {
+		const slack = (link) => `<${link.href}|${link.value}>`;
+
+		it('Replaces links with the result of the callback', () => {
+			expect(linkify.replace('Visit github.com or mail test@example.com!\nThanks', slack)).to.eql(
+				'Visit <http://github.com|github.com> or mail <mailto:test@example.com|test@example.com>!\nThanks',
+			);
+		});
+
+		it('Leaves strings without links untouched', () => {
+			expect(linkify.replace('', slack)).to.eql('');
+			expect(linkify.replace('Hello World!\n\n', slack)).to.eql('Hello World!\n\n');
+		});
+
+		it('Applies formatting and validation options', () => {
+			const opts = {
+				defaultProtocol: 'https',
+				format: { url: (value) => value.toUpperCase() },
+				validate: { email: false },
+			};
+			expect(linkify.replace('github.com test@example.com', slack, opts)).to.eql(
+				'<https://github.com|GITHUB.COM> test@example.com',
+			);
+		});
+
+		it('Passes the token to the callback', () => {
+			expect(linkify.replace('Visit github.com', (link, token) => `[${token.t}:${token.host()}]`)).to.eql(
+				'Visit [url:github.com]',
+			);
+		});
+
+		it('Works with linkify instances', () => {
+			const instance = linkify.createLinkify({ plugins: { ticket: ticketPlugin } });
+			expect(instance.replace('See #42', slack)).to.eql('See <#42|#42>');
+			expect(linkify.replace('See #42', slack)).to.eql('See #42');
+		});
+	});
+
+	describe('map', () => {
+		it('Returns text and callback results', () => {
+			const result = linkify.map('Visit github.com and example.com.', (link, token) => ({
+				href: link.href,
+				token,
+			}));
+			expect(result.length).to.eql(5);
+			expect(result[0]).to.eql('Visit ');
+			expect(result[1].href).to.eql('http://github.com');
+			expect(result[1].token.t).to.eql('url');
+			expect(result[2]).to.eql(' and ');
+			expect(result[3].href).to.eql('http://example.com');
+			expect(result[4]).to.eql('.');
+		});
+
+		it('Merges text around links that fail validation', () => {
+			expect(linkify.map('a github.com b', () => 'link', { validate: false })).to.eql(['a github.com b']);
+		});
+
+		it('Returns an empty array for empty strings', () => {
+			expect(linkify.map('', () => 'link')).to.eql([]);
+		});
+	});
+
+	describe('explain', () => {
+		it('Returns scanner tokens, parser steps and results', () => {
+			const result = linkify.explain('qqq.local/path');
+			expect(result.tokens.map((token) => token.t)).to.eql(['WORD', 'DOT', 'WORD', 'SLASH', 'WORD']);
+			expect(result.steps.slice(0, 7)).to.eql([
+				{ type: 'transition', index: 0, accepts: null },
+				{ type: 'transition', index: 1, accepts: null },
+				{ type: 'transition', index: 2, accepts: null },
+				{ type: 'transition', index: 3, accepts: null },
+				{ type: 'transition', index: 4, accepts: null },
+				{ type: 'reject', index: 0, end: 5 },
+				{ type: 'text', index: 0 },
+			]);
+			expect(result.results).to.eql([
+				{ type: 'text', value: 'qqq.local/path', start: 0, end: 14, isLink: false, rejectedBy: null },
+			]);
+		});
+
+		it('Names the option that rejected a link', () => {
+			const result = linkify.explain('javascript:alert(1) and example.com', {
+				validate: { url: (v) => v !== 'example.com' },
+			});
+			expect(result.results.filter((r) => r.isLink).map((r) => r.rejectedBy)).to.eql(['validate.url']);
+			expect(linkify.explain('a@b.com', { validate: false }).results[0].rejectedBy).to.eql('validate');
+		});
+
+		it('Describes each step in the trace', () => {
+			const { trace } = linkify.explain('See x.com/).');
+			expect(trace.split('\n')).to.include.members([
+				'Scanner tokens:',
+				'  #0 WORD "See" at 0-3',
+				'Parser steps:',
+				'  #0 WORD -> not accepting',
+				'  #0 reached no accepting state',
+				'  #0 WORD added to text',
+				'  #4 TLD -> accepts url',
+				'  #5 SLASH -> accepts url',
+				'  #6 CLOSEPAREN -> not accepting',
+				'  rolled back #6-#7 to the latest accepting state',
+				'  #2-#5 accepted as url',
+				'Results:',
+				'  url "x.com/" at 4-10 (link)',
+			]);
+		});
+
+		it('Works with linkify instances', () => {
+			const instance = linkify.createLinkify();
+			instance.registerPlugin('ticket', ticketPlugin);
+			expect(instance.explain('#42').results[0].type).to.eql('ticket');
+		});
+	});
+
 	describe('test', () => {
 		/*
 			For each element,
@@ -205,6 +1181,9 @@ describe('linkifyjs', () => {
 			['t.co', true],
 			['t.co g.co', false], // can only be one
 			['test@g.co t.co', false], // can only be one
+			['test+4@uwaterloo.ca', true, ['url', 'email']],
+			['test+4@uwaterloo.ca', false, '!email'],
+			['t.co', true, '!email'],
 		];
 
 		it('is a function', () => {
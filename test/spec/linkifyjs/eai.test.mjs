@@ -0,0 +1,70 @@
+import { expect } from 'chai';
+import * as linkify from 'linkifyjs/src/linkify.mjs';
+import { Options } from 'linkifyjs/src/options.mjs';
+
+/**
+	Internationalized email addresses (RFC 6531) with Unicode local parts and
+	IDN domains
+	[0] - Original text
+	[1] - The email address that should be found in the text
+	[2] - Domain of the email address
+*/
+const corpus = [
+	['josé.garcía@correo.es', 'josé.garcía@correo.es', 'correo.es'],
+	['Pelé@example.com, or', 'Pelé@example.com', 'example.com'],
+	['josé@example.com', 'josé@example.com', 'example.com'],
+	['üñîçøðé@üñîçøðé.com', 'üñîçøðé@üñîçøðé.com', 'üñîçøðé.com'],
+	['Write to 用户@例子.中国.', '用户@例子.中国', '例子.中国'],
+	['我買@屋企.香港', '我買@屋企.香港', '屋企.香港'],
+	['二ノ宮@黒川.jp', '二ノ宮@黒川.jp', '黒川.jp'],
+	['δοκιμή@παράδειγμα.ελ', 'δοκιμή@παράδειγμα.ελ', 'παράδειγμα.ελ'],
+	['медведь@с-балалайкой.рф', 'медведь@с-балалайкой.рф', 'с-балалайкой.рф'],
+	['Mail अजय@डाटा.भारत today', 'अजय@डाटा.भारत', 'डाटा.भारत'],
+	['सम्पर्क@डाटामेल.भारत', 'सम्पर्क@डाटामेल.भारत', 'डाटामेल.भारत'],
+	['ไทย@ไทยนิคอมมิวนิเคชั่น.ไทย', 'ไทย@ไทยนิคอมมิวนิเคชั่น.ไทย', 'ไทยนิคอมมิวนิเคชั่น.ไทย'],
+	['(user@ουτοπία.δπθ.gr)', 'user@ουτοπία.δπθ.gr', 'ουτοπία.δπθ.gr'],
+];
+
+describe('linkifyjs/eai', () => {
+	afterEach(() => {
+		linkify.reset();
+	});
+
+	it('Finds internationalized email addresses', () => {
+		corpus.forEach(([input, address, domain]) => {
+			const emails = linkify.tokenize(input).filter((token) => token.t === 'email');
+			expect(emails.map((email) => email.toString())).to.eql([address]);
+			expect(emails[0].domain()).to.eql(domain);
+		});
+	});
+
+	it('Finds addresses with Unicode top-level domains after registering them', () => {
+		expect(linkify.test('用户@例子.广告', 'email')).to.be.false;
+		linkify.registerTlds(['广告']);
+		expect(linkify.test('用户@例子.广告', 'email')).to.be.true;
+	});
+
+	it('Keeps Unicode in the href by default', () => {
+		const [email] = linkify.tokenize('用户@例子.中国');
+		expect(email.toHref()).to.eql('mailto:用户@例子.中国');
+	});
+
+	it('Creates ASCII-only hrefs with the idn option', () => {
+		const [email] = linkify.tokenize('用户@例子.中国');
+		const options = new Options({ idn: 'ascii' });
+		expect(email.toFormattedHref(options)).to.eql('mailto:%E7%94%A8%E6%88%B7@xn--fsqu00a.xn--fiqs8s');
+		expect(email.toFormattedString(options)).to.eql('用户@xn--fsqu00a.xn--fiqs8s');
+	});
+
+	it('Converts the domain after the last @ with the idn option', () => {
+		const [email] = linkify.tokenize('"a@b"@bücher.de');
+		const options = new Options({ idn: 'ascii' });
+		expect(email.toFormattedString(options)).to.eql('"a@b"@xn--bcher-kva.de');
+		expect(email.toFormattedHref(options)).to.eql('mailto:%22a%40b%22@xn--bcher-kva.de');
+	});
+
+	it('Escapes URL delimiters in the local part of the href', () => {
+		const [email] = linkify.tokenize('a%b?c#d@example.com');
+		expect(email.toHref()).to.eql('mailto:a%25b%3Fc%23d@example.com');
+	});
+});
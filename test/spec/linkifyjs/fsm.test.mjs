@@ -97,4 +97,137 @@ describe('linkifyjs/fsm/State', () => {
 			expect(State.groups.scheme).contains('view-source');
 		});
 	});
+	describe('serialize()', () => {
+		it('Encodes reachable states with the start state first', () => {
+			const data = fsm.serialize(Start, (t) => t);
+			expect(data.states[0]).to.eql([0, [1, ' '], 1]);
+			expect(data.states.slice(1)).to.eql([[1], [2, 0, 2], [3, 0, 3]]);
+			expect(data.tokens).to.eql([tk.DOT, tk.NUM, tk.WORD]);
+			expect(data.inputs).to.eql(['.']);
+			expect(data.regexps).to.eql([
+				['[0-9]', ''],
+				['[a-z]', 'i'],
+			]);
+			expect(data.regexpTransitions).to.eql([
+				[0, 2, 1, 3],
+				[0, 2],
+				[1, 3],
+			]);
+		});
+
+		it('Groups inputs by target state and shares lists of regexp transitions', () => {
+			Start.tt(',', Start.j['.']);
+			Start.tt('-', tk.SYM).tr(/[0-9]/, Num);
+			const data = fsm.serialize(Start, (t) => t);
+			expect(data.inputs).to.eql([',', '-', '.']);
+			expect(data.states[0]).to.eql([0, [1, ' "', 2, '!'], 1]);
+			expect(data.states[2]).to.eql([2, 0, 2]);
+			expect(data.states[3]).to.eql([3, 0, 2]);
+		});
+
+		it('Encodes default transitions', () => {
+			Start.jd = new fsm.State(tk.SYM);
+			const data = fsm.serialize(Start, (t) => t);
+			expect(data.states[0][3]).to.eql(4);
+			expect(data.states[4]).to.eql([4]);
+			expect(data.tokens[3]).to.eql(tk.SYM);
+		});
+
+		it('Is JSON-compatible', () => {
+			const data = fsm.serialize(Start, (t) => t);
+			expect(JSON.parse(JSON.stringify(data))).to.eql(data);
+		});
+	});
+
+	describe('deserialize()', () => {
+		it('Restores an equivalent state machine', () => {
+			Start.jd = new fsm.State(tk.SYM);
+			const restored = fsm.deserialize(
+				fsm.serialize(Start, (t) => t),
+				(t) => t,
+			);
+			expect(restored.go('.').t).to.eql(tk.DOT);
+			expect(restored.go('4').t).to.eql(tk.NUM);
+			expect(restored.go('4').go('2')).to.equal(restored.go('4'));
+			expect(restored.go('X').t).to.eql(tk.WORD);
+			expect(restored.go('#').t).to.eql(tk.SYM);
+		});
+
+		it('Decodes tokens', () => {
+			const restored = fsm.deserialize(
+				fsm.serialize(Start, (t) => t.toLowerCase()),
+				(t) => t.toUpperCase(),
+			);
+			expect(restored.go('x').t).to.eql(tk.WORD);
+		});
+	});
+
+	describe('toGraph()', () => {
+		it('Lists reachable states in breadth-first order', () => {
+			const graph = fsm.toGraph(Start);
+			expect(graph.states).to.eql([
+				{ id: 0, depth: 0, token: null },
+				{ id: 1, depth: 1, token: tk.DOT },
+				{ id: 2, depth: 1, token: tk.NUM },
+				{ id: 3, depth: 1, token: tk.WORD },
+			]);
+			expect(graph.transitions).to.eql([
+				{ from: 0, to: 1, type: 'input', inputs: ['.'] },
+				{ from: 0, to: 2, type: 'regexp', regexp: '/[0-9]/' },
+				{ from: 0, to: 3, type: 'regexp', regexp: '/[a-z]/i' },
+				{ from: 2, to: 2, type: 'regexp', regexp: '/[0-9]/' },
+				{ from: 3, to: 3, type: 'regexp', regexp: '/[a-z]/i' },
+			]);
+		});
+
+		it('Groups inputs that transition to the same state', () => {
+			Start.tt(',', Start.j['.']);
+			Start.jd = new fsm.State(tk.SYM);
+			const graph = fsm.toGraph(Start);
+			expect(graph.transitions[0]).to.eql({ from: 0, to: 1, type: 'input', inputs: ['.', ','] });
+			expect(graph.transitions[3]).to.eql({ from: 0, to: 4, type: 'default' });
+		});
+
+		it('Limits the depth', () => {
+			Start.tt('.').tt('.', tk.DOT);
+			const graph = fsm.toGraph(Start, { depth: 1 });
+			expect(graph.states).to.have.length(4);
+			expect(graph.transitions.every((transition) => transition.from === 0)).to.be.ok;
+		});
+
+		it('Starts from the end of a path', () => {
+			const graph = fsm.toGraph(Start, { path: '42' });
+			expect(graph.states).to.eql([{ id: 0, depth: 0, token: tk.NUM }]);
+			expect(() => fsm.toGraph(Start, { path: ['4', '.'] })).to.throw('No transition');
+		});
+
+		it('Labels tokens', () => {
+			const graph = fsm.toGraph(Start, { tokenName: (t) => t.toLowerCase() });
+			expect(graph.states[1].token).to.eql('dot');
+		});
+	});
+
+	describe('toDot()', () => {
+		it('Draws a Graphviz digraph', () => {
+			Start.tt(' ', Start.j['.']);
+			Start.jd = new fsm.State(tk.SYM);
+			expect(fsm.toDot(Start, { depth: 1 })).to.eql(
+				[
+					'digraph linkify {',
+					'\trankdir=LR;',
+					'\tnode [shape=circle];',
+					'\ts0 [label="0"];',
+					'\ts1 [shape=doublecircle, label="1\\nDOT"];',
+					'\ts2 [shape=doublecircle, label="2\\nNUM"];',
+					'\ts3 [shape=doublecircle, label="3\\nWORD"];',
+					'\ts4 [shape=doublecircle, label="4\\nSYM"];',
+					'\ts0 -> s1 [label=". \\" \\""];',
+					'\ts0 -> s2 [label="/[0-9]/"];',
+					'\ts0 -> s3 [label="/[a-z]/i"];',
+					'\ts0 -> s4 [style=dashed];',
+					'}',
+				].join('\n'),
+			);
+		});
+	});
 });
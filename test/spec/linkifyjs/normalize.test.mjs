@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { normalizeHref } from 'linkifyjs/src/normalize.mjs';
+
+describe('linkifyjs/normalize', () => {
+	describe('#normalizeHref()', () => {
+		it('Leaves hrefs unchanged when disabled', () => {
+			expect(normalizeHref('HTTP://Example.COM:80//a?utm_source=x', false)).to.eql(
+				'HTTP://Example.COM:80//a?utm_source=x',
+			);
+		});
+
+		it('Lowercases the scheme and host but not the path', () => {
+			expect(normalizeHref('HTTPS://User@WWW.Example.COM/Path/To', true)).to.eql(
+				'https://User@www.example.com/Path/To',
+			);
+		});
+
+		it('Removes default and empty ports', () => {
+			expect(normalizeHref('http://example.com:80/', true)).to.eql('http://example.com/');
+			expect(normalizeHref('https://example.com:443', true)).to.eql('https://example.com');
+			expect(normalizeHref('https://example.com:/', true)).to.eql('https://example.com/');
+			expect(normalizeHref('https://example.com:80/', true)).to.eql('https://example.com:80/');
+			expect(normalizeHref('http://[::1]:80/', true)).to.eql('http://[::1]/');
+		});
+
+		it('Collapses repeated slashes in the path', () => {
+			expect(normalizeHref('http://example.com//a///b/?x=//y#//z', true)).to.eql(
+				'http://example.com/a/b/?x=//y#//z',
+			);
+		});
+
+		it('Strips tracking parameters', () => {
+			expect(normalizeHref('http://example.com/?utm_source=a&id=1&fbclid=2&utm%5Fmedium=b#top', true)).to.eql(
+				'http://example.com/?id=1#top',
+			);
+			expect(normalizeHref('http://example.com/?utm_source=a&fbclid=2', true)).to.eql('http://example.com/');
+		});
+
+		it('Accepts custom rules', () => {
+			const rules = { lowercase: false, stripParams: ['ref', /^session/] };
+			expect(normalizeHref('http://Example.com:80//a?ref=x&utm_source=y&sessionId=z', rules)).to.eql(
+				'http://Example.com/a?utm_source=y',
+			);
+		});
+
+		it('Does not change hrefs without an authority', () => {
+			expect(normalizeHref('mailto:Test@Example.com?utm_source=x', true)).to.eql(
+				'mailto:Test@Example.com?utm_source=x',
+			);
+		});
+	});
+});
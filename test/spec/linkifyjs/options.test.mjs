@@ -3,6 +3,8 @@ import { fake } from 'sinon';
 import * as options from 'linkifyjs/src/options.mjs';
 import * as scanner from 'linkifyjs/src/scanner.mjs';
 import * as mtk from 'linkifyjs/src/multi.mjs';
+import { registerConfusables } from 'linkifyjs/src/confusables.mjs';
+import confusables from 'linkify-plugin-confusables/src/confusables.mjs';
 
 const Options = options.Options;
 
@@ -97,6 +99,80 @@ describe('linkifyjs/options', () => {
 			});
 		});
 
+		describe('#rejectedBy()', () => {
+			it('Names the validate option', () => {
+				expect(opts.rejectedBy(urlToken)).to.eql('validate.url');
+				expect(opts.rejectedBy(emailToken)).to.be.null;
+				expect(new Options({ validate: false }).rejectedBy(emailToken)).to.eql('validate');
+			});
+
+			it('Names the scheme options', () => {
+				const formatHref = () => 'javascript:alert(1)';
+				expect(new Options({ formatHref }).rejectedBy(urlToken)).to.eql('blockedSchemes');
+				expect(new Options({ allowedSchemes: ['https'] }).rejectedBy(urlToken)).to.eql('allowedSchemes');
+				expect(new Options({ allowedSchemes: ['http'] }).rejectedBy(urlToken)).to.be.null;
+			});
+
+			describe('with linkify-plugin-confusables', () => {
+				beforeEach(() => {
+					registerConfusables(confusables);
+				});
+
+				it('Names the homographs option', () => {
+					const input = 'аpple.com';
+					const spoofed = new mtk.Url(input, scanner.run(scannerStart, input));
+					expect(new Options({ homographs: 'reject' }).rejectedBy(spoofed)).to.eql('homographs');
+					expect(new Options({ homographs: 'reject' }).rejectedBy(emailToken)).to.be.null;
+					expect(new Options({ homographs: 'warn' }).rejectedBy(spoofed)).to.be.null;
+					expect(new Options().rejectedBy(spoofed)).to.be.null;
+				});
+			});
+		});
+
+		describe('#allowsHref()', () => {
+			it('Blocks dangerous schemes by default', () => {
+				const opts = new Options();
+				expect(opts.allowsHref('https://github.com')).to.be.true;
+				expect(opts.allowsHref('/relative/path')).to.be.true;
+				expect(opts.allowsHref('javascript:alert(1)')).to.be.false;
+				expect(opts.allowsHref(' \tJava\nScript:alert(1)')).to.be.false;
+				expect(opts.allowsHref('DATA:text/html,hi')).to.be.false;
+				expect(opts.allowsHref('vbscript:msgbox')).to.be.false;
+			});
+
+			it('Only allows the given schemes', () => {
+				const opts = new Options({ allowedSchemes: ['HTTPS:', 'mailto'] });
+				expect(opts.allowsHref('https://github.com')).to.be.true;
+				expect(opts.allowsHref('mailto:test@example.com')).to.be.true;
+				expect(opts.allowsHref('http://github.com')).to.be.false;
+				expect(opts.allowsHref('github.com/path')).to.be.true;
+			});
+
+			it('Can unblock schemes', () => {
+				const opts = new Options({ blockedSchemes: [] });
+				expect(opts.allowsHref('data:text/plain,hi')).to.be.true;
+			});
+		});
+
+		describe('Scheme policy', () => {
+			const formatHref = () => 'javascript:alert(1)';
+
+			it('Fails the check for blocked hrefs by default', () => {
+				expect(new Options({ formatHref }).check(urlToken)).to.be.false;
+			});
+
+			it('Strips blocked hrefs when rendering', () => {
+				const opts = new Options({ formatHref, schemeFallback: 'strip' });
+				expect(opts.check(urlToken)).to.be.true;
+				expect(opts.render(urlToken)).to.eql({
+					tagName: 'a',
+					attributes: {},
+					content: 'github.com',
+					eventListeners: null,
+				});
+			});
+		});
+
 		describe('#render()', () => {
 			it('Returns intermediate representation when render option not specified', () => {
 				expect(opts.render(urlToken)).to.eql({
@@ -124,6 +124,14 @@ const tests = [
 		['The best Url ', 'http://google.com/?love=true', ', and ', 't.co'],
 	],
 	['Please email me at testy.test+123@gmail.com', [Text, Email], ['Please email me at ', 'testy.test+123@gmail.com']],
+	['"a b c d e"@example.com', [Text, Url], ['"a b c d e"@', 'example.com']],
+	[
+		'Quoted local parts like "john doe"@example.com and "j\\"d"@example.com work',
+		[Text, Email, Text, Email, Text],
+		['Quoted local parts like ', '"john doe"@example.com', ' and ', '"j\\"d"@example.com', ' work'],
+	],
+	['He said "write to me" at me@example.com', [Text, Email], ['He said "write to me" at ', 'me@example.com']],
+	['mailto:a@b.com?subject=Hi&cc=c@d.com, thanks', [Url, Text], ['mailto:a@b.com?subject=Hi&cc=c@d.com', ', thanks']],
 	[
 		'http://aws.amazon.com:8080/nick?was=here and localhost:3000 are also domains',
 		[Url, Text, Url, Text],
@@ -366,8 +374,81 @@ describe('linkifyjs/parser#run()', () => {
 		const result = parser.run(start, input, scanner.run(scannerStart, input));
 		expect(result.map((t) => t.toObject())).to.eql([
 			{ type: 'text', value: 'Hello ', href: 'Hello ', isLink: false, start: 0, end: 6 },
-			{ type: 'url', value: 'github.com', href: 'http://github.com', isLink: true, start: 6, end: 16 },
+			{
+				type: 'url',
+				value: 'github.com',
+				href: 'http://github.com',
+				isLink: true,
+				start: 6,
+				end: 16,
+				scheme: null,
+				username: null,
+				host: 'github.com',
+				port: null,
+				path: '',
+				query: null,
+				fragment: null,
+			},
 			{ type: 'text', value: '!', href: '!', isLink: false, start: 16, end: 17 },
 		]);
 	});
+
+	it('Traces each step taken', () => {
+		const input = 'a x.com/).';
+		const steps = [];
+		parser.run(start, input, scanner.run(scannerStart, input), false, (step) => steps.push(step));
+		expect(steps).to.eql([
+			{ type: 'transition', index: 0, accepts: null },
+			{ type: 'reject', index: 0, end: 1 },
+			{ type: 'text', index: 0 },
+			{ type: 'text', index: 1 },
+			{ type: 'transition', index: 2, accepts: null },
+			{ type: 'transition', index: 3, accepts: null },
+			{ type: 'transition', index: 4, accepts: 'url' },
+			{ type: 'transition', index: 5, accepts: 'url' },
+			{ type: 'transition', index: 6, accepts: null },
+			{ type: 'transition', index: 7, accepts: null },
+			{ type: 'rollback', index: 6, end: 8 },
+			{ type: 'accept', index: 2, end: 6, accepts: 'url' },
+			{ type: 'text', index: 6 },
+			{ type: 'text', index: 7 },
+		]);
+	});
+
+	it('Ends links at tokens that start at a script change', () => {
+		const input = '詳細はexample.com/aを参照';
+		const steps = [];
+		const result = parser.run(start, input, scanner.run(scannerStart, input, false, { cjk: true }), false, (step) =>
+			steps.push(step),
+		);
+		expect(result.map((t) => t.toString())).to.eql(['詳細は', 'example.com/a', 'を参照']);
+		expect(steps.filter((step) => step.type === 'boundary')).to.eql([
+			{ type: 'boundary', index: 1 },
+			{ type: 'boundary', index: 6 },
+		]);
+	});
+
+	it('Continues links across script changes inside brackets', () => {
+		const input = 'example.com/(a日本)を';
+		const result = parser.run(start, input, scanner.run(scannerStart, input, false, { cjk: true }));
+		expect(result.map((t) => t.toString())).to.eql(['example.com/(a日本)を']);
+	});
+
+	it('Does not start links in text with a bidi override', () => {
+		const input = 'a.com \u202eb.com \u2066c.com\u2069 d.com\u202c e.com\u202e\nf.com';
+		const result = parser.run(start, input, scanner.run(scannerStart, input));
+		expect(result.filter((t) => t.isLink).map((t) => t.toString())).to.eql(['a.com', 'c.com', 'e.com', 'f.com']);
+	});
+
+	it('Leaves out tokens that may still change when partial', () => {
+		const input = 'Hello github.com! Visit example.co';
+		const result = parser.run(start, input, scanner.run(scannerStart, input, true), true);
+		expect(result.map((t) => t.toString())).to.eql(['Hello ', 'github.com', '! Visit ']);
+	});
+
+	it('Leaves out trailing plain text after its last whitespace when partial', () => {
+		const input = 'No links here, just wor';
+		const result = parser.run(start, input, scanner.run(scannerStart, input, true), true);
+		expect(result.map((t) => t.toString())).to.eql(['No links here, just ']);
+	});
 });
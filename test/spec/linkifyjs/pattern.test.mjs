@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import * as linkify from 'linkifyjs/src/linkify.mjs';
+
+describe('linkifyjs/pattern', () => {
+	const values = (str) => linkify.tokenize(str).map((token) => [token.t, token.toString()]);
+
+	describe('registerPatternPlugin', () => {
+		beforeEach(() => {
+			linkify.registerPatternPlugin('jira', {
+				pattern: /PROJ-(\d+)/i,
+				href: 'https://jira.example.com/browse/PROJ-$1',
+			});
+		});
+
+		it('Detects matches in plain text', () => {
+			expect(values('Fixes PROJ-1234 and proj-7.')).to.eql([
+				['text', 'Fixes '],
+				['jira', 'PROJ-1234'],
+				['text', ' and '],
+				['jira', 'proj-7'],
+				['text', '.'],
+			]);
+		});
+
+		it('Formats hrefs with the replacement string', () => {
+			expect(linkify.find('See PROJ-42')).to.deep.eql([
+				{
+					type: 'jira',
+					value: 'PROJ-42',
+					href: 'https://jira.example.com/browse/PROJ-42',
+					isLink: true,
+					start: 4,
+					end: 11,
+				},
+			]);
+		});
+
+		it('Only matches at token boundaries', () => {
+			expect(linkify.find('PROJ-12abc')).to.eql([]);
+			expect(linkify.find('XPROJ-12')).to.eql([]);
+			expect(linkify.find('PROJ-12_3')).to.eql([]);
+		});
+
+		it('Does not match inside other links', () => {
+			expect(linkify.find('https://example.com/PROJ-1').map((link) => link.type)).to.eql(['url']);
+		});
+
+		it('Keeps token indexes', () => {
+			const tokens = linkify.tokenize('👋 PROJ-1 x', { indexUnit: 'codepoint' });
+			expect(tokens.map((token) => [token.startIndex(), token.endIndex()])).to.eql([
+				[0, 2],
+				[2, 8],
+				[8, 10],
+			]);
+		});
+
+		it('Works with token streams', () => {
+			const stream = linkify.createTokenStream();
+			const tokens = stream.write('Fixes PROJ-1 at example').concat(stream.end('.com'));
+			expect(tokens.map((token) => token.t)).to.eql(['text', 'jira', 'text', 'url']);
+		});
+
+		it('Stops detecting matches after unregistering', () => {
+			expect(linkify.unregisterPlugin('jira')).to.be.true;
+			expect(linkify.find('PROJ-1')).to.eql([]);
+		});
+	});
+
+	it('Uses the link text as the default href', () => {
+		linkify.registerPatternPlugin('cve', { pattern: /CVE-\d{4}-\d{4,}/ });
+		expect(linkify.find('CVE-2024-12345')[0].href).to.eql('CVE-2024-12345');
+	});
+
+	it('Accepts href functions', () => {
+		linkify.registerPatternPlugin('cve', {
+			pattern: /CVE-\d{4}-\d{4,}/,
+			href: (value) => `https://www.cve.org/CVERecord?id=${value}`,
+		});
+		expect(linkify.find('CVE-2024-12345')[0].href).to.eql('https://www.cve.org/CVERecord?id=CVE-2024-12345');
+	});
+
+	it('Allows matches next to letters without boundaries', () => {
+		linkify.registerPatternPlugin('num', { pattern: /\d+/, boundaries: false });
+		expect(values('abc-12_3')).to.eql([
+			['text', 'abc-'],
+			['num', '12'],
+			['text', '_'],
+			['num', '3'],
+		]);
+	});
+
+	it('Applies patterns in registration order', () => {
+		linkify.registerPatternPlugin('first', { pattern: /AB-\d/ });
+		linkify.registerPatternPlugin('second', { pattern: /\d/ });
+		expect(values('AB-1 2')).to.eql([
+			['first', 'AB-1'],
+			['text', ' '],
+			['second', '2'],
+		]);
+	});
+
+	it('Throws on invalid options', () => {
+		expect(() => linkify.registerPatternPlugin('bad', { pattern: 'PROJ-\\d+' })).to.throw('Invalid pattern');
+		expect(() => linkify.registerPatternPlugin('bad', { pattern: /x/, href: 1 })).to.throw('Invalid href');
+	});
+
+	it('Works with linkify instances', () => {
+		const instance = linkify.createLinkify();
+		instance.registerPatternPlugin('jira', { pattern: /PROJ-\d+/ });
+		expect(instance.find('PROJ-1').map((link) => link.type)).to.eql(['jira']);
+		expect(linkify.find('PROJ-1')).to.eql([]);
+	});
+});
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import {
+	registerPublicSuffixes,
+	resetPublicSuffixes,
+	publicSuffix,
+	registrableDomain,
+	subdomain,
+} from 'linkifyjs/src/publicsuffix.mjs';
+
+describe('linkifyjs/publicsuffix', () => {
+	afterEach(() => {
+		resetPublicSuffixes();
+	});
+
+	it('Uses the last label as the public suffix without any rules', () => {
+		expect(publicSuffix('www.bbc.co.uk')).to.eql('uk');
+		expect(registrableDomain('www.bbc.co.uk')).to.eql('co.uk');
+		expect(subdomain('www.bbc.co.uk')).to.eql('www.bbc');
+	});
+
+	it('Uses the longest matching rule', () => {
+		registerPublicSuffixes(['uk', 'co.uk', 'github.io', 'io']);
+		expect(publicSuffix('www.bbc.co.uk')).to.eql('co.uk');
+		expect(registrableDomain('www.bbc.co.uk')).to.eql('bbc.co.uk');
+		expect(subdomain('www.bbc.co.uk')).to.eql('www');
+		expect(registrableDomain('nfrasser.github.io')).to.eql('nfrasser.github.io');
+		expect(subdomain('nfrasser.github.io')).to.eql('');
+	});
+
+	it('Supports wildcard and exception rules', () => {
+		registerPublicSuffixes(['*.ck', '!www.ck']);
+		expect(publicSuffix('a.b.ck')).to.eql('b.ck');
+		expect(registrableDomain('x.a.b.ck')).to.eql('a.b.ck');
+		expect(publicSuffix('www.ck')).to.eql('ck');
+		expect(registrableDomain('www.ck')).to.eql('www.ck');
+		expect(subdomain('a.www.ck')).to.eql('a');
+	});
+
+	it('Returns null for public suffixes and IP addresses', () => {
+		registerPublicSuffixes(['co.uk']);
+		expect(registrableDomain('co.uk')).to.be.null;
+		expect(subdomain('co.uk')).to.be.null;
+		expect(registrableDomain('uk')).to.be.null;
+		expect(registrableDomain('192.168.0.1')).to.be.null;
+		expect(registrableDomain('[::1]')).to.be.null;
+		expect(registrableDomain(null)).to.be.null;
+	});
+
+	it('Ignores a trailing dot', () => {
+		expect(registrableDomain('www.example.com.')).to.eql('example.com');
+	});
+
+	it('Normalizes registered rules', () => {
+		registerPublicSuffixes([' CO.UK ', '']);
+		expect(registrableDomain('www.bbc.co.uk')).to.eql('bbc.co.uk');
+	});
+});
@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { encode, decode, toASCII, toUnicode } from 'linkifyjs/src/punycode.mjs';
+
+describe('linkifyjs/punycode', () => {
+	// [Unicode, Punycode] sample strings from RFC 3492 and elsewhere
+	const strings = [
+		['bücher', 'bcher-kva'],
+		['mañana', 'maana-pta'],
+		['例え', 'r8jz45g'],
+		['😀', 'e28h'],
+		['ليهمابتكلموشعربي؟', 'egbpdaj6bu4bxfgehfvwxn'],
+		['他们为什么不说中文', 'ihqwcrb4cv8a8dqg056pqjye'],
+		['3年B組金八先生', '3B-ww4c5e180e575a65lsy2b'],
+		['abc', 'abc-'],
+	];
+
+	describe('#encode()', () => {
+		it('Encodes Unicode strings', () => {
+			strings.forEach(([unicode, ascii]) => {
+				expect(encode(unicode)).to.eql(ascii);
+			});
+		});
+	});
+
+	describe('#decode()', () => {
+		it('Decodes Punycode strings', () => {
+			strings.forEach(([unicode, ascii]) => {
+				expect(decode(ascii)).to.eql(unicode);
+			});
+		});
+
+		it('Throws on invalid input', () => {
+			expect(() => decode('a-b!')).to.throw('linkifyjs: Invalid Punycode input');
+		});
+	});
+
+	describe('#toASCII()', () => {
+		it('Converts non-ASCII labels only', () => {
+			expect(toASCII('www.Bücher.de')).to.eql('www.xn--bcher-kva.de');
+			expect(toASCII('例え.テスト')).to.eql('xn--r8jz45g.xn--zckzah');
+			expect(toASCII('example.com')).to.eql('example.com');
+		});
+	});
+
+	describe('#toUnicode()', () => {
+		it('Converts Punycode labels only', () => {
+			expect(toUnicode('www.XN--bcher-kva.de')).to.eql('www.bücher.de');
+			expect(toUnicode('xn--r8jz45g.xn--zckzah')).to.eql('例え.テスト');
+			expect(toUnicode('example.com')).to.eql('example.com');
+			expect(toUnicode('xn--i-7iq.ws')).to.eql('i❤.ws');
+		});
+
+		it('Leaves invalid Punycode labels as-is', () => {
+			expect(toUnicode('xn--a-b!.com')).to.eql('xn--a-b!.com');
+			expect(toUnicode('xn--ab-.com')).to.eql('xn--ab-.com');
+			expect(toUnicode('xn--a.com')).to.eql('xn--a.com');
+			expect(toUnicode('xn--.com')).to.eql('xn--.com');
+		});
+	});
+});
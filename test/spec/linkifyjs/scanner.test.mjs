@@ -81,9 +81,9 @@ const tests = [
 	['👊🏿🧑🏼‍🔬🌚', [t.EMOJI], ['👊🏿🧑🏼‍🔬🌚']], // contains zero-width joiner \u200d
 	['www.🍕💩.ws', [t.WORD, t.DOT, t.EMOJI, t.DOT, t.TLD], ['www', '.', '🍕💩', '.', 'ws']],
 	[
-		'za̡͊͠͝lgό.gay', // May support diacritics in the future if someone complains
-		[t.TLD, t.SYM, t.SYM, t.SYM, t.SYM, t.WORD, t.UWORD, t.DOT, t.TLD],
-		['za', '͠', '̡', '͊', '͝', 'lg', 'ό', '.', 'gay'],
+		'za̡͊͠͝lgό.gay', // Combining marks are part of the preceding letter
+		[t.UWORD, t.WORD, t.UWORD, t.DOT, t.TLD],
+		['za̡͊͠͝', 'lg', 'ό', '.', 'gay'],
 	],
 	[
 		"Direniş İzleme Grubu'nun",
@@ -160,6 +160,111 @@ describe('linkifyjs/scanner', () => {
 		]);
 	});
 
+	it('Leaves out the final token when partial', () => {
+		expect(scanner.run(start, 'Hello, Wor', true)).to.eql([
+			{ t: t.WORD, v: 'Hello', s: 0, e: 5 },
+			{ t: t.COMMA, v: ',', s: 5, e: 6 },
+			{ t: t.WS, v: ' ', s: 6, e: 7 },
+		]);
+		expect(scanner.run(start, 'Hello, World!', true)).to.have.length(4);
+	});
+
+	it('Splits and marks tokens at CJK script changes', () => {
+		expect(scanner.run(start, 'éを 2024年', false, { cjk: true })).to.eql([
+			{ t: t.UWORD, v: 'é', s: 0, e: 1 },
+			{ t: t.UWORD, v: 'を', s: 1, e: 2, b: true },
+			{ t: t.WS, v: ' ', s: 2, e: 3 },
+			{ t: t.NUM, v: '2024', s: 3, e: 7 },
+			{ t: t.UWORD, v: '年', s: 7, e: 8, b: true },
+		]);
+		expect(scanner.run(start, 'éを').map((token) => token.v)).to.eql(['éを']);
+	});
+
+	it('Does not mark CJK script changes after percent-encoded characters', () => {
+		const result = scanner.run(start, '%E6%97%A5本 ab本', false, { cjk: true });
+		expect(result.filter((token) => token.b).map((token) => token.s)).to.eql([13]);
+	});
+
+	it('Scans folded full-width characters with original values and indexes', () => {
+		expect(scanner.run(start, 'Ｗｗｗ．ｃｏｍ。', false, { fold: true })).to.eql([
+			{ t: t.WORD, v: 'Ｗｗｗ', s: 0, e: 3, n: 'Www' },
+			{ t: t.DOT, v: '．', s: 3, e: 4, n: '.' },
+			{ t: t.TLD, v: 'ｃｏｍ', s: 4, e: 7, n: 'com' },
+			{ t: t.DOT, v: '。', s: 7, e: 8, n: '.' },
+		]);
+		expect(scanner.run(start, 'ｃｏｍ').map((token) => token.t)).to.eql([t.UWORD]);
+	});
+
+	it('Scans normalized strings with original values and indexes', () => {
+		const str = 'e\u0301 ﬁ.com';
+		expect(scanner.run(start, str, false, { normalize: 'NFKC', unit: 'codepoint' })).to.eql([
+			{ t: t.UWORD, v: 'e\u0301', s: 0, e: 2, n: '\u00e9' },
+			{ t: t.WS, v: ' ', s: 2, e: 3 },
+			{ t: t.TLD, v: 'ﬁ', s: 3, e: 4, n: 'fi' },
+			{ t: t.DOT, v: '.', s: 4, e: 5 },
+			{ t: t.TLD, v: 'com', s: 5, e: 8 },
+		]);
+		expect(() => scanner.run(start, str, false, { normalize: 'NFD' })).to.throw('Invalid normalization form');
+	});
+
+	it('Skips invisible characters between visible ones', () => {
+		expect(scanner.run(start, '\u200fexa\u200dmple/\u200cb\u200e ')).to.eql([
+			{ t: t.SYM, v: '\u200f', s: 0, e: 1, n: '', i: true, b: true },
+			{ t: t.WORD, v: 'exa\u200dmple', s: 1, e: 9, n: 'example', i: true },
+			{ t: t.SLASH, v: '/', s: 9, e: 10 },
+			{ t: t.WORD, v: '\u200cb', s: 10, e: 12, n: 'b', i: true },
+			{ t: t.SYM, v: '\u200e', s: 12, e: 13, n: '', i: true, b: true },
+			{ t: t.WS, v: ' ', s: 13, e: 14 },
+		]);
+	});
+
+	it('Ends tokens at zero-width spaces and script changes', () => {
+		expect(scanner.run(start, 'a\u200bb\u2060c')).to.eql([
+			{ t: t.WORD, v: 'a', s: 0, e: 1 },
+			{ t: t.SYM, v: '\u200b', s: 1, e: 2, b: true },
+			{ t: t.WORD, v: 'b', s: 2, e: 3 },
+			{ t: t.SYM, v: '\u2060', s: 3, e: 4, b: true },
+			{ t: t.WORD, v: 'c', s: 4, e: 5 },
+		]);
+		expect(scanner.run(start, '見\u200cab').map((token) => token.v)).to.eql(['見', '\u200c', 'ab']);
+	});
+
+	it('Keeps zero-width joiners in emoji', () => {
+		expect(scanner.run(start, '👨\u200d👩')).to.eql([{ t: t.EMOJI, v: '👨\u200d👩', s: 0, e: 5 }]);
+	});
+
+	it('Scans bidi controls as separate tokens', () => {
+		expect(scanner.run(start, 'ab\u202eqq').map((token) => [token.t, token.v])).to.eql([
+			[t.WORD, 'ab'],
+			[t.BIDI, '\u202e'],
+			[t.WORD, 'qq'],
+		]);
+	});
+
+	describe('Custom TLDs', () => {
+		before(() => {
+			start = scanner.init([], ['corp', 'co', 'テスト'], ['zip']).start;
+		});
+
+		after(() => {
+			start = scanner.init().start;
+		});
+
+		it('Tokenizes custom TLDs', () => {
+			expect(scanner.run(start, 'corp corps テスト').map((token) => token.t)).to.eql([
+				t.TLD,
+				t.WS,
+				t.WORD,
+				t.WS,
+				t.UTLD,
+			]);
+		});
+
+		it('Does not tokenize excluded TLDs', () => {
+			expect(scanner.run(start, 'zip com co').map((token) => token.t)).to.eql([t.WORD, t.WS, t.TLD, t.WS, t.TLD]);
+		});
+	});
+
 	describe('Custom protocols', () => {
 		before(() => {
 			const result = scanner.init([